@@ -0,0 +1,65 @@
+const express = require('express');
+const cors = require('cors');
+const { errorEnvelope, notFound, errorHandler } = require('./middleware/errors');
+const authRoutes = require('./routes/auth');
+const activityRoutes = require('./routes/activity');
+const analyticsRoutes = require('./routes/analytics');
+const budgetRoutes = require('./routes/budgets');
+const categoryRoutes = require('./routes/categories');
+const expenseRoutes = require('./routes/expenses');
+const groupRoutes = require('./routes/groups');
+const inviteRoutes = require('./routes/invites');
+const recurringRoutes = require('./routes/recurring');
+const trashRoutes = require('./routes/trash');
+
+// The Express app, without a database connection or background jobs
+// (server.js starts those), so tests can load it on its own
+const app = express();
+
+// Middleware
+app.use(cors({
+    origin: "https://split-wise-frontend.vercel.app"
+}));
+
+app.use(express.json());
+
+// Give every error response the same { success, error, code } shape
+app.use(errorEnvelope);
+
+// Routes
+
+// Auth Routes (signup, login, refresh tokens, sessions, password reset)
+app.use('/api/auth', authRoutes);
+
+// Expenses, their history, search, export and CSV import
+app.use('/api/expenses', expenseRoutes);
+
+// Groups, their members, roles, invites and settle-up payments
+app.use('/api/groups', groupRoutes);
+
+// Join links handed out by group admins
+app.use('/api/invites', inviteRoutes);
+
+// Recurring expense templates; occurrences are created by the scheduler
+app.use('/api/recurring', recurringRoutes);
+
+// Trashed groups and expenses, purged after the retention period
+app.use('/api/trash', trashRoutes);
+
+// Activity feed across the user's groups
+app.use('/api/activity', activityRoutes);
+
+// Group and user analytics, converted into one currency
+app.use('/api/analytics', analyticsRoutes);
+
+// Budgets per group and category, with threshold alerts
+app.use('/api/budgets', budgetRoutes);
+
+// Custom categories and the keyword rules that suggest them
+app.use('/api/categories', categoryRoutes);
+
+// Unknown routes and errors passed to next()
+app.use(notFound);
+app.use(errorHandler);
+
+module.exports = app;
@@ -0,0 +1,49 @@
+// Locally maintained exchange rate table.
+// Rates are expressed as units of each currency per 1 USD; update them
+// here when they drift. Expenses store the rate used at entry time, so
+// editing this table never changes existing balances.
+const DEFAULT_CURRENCY = 'USD';
+
+const exchangeRates = {
+  USD: 1,
+  EUR: 0.92,
+  GBP: 0.79,
+  CHF: 0.88,
+  CAD: 1.36,
+  AUD: 1.52,
+  JPY: 150,
+  CNY: 7.2,
+  INR: 83.5,
+  PKR: 278,
+  AED: 3.67,
+  SAR: 3.75,
+  TRY: 32,
+  THB: 36
+};
+
+const isSupportedCurrency = (code) => {
+  return typeof code === 'string' && exchangeRates.hasOwnProperty(code.toUpperCase());
+};
+
+// Rate to convert an amount in `from` into `to` (amount * rate)
+const getExchangeRate = (from, to) => {
+  const fromCode = from.toUpperCase();
+  const toCode = to.toUpperCase();
+
+  if (fromCode === toCode) {
+    return 1;
+  }
+
+  if (!isSupportedCurrency(fromCode) || !isSupportedCurrency(toCode)) {
+    return null;
+  }
+
+  return exchangeRates[toCode] / exchangeRates[fromCode];
+};
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  exchangeRates,
+  isSupportedCurrency,
+  getExchangeRate
+};
@@ -0,0 +1,128 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const {
+  Expense,
+  RecurringExpense,
+  Payment,
+  Budget,
+  BudgetAlert
+} = require('../models/schemas');
+const { toCents } = require('../utils/split');
+
+// Money used to be stored as decimal amounts (`amount: 12.5`); it is now
+// stored in integer cents (`amountCents: 1250`). This rewrites documents
+// still in the old shape. Documents that already have the cents paths are
+// left alone, so the migration can be run more than once.
+
+// Amount paths and map paths of each collection, as stored before
+const MONEY_FIELDS = [
+  { model: Expense, amounts: ['amount', 'tax', 'tip', 'serviceCharge'], maps: ['customAmounts'], items: true, revisions: true },
+  { model: RecurringExpense, amounts: ['amount'], maps: ['customAmounts'] },
+  { model: Payment, amounts: ['amount'] },
+  { model: Budget, amounts: ['amount'] },
+  { model: BudgetAlert, amounts: ['spent', 'budgetAmount'] }
+];
+
+const CUSTOM_AMOUNTS_PATH = { customAmounts: 'customAmountCents' };
+
+const centsPath = (name) => CUSTOM_AMOUNTS_PATH[name] || `${name}Cents`;
+
+const mapToCents = (values) => {
+  return Object.fromEntries(Object.entries(values).map(([key, amount]) => [key, toCents(amount)]));
+};
+
+// Convert the money paths of a raw document (or revision) in place;
+// returns true when anything changed
+const convertFields = (doc, { amounts = [], maps = [], items = false }) => {
+  let changed = false;
+
+  amounts.forEach(name => {
+    if (doc[name] !== undefined) {
+      if (doc[name] !== null && doc[centsPath(name)] === undefined) {
+        doc[centsPath(name)] = toCents(doc[name]);
+      }
+      delete doc[name];
+      changed = true;
+    }
+  });
+
+  maps.forEach(name => {
+    if (doc[name] !== undefined) {
+      if (doc[name] !== null && doc[centsPath(name)] === undefined) {
+        doc[centsPath(name)] = mapToCents(doc[name]);
+      }
+      delete doc[name];
+      changed = true;
+    }
+  });
+
+  if (items && Array.isArray(doc.items)) {
+    doc.items.forEach(item => {
+      changed = convertFields(item, { amounts: ['price'] }) || changed;
+    });
+  }
+
+  return changed;
+};
+
+const migrateCollection = async ({ model, revisions = false, ...fields }) => {
+  const collection = model.collection;
+  const oldPaths = [
+    ...(fields.amounts || []),
+    ...(fields.maps || []),
+    ...(fields.items ? ['items.price'] : []),
+    ...(revisions ? ['revisions.amount', 'revisions.items.price'] : [])
+  ];
+
+  // Raw collection access skips the soft-delete hooks, so trashed
+  // documents are migrated as well
+  const cursor = collection.find({ $or: oldPaths.map(path => ({ [path]: { $exists: true } })) });
+  let migrated = 0;
+
+  for await (const doc of cursor) {
+    let changed = convertFields(doc, fields);
+
+    if (revisions && Array.isArray(doc.revisions)) {
+      doc.revisions.forEach(revision => {
+        changed = convertFields(revision, { ...fields, items: true }) || changed;
+      });
+    }
+
+    if (changed) {
+      await collection.replaceOne({ _id: doc._id }, doc);
+      migrated += 1;
+    }
+  }
+
+  return migrated;
+};
+
+// Migrate every collection that holds money; returns the number of
+// documents rewritten per collection
+const migrateMoneyToCents = async () => {
+  const migrated = {};
+
+  for (const fields of MONEY_FIELDS) {
+    migrated[fields.model.collection.collectionName] = await migrateCollection(fields);
+  }
+
+  return migrated;
+};
+
+if (require.main === module) {
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/splitwise')
+    .then(migrateMoneyToCents)
+    .then(migrated => {
+      console.log('Migrated money to cents:', migrated);
+      return mongoose.disconnect();
+    })
+    .catch(error => {
+      console.error('Migration error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  convertFields,
+  migrateMoneyToCents
+};
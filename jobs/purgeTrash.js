@@ -0,0 +1,77 @@
+const {
+  Group,
+  Expense,
+  RecurringExpense,
+  Payment,
+  Invite,
+  Budget,
+  BudgetAlert
+} = require('../models/schemas');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_INTERVAL_MS = DAY_MS;
+
+// How long trashed groups and expenses are kept (TRASH_RETENTION_DAYS)
+const getRetentionDays = () => {
+  return Number(process.env.TRASH_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS;
+};
+
+// Permanently remove groups together with everything stored under them
+// (inside the given transaction session, if any)
+const purgeGroups = async (groupIds, session = null) => {
+  if (groupIds.length === 0) {
+    return;
+  }
+
+  const options = { session };
+  await Expense.deleteMany({ groupId: { $in: groupIds } }, options);
+  await RecurringExpense.deleteMany({ groupId: { $in: groupIds } }, options);
+  await Payment.deleteMany({ groupId: { $in: groupIds } }, options);
+  await Invite.deleteMany({ groupId: { $in: groupIds } }, options);
+  await BudgetAlert.deleteMany({ groupId: { $in: groupIds } }, options);
+  await Budget.deleteMany({ groupId: { $in: groupIds } }, options);
+  await Group.deleteMany({ _id: { $in: groupIds } }, options);
+};
+
+// Permanently remove trashed groups (with everything in them) and trashed
+// expenses that have been in the trash longer than the retention period.
+// The activity log is append-only and is kept.
+const purgeTrash = async (now = new Date(), retentionDays = getRetentionDays()) => {
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+
+  const groupIds = await Group.distinct('_id', { deletedAt: { $ne: null, $lt: cutoff } });
+
+  await purgeGroups(groupIds);
+
+  const expenses = await Expense.deleteMany({ deletedAt: { $ne: null, $lt: cutoff } });
+
+  return { groups: groupIds.length, expenses: expenses.deletedCount };
+};
+
+// Start the in-process purge job; returns a function that stops it
+const startTrashPurgeScheduler = (intervalMs = DEFAULT_INTERVAL_MS) => {
+  const tick = async () => {
+    try {
+      const purged = await purgeTrash();
+      if (purged.groups > 0 || purged.expenses > 0) {
+        console.log(`🗑️  Purged ${purged.groups} group(s) and ${purged.expenses} expense(s) from trash`);
+      }
+    } catch (error) {
+      console.error('Trash purge job error:', error.message);
+    }
+  };
+
+  tick();
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  getRetentionDays,
+  purgeGroups,
+  purgeTrash,
+  startTrashPurgeScheduler
+};
@@ -0,0 +1,176 @@
+const { Expense, Group, RecurringExpense } = require('../models/schemas');
+const { occurrenceDate } = require('../utils/recurrence');
+const { recordActivity } = require('../utils/activity');
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+
+// Set nextOccurrenceAt from nextOccurrenceIndex (null once past the end date)
+const scheduleNextOccurrence = (template) => {
+  const next = occurrenceDate(
+    template.startDate,
+    template.frequency,
+    template.interval,
+    template.nextOccurrenceIndex
+  );
+
+  template.nextOccurrenceAt = template.endDate && next > template.endDate ? null : next;
+};
+
+// Move the schedule past occurrences that fell before `now` without
+// creating them (used when resuming a paused template)
+const skipPastOccurrences = (template, now = new Date()) => {
+  while (template.nextOccurrenceAt && template.nextOccurrenceAt < now) {
+    template.nextOccurrenceIndex += 1;
+    scheduleNextOccurrence(template);
+  }
+};
+
+const toPlainMap = (map) => (map ? Object.fromEntries(map) : null);
+
+// Create an expense for every occurrence of the template that is due by
+// `now`. Expenses are upserted on (recurringId, occurrenceDate), so a re-run
+// or a second process never creates the same occurrence twice.
+const materializeTemplate = async (template, now = new Date()) => {
+  const skipped = new Set(template.skippedDates.map(d => d.getTime()));
+  let created = 0;
+
+  while (template.nextOccurrenceAt && template.nextOccurrenceAt <= now) {
+    const date = template.nextOccurrenceAt;
+
+    if (!skipped.has(date.getTime())) {
+      try {
+        const result = await Expense.updateOne(
+          { recurringId: template._id, occurrenceDate: date },
+          {
+            $setOnInsert: {
+              groupId: template.groupId,
+              title: template.title,
+              amountCents: template.amountCents,
+              currency: template.currency,
+              exchangeRate: template.exchangeRate,
+              paidBy: template.paidBy,
+              date,
+              splitAmong: template.splitAmong,
+              splitMethod: template.splitMethod,
+              customAmountCents: toPlainMap(template.customAmountCents),
+              percentages: toPlainMap(template.percentages),
+              shares: toPlainMap(template.shares),
+              category: template.category,
+              createdBy: template.createdBy
+            }
+          },
+          { upsert: true }
+        );
+        created += result.upsertedCount;
+
+        if (result.upsertedCount > 0) {
+          await recordActivity({
+            groupId: template.groupId,
+            action: 'create',
+            entityType: 'expense',
+            entityId: result.upsertedId,
+            summary: `Added recurring ${template.title}`,
+            after: {
+              _id: result.upsertedId,
+              recurringId: template._id,
+              title: template.title,
+              amount: template.amount,
+              date
+            }
+          });
+        }
+      } catch (error) {
+        // Another process inserted the same occurrence first
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+    }
+
+    template.nextOccurrenceIndex += 1;
+    scheduleNextOccurrence(template);
+  }
+
+  await template.save();
+
+  if (created > 0) {
+    await Group.findByIdAndUpdate(template.groupId, { updatedAt: Date.now() });
+  }
+
+  return created;
+};
+
+// Materialize all active templates that have an occurrence due
+const runDueRecurringExpenses = async (now = new Date()) => {
+  // Templates of trashed groups wait until the group is restored
+  const trashedGroupIds = await Group.distinct('_id', { deletedAt: { $ne: null } });
+
+  const templates = await RecurringExpense.find({
+    paused: false,
+    nextOccurrenceAt: { $ne: null, $lte: now },
+    groupId: { $nin: trashedGroupIds }
+  });
+
+  let created = 0;
+  for (const template of templates) {
+    try {
+      created += await materializeTemplate(template, now);
+    } catch (error) {
+      console.error(`Recurring expense ${template._id} error:`, error.message);
+    }
+  }
+
+  return created;
+};
+
+let running = false;
+let runAgain = false;
+
+// One scheduler run; a run requested while another is in progress happens
+// right after it instead of overlapping with it
+const tick = async () => {
+  if (running) {
+    runAgain = true;
+    return;
+  }
+  running = true;
+
+  try {
+    const created = await runDueRecurringExpenses();
+    if (created > 0) {
+      console.log(`🔁 Created ${created} recurring expense(s)`);
+    }
+  } catch (error) {
+    console.error('Recurring expense job error:', error.message);
+  } finally {
+    running = false;
+    if (runAgain) {
+      runAgain = false;
+      setImmediate(tick);
+    }
+  }
+};
+
+// Ask the scheduler to create due occurrences soon (e.g. after a template
+// with a start date in the past was saved) without waiting for it
+const requestRecurringRun = () => {
+  setImmediate(tick);
+};
+
+// Start the in-process scheduler; returns a function that stops it
+const startRecurringExpenseScheduler = (intervalMs = DEFAULT_INTERVAL_MS) => {
+  tick();
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  scheduleNextOccurrence,
+  skipPastOccurrences,
+  materializeTemplate,
+  runDueRecurringExpenses,
+  requestRecurringRun,
+  startRecurringExpenseScheduler
+};
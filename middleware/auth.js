@@ -1,19 +1,41 @@
 const jwt = require('jsonwebtoken');
+const { Session } = require('../models/schemas');
+const { ApiError } = require('./errors');
+
+// Verify the access token and that its session has not been revoked
+// (tokens issued without a session can not be revoked and are refused)
+const authMiddleware = async (req, res, next) => {
+  let decoded;
 
-const authMiddleware = (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
     if (!token) {
-      return res.status(401).json({ error: 'Authentication required' });
+      return next(new ApiError(401, 'Authentication required'));
     }
     
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.userId = decoded.userId;
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return next(new ApiError(401, 'Invalid token', { code: 'INVALID_TOKEN' }));
+  }
+
+  if (!decoded.sessionId) {
+    return next(new ApiError(401, 'Invalid token', { code: 'INVALID_TOKEN' }));
+  }
+
+  try {
+    const session = await Session.findById(decoded.sessionId).select('revokedAt expiresAt');
+
+    if (!session || !session.isActive()) {
+      return next(new ApiError(401, 'Session has been revoked', { code: 'SESSION_REVOKED' }));
+    }
   } catch (error) {
-    res.status(401).json({ error: 'Invalid token' });
+    return next(error);
   }
+
+  req.userId = decoded.userId;
+  req.sessionId = decoded.sessionId;
+  next();
 };
 
-module.exports = authMiddleware;
\ No newline at end of file
+module.exports = authMiddleware;
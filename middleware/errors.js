@@ -0,0 +1,114 @@
+// Every error leaves the API in one envelope:
+//   { success: false, error: 'message', code: 'MACHINE_CODE', details? }
+// `code` is stable for clients to branch on; `details` lists field-level
+// problems as { location, field, message }.
+//
+// Apps mounting these routers should register errorEnvelope before the
+// routers and notFound + errorHandler after them.
+
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR'
+};
+
+const codeForStatus = (status) => {
+  return STATUS_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+};
+
+class ApiError extends Error {
+  constructor(status, message, { code, details } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code || codeForStatus(status);
+    this.details = details;
+  }
+}
+
+const errorBody = (status, message, code, details) => ({
+  success: false,
+  error: message,
+  code: code || codeForStatus(status),
+  ...(details && details.length > 0 ? { details } : {})
+});
+
+// Handlers that answer errors themselves send { error } bodies; fill in
+// the rest of the envelope so clients always get `success` and `code`
+const errorEnvelope = (req, res, next) => {
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body) &&
+        body.error !== undefined) {
+      const { error, code, details, ...rest } = body;
+      return json({ ...rest, ...errorBody(res.statusCode, error, code, details) });
+    }
+    return json(body);
+  };
+
+  next();
+};
+
+// Requests that matched no route
+const notFound = (req, res, next) => {
+  next(new ApiError(404, `Route not found: ${req.method} ${req.path}`));
+};
+
+// Turn known error types into the envelope; anything else is logged and
+// answered with a generic 500
+const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  if (err instanceof ApiError) {
+    return res.status(err.status).json(errorBody(err.status, err.message, err.code, err.details));
+  }
+
+  // Malformed or oversized JSON bodies (from express.json)
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json(errorBody(400, 'Request body is not valid JSON', 'INVALID_JSON'));
+  }
+
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json(errorBody(413, 'Request body is too large'));
+  }
+
+  // Mongoose: a value that cannot be cast, e.g. a malformed ObjectId
+  if (err.name === 'CastError') {
+    const message = err.kind === 'ObjectId' ? `Invalid ${err.path}` : `${err.path} has an invalid value`;
+    return res.status(400).json(errorBody(400, message, err.kind === 'ObjectId' ? 'INVALID_ID' : 'VALIDATION_ERROR', [
+      { location: 'body', field: err.path, message }
+    ]));
+  }
+
+  if (err.name === 'ValidationError' && err.errors) {
+    const details = Object.values(err.errors).map(e => ({
+      location: 'body',
+      field: e.path,
+      message: e.message
+    }));
+    return res.status(400).json(errorBody(400, details[0] ? details[0].message : 'Validation failed', 'VALIDATION_ERROR', details));
+  }
+
+  if (err.code === 11000) {
+    return res.status(409).json(errorBody(409, 'A record with these values already exists', 'DUPLICATE'));
+  }
+
+  console.error('Unhandled error:', err);
+  res.status(500).json(errorBody(500, 'Server error'));
+};
+
+module.exports = {
+  ApiError,
+  codeForStatus,
+  errorEnvelope,
+  notFound,
+  errorHandler
+};
@@ -0,0 +1,57 @@
+const { Group } = require('../models/schemas');
+const { ApiError } = require('./errors');
+const { isObjectId } = require('./validate');
+
+// Role hierarchy: each role can do everything the roles below it can
+const ROLE_RANK = { viewer: 1, member: 2, admin: 3, owner: 4 };
+
+// Roles that can be held by linked members; 'owner' is the group creator
+const ASSIGNABLE_ROLES = ['admin', 'member', 'viewer'];
+
+const hasRole = (role, minRole) => {
+  return (ROLE_RANK[role] || 0) >= ROLE_RANK[minRole];
+};
+
+// Loads the group whose ID is in req.params[param] (or req.body[param])
+// and only lets the request through if the user holds at least minRole.
+// The group and the user's role are exposed as req.group and req.groupRole.
+const requireGroupRole = (minRole, param = 'id') => async (req, res, next) => {
+  try {
+    const groupId = req.params[param] || (req.body && req.body[param]);
+
+    if (!groupId) {
+      return next(new ApiError(400, 'Group ID is required', { code: 'VALIDATION_ERROR' }));
+    }
+
+    if (!isObjectId(groupId)) {
+      return next(new ApiError(400, `Invalid ${param}`, { code: 'INVALID_ID' }));
+    }
+
+    const group = await Group.findOne({
+      _id: groupId,
+      ...Group.accessFilter(req.userId)
+    });
+
+    if (!group) {
+      return next(new ApiError(404, 'Group not found'));
+    }
+
+    const role = group.roleFor(req.userId);
+    if (!hasRole(role, minRole)) {
+      return next(new ApiError(403, 'You do not have permission to do this in this group'));
+    }
+
+    req.group = group;
+    req.groupRole = role;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  ROLE_RANK,
+  ASSIGNABLE_ROLES,
+  hasRole,
+  requireGroupRole
+};
@@ -0,0 +1,128 @@
+const { ApiError } = require('./errors');
+
+// Fixed-window rate limiting. Counters live in a store: any object with an
+// async `increment(key, windowMs)` resolving to { count, resetAt } and an
+// async `reset(key)`. The default store keeps counters in process memory,
+// which is enough for a single instance; when running several instances,
+// plug in a shared one (e.g. backed by Redis INCR + PEXPIRE) with
+// setRateLimitStore so they all count together.
+
+const createMemoryStore = ({ cleanupIntervalMs = 60 * 1000 } = {}) => {
+  const hits = new Map();
+
+  // Drop expired windows so the map does not grow forever
+  const timer = setInterval(() => {
+    const now = Date.now();
+    hits.forEach((entry, key) => {
+      if (entry.resetAt <= now) {
+        hits.delete(key);
+      }
+    });
+  }, cleanupIntervalMs);
+  timer.unref();
+
+  return {
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      let entry = hits.get(key);
+
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        hits.set(key, entry);
+      }
+
+      entry.count += 1;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+    reset: async (key) => {
+      hits.delete(key);
+    }
+  };
+};
+
+let store = null;
+
+const getRateLimitStore = () => {
+  if (!store) {
+    store = createMemoryStore();
+  }
+  return store;
+};
+
+// Replace the counter store (e.g. with a shared one across instances)
+const setRateLimitStore = (next) => {
+  store = next;
+};
+
+// Per-route policies: strict for unauthenticated auth endpoints, looser for
+// reads than for writes. Limits can be raised with RATE_LIMIT_<NAME>_MAX.
+const RATE_LIMIT_POLICIES = {
+  auth: { windowMs: 15 * 60 * 1000, max: 20 },
+  login: { windowMs: 15 * 60 * 1000, max: 10 },
+  write: { windowMs: 60 * 1000, max: 60 },
+  read: { windowMs: 60 * 1000, max: 300 }
+};
+
+const policyMax = (name) => {
+  return Number(process.env[`RATE_LIMIT_${name.toUpperCase()}_MAX`]) || RATE_LIMIT_POLICIES[name].max;
+};
+
+// Signed-in requests are counted per user, everything else per IP
+const defaultKey = (req) => (req.userId ? `user:${req.userId}` : `ip:${req.ip}`);
+
+// Build a middleware enforcing a named policy. `key` picks what is counted
+// (return null to skip counting the request).
+const rateLimit = (name, { key = defaultKey } = {}) => {
+  const policy = RATE_LIMIT_POLICIES[name];
+  if (!policy) {
+    throw new Error(`Unknown rate limit policy: ${name}`);
+  }
+
+  return async (req, res, next) => {
+    const id = key(req);
+    if (!id) {
+      return next();
+    }
+
+    const max = policyMax(name);
+    let result;
+
+    try {
+      result = await getRateLimitStore().increment(`${name}:${id}`, policy.windowMs);
+    } catch (error) {
+      // A broken store should not take the API down with it
+      console.error('Rate limit store error:', error.message);
+      return next();
+    }
+
+    const resetSeconds = Math.max(0, Math.ceil((result.resetAt - Date.now()) / 1000));
+    res.setHeader('RateLimit-Limit', max);
+    res.setHeader('RateLimit-Remaining', Math.max(0, max - result.count));
+    res.setHeader('RateLimit-Reset', resetSeconds);
+
+    if (result.count > max) {
+      res.setHeader('Retry-After', resetSeconds);
+      return next(new ApiError(429, 'Too many requests, please try again later'));
+    }
+
+    next();
+  };
+};
+
+// Read policy for GET/HEAD requests, write policy for everything else
+const readLimit = rateLimit('read');
+const writeLimit = rateLimit('write');
+
+const apiRateLimit = (req, res, next) => {
+  const limiter = req.method === 'GET' || req.method === 'HEAD' ? readLimit : writeLimit;
+  return limiter(req, res, next);
+};
+
+module.exports = {
+  RATE_LIMIT_POLICIES,
+  createMemoryStore,
+  getRateLimitStore,
+  setRateLimitStore,
+  rateLimit,
+  apiRateLimit
+};
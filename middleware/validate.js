@@ -0,0 +1,201 @@
+const { ApiError } = require('./errors');
+
+// Declarative request validation. A schema maps each part of the request
+// (params, query, body) to rules per field:
+//   type       string, number, integer, boolean, objectId, date, array, object
+//   required   the field must be present (null counts as missing)
+//   nullable   null is accepted as "not set"
+//   enum       allowed values
+//   min, max   bounds for numbers
+//   positive   numbers must be greater than zero
+//   minLength, maxLength   bounds for string length or array size
+//   pattern    regular expression strings must match
+//   notBlank   strings must contain more than whitespace ('' is otherwise
+//              treated as not set)
+//   items      rule for every element of an array
+//   values     rule for every value of an object (e.g. per-member amounts)
+//   message    replaces the generated message for this field
+// Params and query values arrive as text, so numbers and booleans there are
+// checked by what they parse to. Unknown fields are left alone; rules only
+// check shape and type, handlers still check values against the database.
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  objectId: value => typeof value === 'string' && OBJECT_ID_PATTERN.test(value),
+  date: value => (typeof value === 'string' || typeof value === 'number') &&
+    !isNaN(new Date(value).getTime()),
+  array: value => Array.isArray(value),
+  object: isPlainObject
+};
+
+const TYPE_NAMES = {
+  string: 'text',
+  number: 'a number',
+  integer: 'a whole number',
+  boolean: 'true or false',
+  objectId: 'a valid ID',
+  date: 'a valid date',
+  array: 'a list',
+  object: 'an object'
+};
+
+// Text from the URL parsed into the type the rule expects
+const fromText = (type, value) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  if ((type === 'number' || type === 'integer') && value.trim() !== '') {
+    return Number(value);
+  }
+  if (type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+};
+
+// Check one value against a rule. Returns an error message or null.
+const checkValue = (rule, value, field) => {
+  if (rule.type && !TYPE_CHECKS[rule.type](value)) {
+    return `${field} must be ${TYPE_NAMES[rule.type]}`;
+  }
+
+  if (rule.notBlank && typeof value === 'string' && !value.trim()) {
+    return `${field} cannot be empty`;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `${field} must be one of: ${rule.enum.join(', ')}`;
+  }
+
+  if (typeof value === 'number') {
+    if (rule.positive && value <= 0) {
+      return `${field} must be greater than 0`;
+    }
+    if (rule.min !== undefined && value < rule.min) {
+      return `${field} must be at least ${rule.min}`;
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      return `${field} must be at most ${rule.max}`;
+    }
+  }
+
+  if (typeof value === 'string' || Array.isArray(value)) {
+    const unit = typeof value === 'string' ? 'characters' : 'entries';
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      return rule.minLength === 1 && typeof value === 'string'
+        ? `${field} cannot be empty`
+        : `${field} must have at least ${rule.minLength} ${unit}`;
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      return `${field} must have at most ${rule.maxLength} ${unit}`;
+    }
+  }
+
+  if (rule.pattern && typeof value === 'string' && !rule.pattern.test(value)) {
+    return `${field} has an invalid format`;
+  }
+
+  if (rule.items && Array.isArray(value)) {
+    for (let i = 0; i < value.length; i++) {
+      const error = checkValue(rule.items, value[i], `${field}[${i}]`);
+      if (error) {
+        return error;
+      }
+    }
+  }
+
+  if (rule.values && isPlainObject(value)) {
+    for (const [key, entry] of Object.entries(value)) {
+      const error = checkValue(rule.values, entry, `${field}.${key}`);
+      if (error) {
+        return error;
+      }
+    }
+  }
+
+  return null;
+};
+
+// Check every field of one part of the request. Returns a list of details.
+const checkFields = (rules, source, location) => {
+  const details = [];
+
+  Object.entries(rules).forEach(([field, rule]) => {
+    const raw = source ? source[field] : undefined;
+
+    if (raw === undefined || raw === null || (raw === '' && !rule.notBlank)) {
+      if (rule.required) {
+        details.push({ location, field, message: rule.message || `${field} is required` });
+      } else if (raw === null && !rule.nullable && location === 'body') {
+        details.push({ location, field, message: rule.message || `${field} cannot be null` });
+      }
+      return;
+    }
+
+    const value = location === 'body' ? raw : fromText(rule.type, raw);
+    const error = checkValue(rule, value, field);
+    if (error) {
+      details.push({ location, field, message: rule.message || error });
+    }
+  });
+
+  return details;
+};
+
+// Build a middleware validating the request against a schema
+// ({ params, query, body }). Problems are passed on as one 400 error
+// listing every invalid field.
+const validate = (schema) => (req, res, next) => {
+  const details = [
+    ...checkFields(schema.params || {}, req.params, 'params'),
+    ...checkFields(schema.query || {}, req.query, 'query'),
+    ...checkFields(schema.body || {}, req.body, 'body')
+  ];
+
+  if (schema.body && req.body !== undefined && !isPlainObject(req.body)) {
+    details.unshift({ location: 'body', field: null, message: 'Request body must be a JSON object' });
+  }
+
+  if (details.length > 0) {
+    return next(new ApiError(400, details[0].message, { code: 'VALIDATION_ERROR', details }));
+  }
+
+  next();
+};
+
+// Check a plain object against body rules outside of a request, e.g. the
+// rows of an import. Returns the first problem's message, or null.
+const checkBody = (rules, body) => {
+  const [problem] = checkFields(rules, body, 'body');
+  return problem ? problem.message : null;
+};
+
+// For router.param: reject malformed IDs in the URL before they reach a
+// query (Mongoose would otherwise throw a CastError)
+const objectIdParam = (req, res, next, value, name) => {
+  if (!OBJECT_ID_PATTERN.test(value)) {
+    return next(new ApiError(400, `Invalid ${name}`, {
+      code: 'INVALID_ID',
+      details: [{ location: 'params', field: name, message: `${name} must be a valid ID` }]
+    }));
+  }
+  next();
+};
+
+const isObjectId = (value) => typeof value === 'string' && OBJECT_ID_PATTERN.test(value);
+
+module.exports = {
+  validate,
+  checkBody,
+  objectIdParam,
+  isObjectId
+};
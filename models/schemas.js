@@ -1,4 +1,100 @@
 const mongoose = require('mongoose');
+const { DEFAULT_CURRENCY } = require('../config/currencies');
+const { toCents, fromCents } = require('../utils/split');
+
+// Soft delete: trashed documents (deletedAt set) are hidden from queries
+// unless the filter mentions deletedAt explicitly, e.g. to list the trash
+const SOFT_DELETE_QUERIES = [
+  'find', 
+  'findOne', 
+  'findOneAndUpdate', 
+  'findOneAndDelete', 
+  'countDocuments'
+];
+
+function excludeTrashed() {
+  if (this.getFilter().deletedAt === undefined) {
+    this.where({ deletedAt: null });
+  }
+}
+
+// Creator of a record: required when it is created, and cleared once the
+// creator deletes their account and the group is kept without an owner
+// (see utils/account)
+const CREATED_BY = {
+  type: mongoose.Schema.Types.ObjectId,
+  ref: 'User',
+  required() {
+    return this.isNew;
+  },
+  default: null
+};
+
+// Money is stored in integer cents (`<name>Cents` paths), so sums and
+// updates such as $inc stay exact. Code and request bodies use a `<name>`
+// virtual in major units instead, which is also what documents serialize to.
+const CENTS = {
+  type: Number,
+  validate: { validator: Number.isInteger, message: '{PATH} must be a whole number of cents' }
+};
+
+const centsToAmounts = (map) => {
+  if (!map) {
+    return null;
+  }
+  const entries = map instanceof Map ? [...map.entries()] : Object.entries(map);
+  return Object.fromEntries(entries.map(([key, cents]) => [key, fromCents(cents)]));
+};
+
+const amountsToCents = (amounts) => {
+  if (!amounts) {
+    return null;
+  }
+  const entries = amounts instanceof Map ? [...amounts.entries()] : Object.entries(amounts);
+  return Object.fromEntries(entries.map(([key, amount]) => [key, toCents(amount)]));
+};
+
+// Add a `<name>` virtual for each `<name>Cents` path (`maps` hold
+// per-member cents) and serialize documents with amounts instead of cents
+function moneyPaths(schema, { amounts = [], maps = {} }) {
+  amounts.forEach(name => {
+    const path = `${name}Cents`;
+    schema.virtual(name)
+      .get(function () {
+        const cents = this.get(path);
+        return cents === null || cents === undefined ? cents : fromCents(cents);
+      })
+      .set(function (amount) {
+        this.set(path, amount === null || amount === undefined ? amount : toCents(amount));
+      });
+  });
+
+  Object.entries(maps).forEach(([name, path]) => {
+    schema.virtual(name)
+      .get(function () {
+        return centsToAmounts(this.get(path));
+      })
+      .set(function (amounts) {
+        this.set(path, amountsToCents(amounts));
+      });
+  });
+
+  // Serialize the amount virtuals in place of the cents (and without the
+  // `id` virtual, which documents have never been serialized with)
+  const centsPaths = [...amounts.map(name => `${name}Cents`), ...Object.values(maps)];
+  const options = {
+    virtuals: true,
+    transform: (doc, ret) => {
+      centsPaths.forEach(path => {
+        delete ret[path];
+      });
+      delete ret.id;
+      return ret;
+    }
+  };
+  schema.set('toJSON', options);
+  schema.set('toObject', options);
+}
 
 // User Schema
 const userSchema = new mongoose.Schema({
@@ -12,26 +108,209 @@ const userSchema = new mongoose.Schema({
   },
   password: { type: String, required: true, minlength: 6 },
   phone: { type: String, trim: true, default: '' },
+  emailVerifiedAt: { type: Date, default: null },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
 
 userSchema.index({ email: 1 });
 
+// Auth Token Schema (single-use tokens sent by email; only the hash is kept)
+const authTokenSchema = new mongoose.Schema({
+  user: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true 
+  },
+  type: { 
+    type: String, 
+    enum: ['password-reset', 'email-verification', 'account-unlock'], 
+    required: true 
+  },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+authTokenSchema.index({ user: 1, type: 1 });
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Session Schema (one per signed-in device, holding its refresh token)
+const sessionSchema = new mongoose.Schema({
+  user: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true 
+  },
+  // Only hashes are stored; the previous one is kept to detect a rotated
+  // refresh token being used again
+  refreshTokenHash: { type: String, required: true },
+  previousTokenHash: { type: String, default: null },
+  userAgent: { type: String, default: '' },
+  ip: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  revokedReason: { type: String, default: null }
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB drop sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+// Login Lockout Schema (failed logins per email address and client IP,
+// kept whether or not an account uses the address)
+const loginLockoutSchema = new mongoose.Schema({
+  email: { type: String, required: true, lowercase: true, trim: true },
+  ip: { type: String, default: '' },
+  // Failures since the last lock or success, how many times the pair has
+  // been locked in a row, and until when it is locked
+  failedAttempts: { type: Number, default: 0 },
+  lockCount: { type: Number, default: 0 },
+  lockedUntil: { type: Date, default: null },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+loginLockoutSchema.index({ email: 1, ip: 1 }, { unique: true });
+// Forget pairs with no failed login for a day
+loginLockoutSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Linked Member Schema (binds a group member name to a user account)
+const linkedMemberSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  user: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true 
+  },
+  // The group owner (createdBy) always has full control regardless of role
+  role: { 
+    type: String, 
+    enum: ['admin', 'member', 'viewer'], 
+    default: 'member' 
+  },
+  linkedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Custom expense category defined by a group (on top of the defaults)
+const categorySchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  icon: { type: String, default: '' },
+  color: { type: String, default: '' }
+}, { _id: false });
+
+// Keyword rule for the categorizer. Manual rules are edited by members;
+// learned rules come from categories picked by hand and match the whole
+// (normalized) title.
+const categoryRuleSchema = new mongoose.Schema({
+  keyword: { type: String, required: true, lowercase: true, trim: true },
+  category: { type: String, required: true },
+  source: { 
+    type: String, 
+    enum: ['manual', 'learned'], 
+    default: 'manual' 
+  },
+  hits: { type: Number, default: 1 },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  updatedAt: { type: Date, default: Date.now }
+});
+
 // Group Schema
 const groupSchema = new mongoose.Schema({
   name: { type: String, required: true, trim: true },
   members: [{ type: String, required: true }],
-  createdBy: { 
-    type: mongoose.Schema.Types.ObjectId, 
-    ref: 'User', 
-    required: true 
+  linkedMembers: { type: [linkedMemberSchema], default: [] },
+  baseCurrency: { 
+    type: String, 
+    uppercase: true, 
+    trim: true, 
+    default: DEFAULT_CURRENCY 
   },
+  categories: { type: [categorySchema], default: [] },
+  categoryRules: { type: [categoryRuleSchema], default: [] },
+  createdBy: CREATED_BY,
+  deletedAt: { type: Date, default: null },
+  deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
 
 groupSchema.index({ createdBy: 1 });
+groupSchema.index({ 'linkedMembers.user': 1 });
+groupSchema.index({ deletedAt: 1 });
+groupSchema.pre(SOFT_DELETE_QUERIES, excludeTrashed);
+
+// Query filter for groups a user can access: the ones they created
+// plus the ones where they are linked to a member
+groupSchema.statics.accessFilter = function (userId) {
+  return { 
+    $or: [
+      { createdBy: userId }, 
+      { 'linkedMembers.user': userId }
+    ] 
+  };
+};
+
+// Name of the member the user is linked to, or null
+groupSchema.methods.memberNameFor = function (userId) {
+  const link = this.linkedMembers.find(l => l.user.toString() === userId.toString());
+  return link ? link.name : null;
+};
+
+// Role of the user in this group: 'owner', a linked member's role, or null
+groupSchema.methods.roleFor = function (userId) {
+  // Groups left behind by a deleted account have no owner
+  if (this.createdBy && this.createdBy.equals(userId)) {
+    return 'owner';
+  }
+  const link = this.linkedMembers.find(l => l.user.toString() === userId.toString());
+  return link ? link.role : null;
+};
+
+// Receipt Item Schema (line item of an itemized expense)
+const receiptItemSchema = new mongoose.Schema({
+  description: { type: String, required: true, trim: true },
+  priceCents: { ...CENTS, required: true, min: 0 },
+  sharedBy: [{ type: String, required: true }]
+}, { _id: false });
+
+moneyPaths(receiptItemSchema, { amounts: ['price'] });
+
+// Expense Revision Schema (snapshot of an expense before it was edited)
+const expenseRevisionSchema = new mongoose.Schema({
+  groupId: { type: mongoose.Schema.Types.ObjectId, ref: 'Group' },
+  title: String,
+  amountCents: CENTS,
+  currency: String,
+  exchangeRate: Number,
+  paidBy: String,
+  date: Date,
+  splitAmong: [String],
+  splitMethod: String,
+  customAmountCents: { type: Map, of: CENTS, default: null },
+  percentages: { type: Map, of: Number, default: null },
+  shares: { type: Map, of: Number, default: null },
+  items: [receiptItemSchema],
+  taxCents: CENTS,
+  tipCents: CENTS,
+  serviceChargeCents: CENTS,
+  category: String,
+  notes: String,
+  updatedAt: Date,
+  revisedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  revisedAt: { type: Date, default: Date.now }
+});
+
+moneyPaths(expenseRevisionSchema, {
+  amounts: ['amount', 'tax', 'tip', 'serviceCharge'],
+  maps: { customAmounts: 'customAmountCents' }
+});
 
 // Expense Schema
 const expenseSchema = new mongoose.Schema({
@@ -41,34 +320,302 @@ const expenseSchema = new mongoose.Schema({
     required: true 
   },
   title: { type: String, required: true, trim: true },
-  amount: { type: Number, required: true, min: 0.01 },
+  notes: { type: String, trim: true, maxlength: 1000, default: '' },
+  amountCents: { ...CENTS, required: true, min: 1 },
+  // Currency the expense was entered in, and the rate used at entry time
+  // to convert it into the group's base currency
+  currency: { 
+    type: String, 
+    uppercase: true, 
+    trim: true, 
+    default: DEFAULT_CURRENCY 
+  },
+  exchangeRate: { type: Number, min: 0, default: 1 },
   paidBy: { type: String, required: true },
   date: { type: Date, required: true },
   splitAmong: [{ type: String, required: true }],
   splitMethod: { 
     type: String, 
-    enum: ['equal', 'custom'], 
+    enum: ['equal', 'custom', 'percentage', 'shares', 'itemized'], 
     default: 'equal' 
   },
-  customAmounts: { type: Map, of: Number, default: null },
-  category: { 
+  // Per-member amounts; for itemized expenses these are computed from items
+  customAmountCents: { type: Map, of: CENTS, default: null },
+  // Original input for percentage/shares splits, kept for display and editing
+  percentages: { type: Map, of: Number, default: null },
+  shares: { type: Map, of: Number, default: null },
+  // Itemized receipt: line items plus charges spread over item subtotals
+  items: { type: [receiptItemSchema], default: undefined },
+  taxCents: { ...CENTS, min: 0, default: 0 },
+  tipCents: { ...CENTS, min: 0, default: 0 },
+  serviceChargeCents: { ...CENTS, min: 0, default: 0 },
+  // A default category or one of the group's custom categories
+  category: { type: String, trim: true, default: 'Other' },
+  createdBy: CREATED_BY,
+  // Set when the expense was generated from a recurring template
+  recurringId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'RecurringExpense', 
+    default: null 
+  },
+  occurrenceDate: { type: Date, default: null },
+  revisions: { type: [expenseRevisionSchema], default: [] },
+  deletedAt: { type: Date, default: null },
+  deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  // Trashed together with its group (restored when the group is restored)
+  deletedWithGroup: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Listing indexes: each sort order pages on (field, _id) within a group,
+// and the common filters are served with the default date order
+expenseSchema.index({ groupId: 1, date: -1, _id: -1 });
+expenseSchema.index({ groupId: 1, createdAt: -1, _id: -1 });
+expenseSchema.index({ groupId: 1, amountCents: -1, _id: -1 });
+expenseSchema.index({ groupId: 1, category: 1, date: -1 });
+expenseSchema.index({ groupId: 1, paidBy: 1, date: -1 });
+expenseSchema.index({ groupId: 1, splitAmong: 1, date: -1 });
+// Full-text search, ranking title matches above notes and category
+expenseSchema.index(
+  { title: 'text', notes: 'text', category: 'text' },
+  { name: 'expense_text', weights: { title: 10, notes: 4, category: 2 } }
+);
+expenseSchema.index({ deletedAt: 1 });
+expenseSchema.pre(SOFT_DELETE_QUERIES, excludeTrashed);
+moneyPaths(expenseSchema, {
+  amounts: ['amount', 'tax', 'tip', 'serviceCharge'],
+  maps: { customAmounts: 'customAmountCents' }
+});
+// One expense per template occurrence, so the scheduler can safely re-run
+expenseSchema.index(
+  { recurringId: 1, occurrenceDate: 1 }, 
+  { unique: true, partialFilterExpression: { recurringId: { $type: 'objectId' } } }
+);
+
+// Recurring Expense Schema (template materialized into expenses on schedule)
+const recurringExpenseSchema = new mongoose.Schema({
+  groupId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Group', 
+    required: true 
+  },
+  title: { type: String, required: true, trim: true },
+  amountCents: { ...CENTS, required: true, min: 1 },
+  currency: { 
+    type: String, 
+    uppercase: true, 
+    trim: true, 
+    default: DEFAULT_CURRENCY 
+  },
+  exchangeRate: { type: Number, min: 0, default: 1 },
+  paidBy: { type: String, required: true },
+  splitAmong: [{ type: String, required: true }],
+  splitMethod: { 
+    type: String, 
+    enum: ['equal', 'custom', 'percentage', 'shares'], 
+    default: 'equal' 
+  },
+  customAmountCents: { type: Map, of: CENTS, default: null },
+  percentages: { type: Map, of: Number, default: null },
+  shares: { type: Map, of: Number, default: null },
+  // A default category or one of the group's custom categories
+  category: { type: String, trim: true, default: 'Other' },
+  frequency: { 
+    type: String, 
+    enum: ['daily', 'weekly', 'monthly', 'yearly'], 
+    required: true 
+  },
+  interval: { type: Number, min: 1, default: 1 },
+  startDate: { type: Date, required: true },
+  endDate: { type: Date, default: null },
+  // Index and date of the next occurrence still to be materialized
+  nextOccurrenceIndex: { type: Number, default: 0 },
+  nextOccurrenceAt: { type: Date, default: null },
+  skippedDates: [{ type: Date }],
+  paused: { type: Boolean, default: false },
+  createdBy: CREATED_BY,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+recurringExpenseSchema.index({ groupId: 1 });
+recurringExpenseSchema.index({ paused: 1, nextOccurrenceAt: 1 });
+moneyPaths(recurringExpenseSchema, {
+  amounts: ['amount'],
+  maps: { customAmounts: 'customAmountCents' }
+});
+
+// Payment Schema (settle-up payments between group members)
+const paymentSchema = new mongoose.Schema({
+  groupId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Group', 
+    required: true 
+  },
+  from: { type: String, required: true },
+  to: { type: String, required: true },
+  // Always in the group's base currency
+  amountCents: { ...CENTS, required: true, min: 1 },
+  date: { type: Date, required: true },
+  note: { type: String, trim: true, default: '' },
+  createdBy: CREATED_BY,
+  createdAt: { type: Date, default: Date.now }
+});
+
+paymentSchema.index({ groupId: 1, date: -1 });
+moneyPaths(paymentSchema, { amounts: ['amount'] });
+
+// Invite Schema (join token that binds a user account to a member slot)
+const inviteSchema = new mongoose.Schema({
+  groupId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Group', 
+    required: true 
+  },
+  token: { type: String, required: true, unique: true },
+  // Member slot the invite is for; open invites let the user pick a slot
+  member: { type: String, default: null },
+  // Role granted to whoever accepts the invite
+  role: { 
     type: String, 
-    enum: ['Food', 'Housing', 'Groceries', 'Transport', 'Entertainment', 'Other'],
-    default: 'Other' 
+    enum: ['admin', 'member', 'viewer'], 
+    default: 'member' 
+  },
+  maxUses: { type: Number, min: 1, default: 1 },
+  uses: { type: Number, default: 0 },
+  acceptedBy: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    member: String,
+    acceptedAt: { type: Date, default: Date.now },
+    _id: false
+  }],
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  createdBy: CREATED_BY,
+  createdAt: { type: Date, default: Date.now }
+});
+
+inviteSchema.index({ groupId: 1, createdAt: -1 });
+
+inviteSchema.methods.getStatus = function () {
+  if (this.revokedAt) return 'revoked';
+  if (this.uses >= this.maxUses) return 'used';
+  if (this.expiresAt <= Date.now()) return 'expired';
+  return 'active';
+};
+
+// Activity Schema (append-only audit log of changes within a group)
+const activitySchema = new mongoose.Schema({
+  groupId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Group', 
+    required: true 
   },
-  createdBy: { 
+  // Null when the change was made by the system (e.g. recurring expenses)
+  actor: { 
     type: mongoose.Schema.Types.ObjectId, 
     ref: 'User', 
+    default: null 
+  },
+  action: { 
+    type: String, 
+    enum: ['create', 'update', 'delete', 'restore'], 
+    required: true 
+  },
+  entityType: { 
+    type: String, 
+    enum: ['group', 'expense', 'member', 'payment', 'budget', 'recurring'], 
+    required: true 
+  },
+  entityId: { type: String, required: true },
+  summary: { type: String, default: '' },
+  before: { type: mongoose.Schema.Types.Mixed, default: null },
+  after: { type: mongoose.Schema.Types.Mixed, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+activitySchema.index({ groupId: 1, createdAt: -1 });
+
+// The log is append-only: refuse any update or delete through the model
+const rejectActivityChange = function () {
+  throw new Error('Activity log entries cannot be modified');
+};
+activitySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 
+    'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectActivityChange
+);
+
+// Budget Schema (spending limit for a group, optionally per category,
+// that resets every period)
+const budgetSchema = new mongoose.Schema({
+  groupId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Group', 
     required: true 
   },
+  // Null for a budget covering all categories
+  category: { type: String, default: null },
+  period: { 
+    type: String, 
+    enum: ['weekly', 'monthly', 'yearly'], 
+    default: 'monthly' 
+  },
+  // In the group's base currency
+  amountCents: { ...CENTS, required: true, min: 1 },
+  createdBy: CREATED_BY,
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
 
-expenseSchema.index({ groupId: 1, date: -1 });
+// One budget per group, category and period
+budgetSchema.index({ groupId: 1, category: 1, period: 1 }, { unique: true });
+moneyPaths(budgetSchema, { amounts: ['amount'] });
+
+// Budget Alert Schema (a budget crossing a threshold within one period)
+const budgetAlertSchema = new mongoose.Schema({
+  groupId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Group', 
+    required: true 
+  },
+  budgetId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Budget', 
+    required: true 
+  },
+  // Percentage of the budget that was reached (80 or 100)
+  threshold: { type: Number, required: true },
+  periodStart: { type: Date, required: true },
+  periodEnd: { type: Date, required: true },
+  spentCents: { ...CENTS, required: true },
+  budgetAmountCents: { ...CENTS, required: true },
+  // The expense that pushed the budget past the threshold
+  expenseId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Expense', 
+    default: null 
+  },
+  createdAt: { type: Date, default: Date.now }
+});
+
+budgetAlertSchema.index({ groupId: 1, createdAt: -1 });
+// Each threshold fires at most once per budget period
+budgetAlertSchema.index({ budgetId: 1, periodStart: 1, threshold: 1 }, { unique: true });
+moneyPaths(budgetAlertSchema, { amounts: ['spent', 'budgetAmount'] });
 
 module.exports = {
   User: mongoose.model('User', userSchema),
+  AuthToken: mongoose.model('AuthToken', authTokenSchema),
+  Session: mongoose.model('Session', sessionSchema),
+  LoginLockout: mongoose.model('LoginLockout', loginLockoutSchema),
   Group: mongoose.model('Group', groupSchema),
-  Expense: mongoose.model('Expense', expenseSchema)
+  Expense: mongoose.model('Expense', expenseSchema),
+  RecurringExpense: mongoose.model('RecurringExpense', recurringExpenseSchema),
+  Payment: mongoose.model('Payment', paymentSchema),
+  Invite: mongoose.model('Invite', inviteSchema),
+  Activity: mongoose.model('Activity', activitySchema),
+  Budget: mongoose.model('Budget', budgetSchema),
+  BudgetAlert: mongoose.model('BudgetAlert', budgetAlertSchema)
 };
\ No newline at end of file
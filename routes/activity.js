@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+const { Group, Activity } = require('../models/schemas');
+const authMiddleware = require('../middleware/auth');
+const { apiRateLimit } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const { formatActivity } = require('../utils/activity');
+const { PAGE_QUERY, parsePagination, paginationInfo } = require('../utils/pagination');
+
+// Apply authentication to all routes
+router.use(authMiddleware);
+
+// Apply per-user rate limits to all routes
+router.use(apiRateLimit);
+
+// @route   GET /api/activity
+// @desc    Get the activity feed across all of the user's groups (?page=&limit=)
+// @access  Private
+router.get('/', validate({ query: PAGE_QUERY }), async (req, res, next) => {
+  try {
+    const pagination = parsePagination(req.query);
+
+    const groups = await Group.find(Group.accessFilter(req.userId)).select('name');
+    const groupNames = {};
+    groups.forEach(g => {
+      groupNames[g._id.toString()] = g.name;
+    });
+
+    const filter = { groupId: { $in: groups.map(g => g._id) } };
+
+    const [activities, total] = await Promise.all([
+      Activity.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .populate('actor', 'name'),
+      Activity.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      count: activities.length,
+      pagination: paginationInfo(pagination, total),
+      activities: activities.map(activity => ({
+        ...formatActivity(activity),
+        groupName: groupNames[activity.groupId.toString()]
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
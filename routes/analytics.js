@@ -1,112 +1,88 @@
 const express = require('express');
 const router = express.Router();
-const { Group, Expense } = require('../models/schemas');
+const { Group, Expense, Payment, Budget } = require('../models/schemas');
 const authMiddleware = require('../middleware/auth');
+const { apiRateLimit } = require('../middleware/rateLimit');
+const { validate, objectIdParam } = require('../middleware/validate');
+const { requireGroupRole } = require('../middleware/permissions');
+const { DEFAULT_CURRENCY, isSupportedCurrency, getExchangeRate } = require('../config/currencies');
+const {
+  toBaseCents,
+  toBaseAmount,
+  toAmounts,
+  calculateBalances,
+  calculateSettlements,
+  memberLedger,
+  memberBreakdown
+} = require('../utils/balances');
+const { TREND_QUERY, parseTrendQuery, spendingSeries, monthOverMonth, balanceHistory } = require('../utils/trends');
+const { budgetStatus, formatBudget } = require('../utils/budgets');
+const { toCents, fromCents, roundMoney } = require('../utils/split');
 
 // Apply authentication to all routes
 router.use(authMiddleware);
 
-// Helper function to calculate balances
-function calculateBalances(expenses, members) {
-  const balances = {};
-  members.forEach(member => {
-    balances[member] = 0;
-  });
-  
-  expenses.forEach(expense => {
-    if (expense.splitMethod === 'custom' && expense.customAmounts) {
-      // Use custom amounts
-      for (const [member, amount] of expense.customAmounts) {
-        if (balances.hasOwnProperty(member)) {
-          balances[member] -= amount;
-        }
-      }
-    } else {
-      // Equal split
-      const splitCount = expense.splitAmong.length;
-      const sharePerPerson = expense.amount / splitCount;
-      
-      expense.splitAmong.forEach(member => {
-        if (balances.hasOwnProperty(member)) {
-          balances[member] -= sharePerPerson;
-        }
-      });
-    }
-    
-    // Add full amount to person who paid
-    if (balances.hasOwnProperty(expense.paidBy)) {
-      balances[expense.paidBy] += expense.amount;
-    }
-  });
-  
-  return balances;
-}
-
-// Helper function to calculate settlements
-function calculateSettlements(balances) {
-  const settlements = [];
-  const members = Object.keys(balances);
-  const balanceCopy = { ...balances };
-  
-  for (let i = 0; i < members.length; i++) {
-    for (let j = i + 1; j < members.length; j++) {
-      const member1 = members[i];
-      const member2 = members[j];
-      const balance1 = balanceCopy[member1];
-      const balance2 = balanceCopy[member2];
-      
-      if (balance1 > 0.01 && balance2 < -0.01) {
-        const amount = Math.min(balance1, -balance2);
-        settlements.push({ 
-          from: member2, 
-          to: member1, 
-          amount: amount 
-        });
-        balanceCopy[member1] -= amount;
-        balanceCopy[member2] += amount;
-      }
-    }
+// Apply per-user rate limits to all routes
+router.use(apiRateLimit);
+
+// Reject malformed IDs in the URL with a 400
+router.param('groupId', objectIdParam);
+
+// Request schemas (see middleware/validate)
+const userAnalyticsSchema = {
+  query: {
+    ...TREND_QUERY,
+    currency: { type: 'string', pattern: /^[A-Za-z]{3}$/, message: 'currency must be a 3-letter ISO code' }
   }
-  
-  return settlements;
-}
+};
 
 // @route   GET /api/analytics/group/:groupId
-// @desc    Get analytics for a specific group
+// @desc    Get analytics for a specific group, with trends over time
+//          (?bucket=day|week|month and ?from= / ?to= for the time series)
 // @access  Private
-router.get('/group/:groupId', async (req, res) => {
+router.get('/group/:groupId', validate({ query: TREND_QUERY }), requireGroupRole('viewer', 'groupId'), async (req, res, next) => {
   try {
-    // Verify group exists and user has access
-    const group = await Group.findOne({
-      _id: req.params.groupId,
-      createdBy: req.userId
-    });
+    const group = req.group;
 
-    if (!group) {
-      return res.status(404).json({ 
+    const trend = parseTrendQuery(req.query);
+    if (trend.error) {
+      return res.status(400).json({ 
         success: false, 
-        error: 'Group not found' 
+        error: trend.error 
       });
     }
 
     const expenses = await Expense.find({ groupId: req.params.groupId });
+    const payments = await Payment.find({ groupId: req.params.groupId });
 
-    // Calculate totals
-    const totalSpending = expenses.reduce((sum, e) => sum + e.amount, 0);
-    const averageExpense = expenses.length > 0 ? totalSpending / expenses.length : 0;
-    const splitPerPerson = totalSpending / group.members.length;
+    // Calculate totals (in cents of the group's base currency)
+    const totalSpending = fromCents(expenses.reduce((sum, e) => sum + toBaseCents(e), 0));
+    const averageExpense = expenses.length > 0 ? roundMoney(totalSpending / expenses.length) : 0;
+    const splitPerPerson = roundMoney(totalSpending / group.members.length);
 
     // Category breakdown
-    const categoryData = {};
+    const categoryCents = {};
     expenses.forEach(expense => {
       const category = expense.category || 'Other';
-      categoryData[category] = (categoryData[category] || 0) + expense.amount;
+      categoryCents[category] = (categoryCents[category] || 0) + toBaseCents(expense);
     });
+    const categoryData = toAmounts(categoryCents);
 
     // Calculate balances and settlements
-    const balances = calculateBalances(expenses, group.members);
+    const balances = calculateBalances(expenses, group.members, payments);
     const settlements = calculateSettlements(balances);
 
+    // Spent vs. remaining for each budget's current period
+    const budgets = await Budget.find({ groupId: group._id }).sort({ createdAt: 1 });
+    const budgetStatuses = await Promise.all(budgets.map(budget => budgetStatus(budget)));
+
+    // Time series for trend charts
+    const trends = {
+      ...spendingSeries(expenses, trend, toBaseCents),
+      monthOverMonth: monthOverMonth(expenses, toBaseCents, new Date(trend.end - 1)),
+      balanceHistory: balanceHistory(expenses, payments, group.members, trend)
+    };
+
     // Recent expenses
     const recentExpenses = expenses
       .sort((a, b) => new Date(b.date) - new Date(a.date))
@@ -115,17 +91,25 @@ router.get('/group/:groupId', async (req, res) => {
     res.json({
       success: true,
       analytics: {
+        baseCurrency: group.baseCurrency,
+        currentMember: group.memberNameFor(req.userId),
         totalSpending,
         averageExpense,
         splitPerPerson,
         totalExpenses: expenses.length,
+        totalPayments: fromCents(payments.reduce((sum, p) => sum + p.amountCents, 0)),
         categoryData,
         balances,
         settlements,
+        members: memberBreakdown(expenses, payments, group.members),
+        budgets: budgets.map((budget, index) => formatBudget(budget, budgetStatuses[index])),
+        trends,
         recentExpenses: recentExpenses.map(e => ({
           id: e._id,
           title: e.title,
           amount: e.amount,
+          currency: e.currency,
+          baseAmount: toBaseAmount(e),
           paidBy: e.paidBy,
           date: e.date,
           category: e.category
@@ -133,36 +117,114 @@ router.get('/group/:groupId', async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Get group analytics error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Server error fetching analytics' 
+    next(error);
+  }
+});
+
+// @route   GET /api/analytics/group/:groupId/members/:member
+// @desc    List the expenses and payments that make up a member's balance,
+//          oldest first, with the running balance after each one
+// @access  Private
+router.get('/group/:groupId/members/:member', requireGroupRole('viewer', 'groupId'), async (req, res, next) => {
+  try {
+    const group = req.group;
+    const member = req.params.member;
+
+    if (!group.members.includes(member)) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Member not found in group' 
+      });
+    }
+
+    const expenses = await Expense.find({ groupId: group._id });
+    const payments = await Payment.find({ groupId: group._id });
+
+    const entries = memberLedger(expenses, payments, member);
+
+    res.json({
+      success: true,
+      member: {
+        name: member,
+        baseCurrency: group.baseCurrency,
+        ...memberBreakdown(expenses, payments, [member])[member],
+        entries
+      }
     });
+  } catch (error) {
+    next(error);
   }
 });
 
 // @route   GET /api/analytics/user
-// @desc    Get analytics for all user's groups
+// @desc    Get analytics for all user's groups, with trends over time
+//          (totals in ?currency=, defaulting to USD; ?bucket=day|week|month
+//          and ?from= / ?to= for the time series)
 // @access  Private
-router.get('/user', async (req, res) => {
+router.get('/user', validate(userAnalyticsSchema), async (req, res, next) => {
   try {
+    const currency = (req.query.currency || DEFAULT_CURRENCY).toUpperCase();
+
+    if (!isSupportedCurrency(currency)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Unsupported currency' 
+      });
+    }
+
+    const trend = parseTrendQuery(req.query);
+    if (trend.error) {
+      return res.status(400).json({ 
+        success: false, 
+        error: trend.error 
+      });
+    }
+
     // Get all user's groups
-    const groups = await Group.find({ createdBy: req.userId });
+    const groups = await Group.find(Group.accessFilter(req.userId));
     const groupIds = groups.map(g => g._id);
 
     // Get all expenses
     const expenses = await Expense.find({ groupId: { $in: groupIds } });
 
-    // Calculate totals
-    const totalSpending = expenses.reduce((sum, e) => sum + e.amount, 0);
-    const averageExpense = expenses.length > 0 ? totalSpending / expenses.length : 0;
+    // Groups may use different base currencies, so convert each expense
+    // from its group's base currency into the requested one
+    const groupRates = {};
+    const unconvertible = new Set();
+    groups.forEach(g => {
+      const rate = getExchangeRate(g.baseCurrency, currency);
+      if (!rate) {
+        unconvertible.add(g.baseCurrency);
+      }
+      groupRates[g._id.toString()] = rate;
+    });
+
+    if (unconvertible.size > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `No exchange rate known from ${[...unconvertible].join(', ')} to ${currency}` 
+      });
+    }
+    const toUserCents = (e) => toCents(toBaseAmount(e) * groupRates[e.groupId.toString()]);
+    const toUserAmount = (e) => fromCents(toUserCents(e));
+
+    // Calculate totals (summed in cents)
+    const totalSpending = fromCents(expenses.reduce((sum, e) => sum + toUserCents(e), 0));
+    const averageExpense = expenses.length > 0 ? roundMoney(totalSpending / expenses.length) : 0;
 
     // Category breakdown
-    const categoryData = {};
+    const categoryCents = {};
     expenses.forEach(expense => {
       const category = expense.category || 'Other';
-      categoryData[category] = (categoryData[category] || 0) + expense.amount;
+      categoryCents[category] = (categoryCents[category] || 0) + toUserCents(expense);
     });
+    const categoryData = toAmounts(categoryCents);
+
+    // Time series for trend charts
+    const trends = {
+      ...spendingSeries(expenses, trend, toUserCents),
+      monthOverMonth: monthOverMonth(expenses, toUserCents, new Date(trend.end - 1))
+    };
 
     // Recent expenses
     const recentExpenses = expenses
@@ -172,15 +234,19 @@ router.get('/user', async (req, res) => {
     res.json({
       success: true,
       analytics: {
+        currency,
         totalSpending,
         averageExpense,
         totalExpenses: expenses.length,
         totalGroups: groups.length,
         categoryData,
+        trends,
         recentExpenses: recentExpenses.map(e => ({
           id: e._id,
           title: e.title,
           amount: e.amount,
+          currency: e.currency,
+          convertedAmount: toUserAmount(e),
           paidBy: e.paidBy,
           date: e.date,
           category: e.category
@@ -188,11 +254,7 @@ router.get('/user', async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Get user analytics error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Server error fetching analytics' 
-    });
+    next(error);
   }
 });
 
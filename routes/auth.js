@@ -1,25 +1,168 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { User } = require('../models/schemas');
+const { User, Session } = require('../models/schemas');
 const authMiddleware = require('../middleware/auth');
+const { rateLimit, apiRateLimit } = require('../middleware/rateLimit');
+const { validate, objectIdParam } = require('../middleware/validate');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions
+} = require('../utils/sessions');
+const { createAuthToken, consumeAuthToken } = require('../utils/authTokens');
+const {
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendAccountLockedEmail
+} = require('../utils/mail');
+const {
+  findLockout,
+  lockRemaining,
+  recordFailedLogin,
+  clearFailedLogins
+} = require('../utils/loginLockout');
+const {
+  OWNED_GROUP_STRATEGIES,
+  buildAccountExport,
+  deleteAccount
+} = require('../utils/account');
+
+const RESET_TOKEN_MINUTES = 60;
+const VERIFY_TOKEN_HOURS = 48;
+const UNLOCK_TOKEN_HOURS = 24;
+const MIN_PASSWORD_LENGTH = 6;
+
+// Helper function to shape the user for API responses
+function formatUser(user) {
+  return {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    phone: user.phone,
+    emailVerified: Boolean(user.emailVerifiedAt)
+  };
+}
+
+// Strict limits for the public endpoints; logins are counted both per IP
+// and per email so neither many accounts nor many addresses help a guesser
+const authLimit = rateLimit('auth');
+const loginIpLimit = rateLimit('login', { key: req => `ip:${req.ip}` });
+const loginEmailLimit = rateLimit('login', {
+  key: req => (req.body && typeof req.body.email === 'string'
+    ? `email:${req.body.email.toLowerCase()}`
+    : null)
+});
+
+router.use(apiRateLimit);
+
+// Reject malformed IDs in the URL with a 400
+router.param('id', objectIdParam);
+
+// Request schemas (see middleware/validate)
+const PASSWORD_RULE = { type: 'string', required: true, minLength: MIN_PASSWORD_LENGTH };
+const tokenSchema = { body: { token: { type: 'string', required: true } } };
+
+const signupSchema = {
+  body: {
+    name: { type: 'string', required: true, maxLength: 100 },
+    email: { type: 'string', required: true },
+    password: PASSWORD_RULE,
+    phone: { type: 'string' }
+  }
+};
+
+const loginSchema = {
+  body: {
+    email: { type: 'string', required: true },
+    password: { type: 'string', required: true }
+  }
+};
+
+const refreshSchema = {
+  body: {
+    refreshToken: { type: 'string', required: true }
+  }
+};
+
+const profileSchema = {
+  body: {
+    name: { type: 'string', notBlank: true, maxLength: 100 },
+    email: { type: 'string', notBlank: true, pattern: /^\s*\S+@\S+\.\S+\s*$/, message: 'Please provide a valid email' },
+    phone: { type: 'string' },
+    currentPassword: { type: 'string' }
+  }
+};
+
+const changePasswordSchema = {
+  body: {
+    currentPassword: { type: 'string', required: true },
+    newPassword: PASSWORD_RULE
+  }
+};
+
+const deleteAccountSchema = {
+  body: {
+    password: { type: 'string', required: true },
+    ownedGroups: { type: 'string', enum: OWNED_GROUP_STRATEGIES }
+  }
+};
+
+const forgotPasswordSchema = {
+  body: {
+    email: { type: 'string', required: true }
+  }
+};
+
+const resetPasswordSchema = {
+  body: {
+    token: { type: 'string', required: true },
+    password: PASSWORD_RULE
+  }
+};
+
+// Unknown emails are checked against this hash, so they take as long to
+// answer as a wrong password
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', 10);
+
+// Helper function to answer a login from a locked email and IP pair
+function sendLocked(res, retryAfterMs) {
+  res.setHeader('Retry-After', Math.ceil(retryAfterMs / 1000));
+  return res.status(429).json({ 
+    success: false, 
+    error: 'Too many failed logins, please try again later' 
+  });
+}
+
+// Helper function to email an unlock link when an account gets locked
+async function sendUnlock(user) {
+  try {
+    const token = await createAuthToken(user._id, 'account-unlock', UNLOCK_TOKEN_HOURS * 60 * 60 * 1000);
+    await sendAccountLockedEmail(user, token);
+  } catch (error) {
+    console.error('Account locked email error:', error.message);
+  }
+}
+
+// Helper function to email a verification link. Mail problems are logged
+// rather than failing the request; the user can ask for a new link.
+async function sendVerification(user) {
+  try {
+    const token = await createAuthToken(user._id, 'email-verification', VERIFY_TOKEN_HOURS * 60 * 60 * 1000);
+    await sendVerificationEmail(user, token);
+  } catch (error) {
+    console.error('Verification email error:', error.message);
+  }
+}
 
 // @route   POST /api/auth/signup
 // @desc    Register a new user
 // @access  Public
-router.post('/signup', async (req, res) => {
+router.post('/signup', authLimit, validate(signupSchema), async (req, res, next) => {
   try {
     const { name, email, password, phone } = req.body;
 
-    // Validation
-    if (!name || !email || !password) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Please provide name, email, and password' 
-      });
-    }
-
     // Check if user already exists
     const existingUser = await User.findOne({ email: email.toLowerCase() });
     if (existingUser) {
@@ -40,100 +183,412 @@ router.post('/signup', async (req, res) => {
       phone: phone || ''
     });
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Start a session: short-lived access token plus a refresh token
+    const tokens = await createSession(user, req);
+
+    await sendVerification(user);
 
     res.status(201).json({
       success: true,
       message: 'User created successfully',
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        phone: user.phone
-      }
+      ...tokens,
+      user: formatUser(user)
     });
   } catch (error) {
-    console.error('Signup error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Server error during signup' 
-    });
+    next(error);
   }
 });
 
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
-router.post('/login', async (req, res) => {
+router.post('/login', loginIpLimit, loginEmailLimit, validate(loginSchema), async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
-    // Validation
-    if (!email || !password) {
+    // Locks are per email and IP and apply whether or not an account
+    // uses the email; locked pairs are refused before any password check
+    const remaining = lockRemaining(await findLockout(email, req.ip));
+    if (remaining > 0) {
+      return sendLocked(res, remaining);
+    }
+
+    // Unknown emails fail exactly like wrong passwords
+    const user = await User.findOne({ email: email.toLowerCase() });
+    const isPasswordValid = await bcrypt.compare(password, user ? user.password : DUMMY_PASSWORD_HASH);
+    if (!user || !isPasswordValid) {
+      const failure = await recordFailedLogin(email, req.ip);
+
+      if (failure.locked) {
+        // Not awaited, so the answer takes no longer for real accounts
+        if (user) {
+          sendUnlock(user);
+        }
+        return sendLocked(res, failure.lockedUntil.getTime() - Date.now());
+      }
+
+      return res.status(401).json({ 
+        success: false, 
+        error: 'Invalid email or password' 
+      });
+    }
+
+    await clearFailedLogins(email, req.ip);
+
+    // Start a session: short-lived access token plus a refresh token
+    const tokens = await createSession(user, req);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      ...tokens,
+      user: formatUser(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/auth/me
+// @desc    Get current user info
+// @access  Private
+router.get('/me', authMiddleware, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId).select('-password');
+    
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'User not found' 
+      });
+    }
+
+    res.json({
+      success: true,
+      user: formatUser(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PATCH /api/auth/me
+// @desc    Update the current user's name, phone or email (changing the
+//          email needs the current password and a new verification)
+// @access  Private
+router.patch('/me', authMiddleware, validate(profileSchema), async (req, res, next) => {
+  try {
+    const { name, email, phone, currentPassword } = req.body;
+
+    const user = await User.findById(req.userId);
+
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'User not found' 
+      });
+    }
+
+    const newEmail = email !== undefined ? email.trim().toLowerCase() : user.email;
+    const emailChanged = newEmail !== user.email;
+
+    if (emailChanged) {
+      if (!currentPassword || !(await bcrypt.compare(currentPassword, user.password))) {
+        return res.status(401).json({ 
+          success: false, 
+          error: 'Current password is incorrect' 
+        });
+      }
+
+      if (await User.exists({ email: newEmail })) {
+        return res.status(400).json({ 
+          success: false, 
+          error: 'Email already registered' 
+        });
+      }
+
+      user.email = newEmail;
+      user.emailVerifiedAt = null;
+    }
+
+    if (name !== undefined) {
+      user.name = name.trim();
+    }
+    if (phone !== undefined) {
+      user.phone = phone.trim();
+    }
+    user.updatedAt = Date.now();
+
+    await user.save();
+
+    if (emailChanged) {
+      await sendVerification(user);
+    }
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      user: formatUser(user)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
       return res.status(400).json({ 
         success: false, 
-        error: 'Please provide email and password' 
+        error: 'Email already registered' 
       });
     }
 
-    // Find user
-    const user = await User.findOne({ email: email.toLowerCase() });
+    next(error);
+  }
+});
+
+// @route   PUT /api/auth/me/password
+// @desc    Change the password; other devices are signed out
+// @access  Private
+router.put('/me/password', authMiddleware, validate(changePasswordSchema), async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.userId);
+
     if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'User not found' 
+      });
+    }
+
+    if (!(await bcrypt.compare(currentPassword, user.password))) {
       return res.status(401).json({ 
         success: false, 
-        error: 'Invalid email or password' 
+        error: 'Current password is incorrect' 
+      });
+    }
+
+    user.password = await bcrypt.hash(newPassword, 10);
+    user.updatedAt = Date.now();
+    await user.save();
+
+    const result = await revokeUserSessions(user._id, 'password changed', req.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      sessionsRevoked: result.modifiedCount
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/auth/me/export
+// @desc    Download everything stored about the user as a JSON archive
+// @access  Private
+router.get('/me/export', authMiddleware, async (req, res, next) => {
+  try {
+    const archive = await buildAccountExport(req.userId);
+
+    if (!archive) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'User not found' 
+      });
+    }
+
+    const day = archive.exportedAt.toISOString().slice(0, 10);
+    res.setHeader('Content-Disposition', `attachment; filename="account-export-${day}.json"`);
+    res.type('application/json').send(JSON.stringify(archive, null, 2));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/auth/me
+// @desc    Delete the account (needs the password). Owned groups are
+//          transferred, archived or deleted according to `ownedGroups`;
+//          groups nobody else is linked to are kept without an owner.
+// @access  Private
+router.delete('/me', authMiddleware, validate(deleteAccountSchema), async (req, res, next) => {
+  try {
+    const { password, ownedGroups = 'transfer' } = req.body || {};
+
+    const user = await User.findById(req.userId);
+
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'User not found' 
       });
     }
 
-    // Check password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    if (!isPasswordValid) {
+    if (!password || !(await bcrypt.compare(password, user.password))) {
       return res.status(401).json({ 
         success: false, 
-        error: 'Invalid email or password' 
+        error: 'Password is incorrect' 
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    const groups = await deleteAccount(user, ownedGroups);
 
     res.json({
       success: true,
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        phone: user.phone
-      }
+      message: 'Account deleted successfully',
+      groups
     });
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Server error during login' 
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access and refresh token
+// @access  Public
+router.post('/refresh', authLimit, validate(refreshSchema), async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const result = await rotateSession(refreshToken);
+
+    if (result.error) {
+      return res.status(401).json({ 
+        success: false, 
+        error: result.error 
+      });
+    }
+
+    res.json({
+      success: true,
+      ...result.tokens
     });
+  } catch (error) {
+    next(error);
   }
 });
 
-// @route   GET /api/auth/me
-// @desc    Get current user info
+// @route   POST /api/auth/logout
+// @desc    Log out the current device
 // @access  Private
-router.get('/me', authMiddleware, async (req, res) => {
+router.post('/logout', authMiddleware, async (req, res, next) => {
   try {
-    const user = await User.findById(req.userId).select('-password');
-    
+    await revokeSession({ _id: req.sessionId }, 'logout');
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Log out every device, including this one
+// @access  Private
+router.post('/logout-all', authMiddleware, async (req, res, next) => {
+  try {
+    const result = await revokeUserSessions(req.userId, 'logout everywhere');
+
+    res.json({
+      success: true,
+      message: 'Logged out of all devices',
+      sessionsRevoked: result.modifiedCount
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the user's active sessions, most recently used first
+// @access  Private
+router.get('/sessions', authMiddleware, async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      sessions: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        current: session._id.toString() === req.sessionId,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Log out one of the user's devices
+// @access  Private
+router.delete('/sessions/:id', authMiddleware, async (req, res, next) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.userId });
+
+    if (!session || !session.isActive()) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Session not found' 
+      });
+    }
+
+    await revokeSession(session, 'revoked by user');
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with the token from the verification email
+// @access  Public
+router.post('/verify-email', authLimit, validate(tokenSchema), async (req, res, next) => {
+  try {
+    const userId = await consumeAuthToken(req.body.token, 'email-verification');
+
+    if (!userId) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Verification link is invalid or has expired' 
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { emailVerifiedAt: Date.now(), updatedAt: Date.now() },
+      { new: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      user: user ? formatUser(user) : null
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Email a new verification link to the current user
+// @access  Private
+router.post('/resend-verification', authMiddleware, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId);
+
     if (!user) {
       return res.status(404).json({ 
         success: false, 
@@ -141,21 +596,122 @@ router.get('/me', authMiddleware, async (req, res) => {
       });
     }
 
+    if (user.emailVerifiedAt) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Email is already verified' 
+      });
+    }
+
+    await sendVerification(user);
+
     res.json({
       success: true,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        phone: user.phone
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link (the response never reveals whether
+//          the email is registered)
+// @access  Public
+router.post('/forgot-password', authLimit, validate(forgotPasswordSchema), async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email: String(email).toLowerCase() });
+
+    if (user) {
+      try {
+        const token = await createAuthToken(user._id, 'password-reset', RESET_TOKEN_MINUTES * 60 * 1000);
+        await sendPasswordResetEmail(user, token, RESET_TOKEN_MINUTES);
+      } catch (error) {
+        console.error('Password reset email error:', error.message);
       }
+    }
+
+    res.json({
+      success: true,
+      message: 'If that email is registered, a reset link is on its way'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with a reset token; signs out every device
+// @access  Public
+router.post('/reset-password', authLimit, validate(resetPasswordSchema), async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    const userId = await consumeAuthToken(token, 'password-reset');
+
+    if (!userId) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Reset link is invalid or has expired' 
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    // Receiving the reset email also proves the address is real, and
+    // having a new password lifts any lockout
+    const user = await User.findByIdAndUpdate(userId, {
+      password: hashedPassword,
+      emailVerifiedAt: Date.now(),
+      updatedAt: Date.now()
+    });
+
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'User not found' 
+      });
+    }
+
+    await clearFailedLogins(user.email);
+    await revokeUserSessions(user._id, 'password reset');
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully, please log in again'
     });
   } catch (error) {
-    console.error('Get user error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Server error' 
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/unlock-account
+// @desc    Lift a login lockout with the token from the account locked email
+// @access  Public
+router.post('/unlock-account', authLimit, validate(tokenSchema), async (req, res, next) => {
+  try {
+    const userId = await consumeAuthToken(req.body.token, 'account-unlock');
+
+    if (!userId) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Unlock link is invalid or has expired' 
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (user) {
+      await clearFailedLogins(user.email);
+    }
+
+    res.json({
+      success: true,
+      message: 'Account unlocked, you can log in again'
     });
+  } catch (error) {
+    next(error);
   }
 });
 
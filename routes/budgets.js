@@ -0,0 +1,281 @@
+const express = require('express');
+const router = express.Router();
+const { Group, Budget, BudgetAlert } = require('../models/schemas');
+const authMiddleware = require('../middleware/auth');
+const { apiRateLimit } = require('../middleware/rateLimit');
+const { validate, objectIdParam } = require('../middleware/validate');
+const { hasRole, requireGroupRole } = require('../middleware/permissions');
+const { recordActivity } = require('../utils/activity');
+const { PAGE_QUERY, parsePagination, paginationInfo } = require('../utils/pagination');
+const {
+  BUDGET_PERIODS,
+  budgetStatus,
+  formatBudget,
+  formatBudgetAlert
+} = require('../utils/budgets');
+const { groupCategories, findCategory } = require('../utils/categories');
+
+// Apply authentication to all routes
+router.use(authMiddleware);
+
+// Apply per-user rate limits to all routes
+router.use(apiRateLimit);
+
+// Reject malformed IDs in the URL with a 400
+['id', 'groupId'].forEach(name => router.param(name, objectIdParam));
+
+// Request schemas (see middleware/validate)
+const budgetFields = {
+  amount: { type: 'number', required: true, positive: true },
+  category: { type: 'string', nullable: true },
+  period: { type: 'string', enum: BUDGET_PERIODS }
+};
+
+const createBudgetSchema = {
+  body: {
+    groupId: { type: 'objectId', required: true },
+    ...budgetFields
+  }
+};
+
+const updateBudgetSchema = { body: budgetFields };
+
+// Helper function to validate budget fields against the group's categories
+// Returns an error message, or null when the input is valid
+function validateBudgetInput({ category }, group) {
+  if (category && !findCategory(group, category)) {
+    const names = groupCategories(group).map(c => c.name);
+    return `Category must be one of: ${names.join(', ')}`;
+  }
+
+  return null;
+}
+
+// Helper function to describe what a budget covers
+function budgetLabel(budget) {
+  return `${budget.period} ${budget.category || 'overall'} budget`;
+}
+
+// Helper function to load a budget with its group, if the user is an admin there
+async function findBudgetForAdmin(budgetId, userId) {
+  const budget = await Budget.findById(budgetId);
+  if (!budget) {
+    return { status: 404, error: 'Budget not found' };
+  }
+
+  const group = await Group.findOne({
+    _id: budget.groupId,
+    ...Group.accessFilter(userId)
+  });
+
+  if (!group) {
+    return { status: 404, error: 'Budget not found' };
+  }
+
+  if (!hasRole(group.roleFor(userId), 'admin')) {
+    return { status: 403, error: 'Only group admins can manage budgets' };
+  }
+
+  return { budget, group };
+}
+
+// @route   POST /api/budgets
+// @desc    Create a budget for a group (optionally for one category)
+// @access  Private (group admin)
+router.post('/', validate(createBudgetSchema), requireGroupRole('admin', 'groupId'), async (req, res, next) => {
+  try {
+    const { amount, category, period } = req.body;
+
+    const validationError = validateBudgetInput(req.body, req.group);
+    if (validationError) {
+      return res.status(400).json({ 
+        success: false, 
+        error: validationError 
+      });
+    }
+
+    const budget = await Budget.create({
+      groupId: req.group._id,
+      category: category ? findCategory(req.group, category) : null,
+      period: period || 'monthly',
+      amount,
+      createdBy: req.userId
+    });
+
+    await recordActivity({
+      groupId: budget.groupId,
+      actor: req.userId,
+      action: 'create',
+      entityType: 'budget',
+      entityId: budget._id,
+      summary: `Set a ${budgetLabel(budget)} of ${budget.amount} ${req.group.baseCurrency}`,
+      after: budget
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Budget created successfully',
+      budget: formatBudget(budget, await budgetStatus(budget))
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'A budget for this category and period already exists' 
+      });
+    }
+
+    next(error);
+  }
+});
+
+// @route   GET /api/budgets/group/:groupId
+// @desc    List a group's budgets with spending in the current period
+// @access  Private
+router.get('/group/:groupId', requireGroupRole('viewer', 'groupId'), async (req, res, next) => {
+  try {
+    const budgets = await Budget.find({ groupId: req.group._id }).sort({ createdAt: 1 });
+    const statuses = await Promise.all(budgets.map(budget => budgetStatus(budget)));
+
+    res.json({
+      success: true,
+      count: budgets.length,
+      baseCurrency: req.group.baseCurrency,
+      budgets: budgets.map((budget, index) => formatBudget(budget, statuses[index]))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/budgets/group/:groupId/alerts
+// @desc    List budget alerts raised in a group, newest first (?page=&limit=)
+// @access  Private
+router.get('/group/:groupId/alerts', validate({ query: PAGE_QUERY }), requireGroupRole('viewer', 'groupId'), async (req, res, next) => {
+  try {
+    const pagination = parsePagination(req.query);
+    const filter = { groupId: req.group._id };
+
+    const [alerts, total] = await Promise.all([
+      BudgetAlert.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      BudgetAlert.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      count: alerts.length,
+      pagination: paginationInfo(pagination, total),
+      alerts: alerts.map(alert => formatBudgetAlert(alert))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/budgets/:id
+// @desc    Update a budget's amount, category or period
+// @access  Private (group admin)
+router.put('/:id', validate(updateBudgetSchema), async (req, res, next) => {
+  try {
+    const { amount, category, period } = req.body;
+
+    const found = await findBudgetForAdmin(req.params.id, req.userId);
+    if (found.error) {
+      return res.status(found.status).json({ 
+        success: false, 
+        error: found.error 
+      });
+    }
+
+    const { budget, group } = found;
+
+    const validationError = validateBudgetInput(req.body, group);
+    if (validationError) {
+      return res.status(400).json({ 
+        success: false, 
+        error: validationError 
+      });
+    }
+
+    const before = budget.toObject();
+
+    budget.amount = amount;
+    if (category !== undefined) {
+      budget.category = category ? findCategory(group, category) : null;
+    }
+    if (period !== undefined) {
+      budget.period = period;
+    }
+    budget.updatedAt = Date.now();
+
+    await budget.save();
+
+    await recordActivity({
+      groupId: budget.groupId,
+      actor: req.userId,
+      action: 'update',
+      entityType: 'budget',
+      entityId: budget._id,
+      summary: `Changed the ${budgetLabel(budget)} to ${budget.amount} ${group.baseCurrency}`,
+      before,
+      after: budget
+    });
+
+    res.json({
+      success: true,
+      message: 'Budget updated successfully',
+      budget: formatBudget(budget, await budgetStatus(budget))
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'A budget for this category and period already exists' 
+      });
+    }
+
+    next(error);
+  }
+});
+
+// @route   DELETE /api/budgets/:id
+// @desc    Delete a budget and its alerts
+// @access  Private (group admin)
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const found = await findBudgetForAdmin(req.params.id, req.userId);
+    if (found.error) {
+      return res.status(found.status).json({ 
+        success: false, 
+        error: found.error 
+      });
+    }
+
+    const { budget } = found;
+
+    await BudgetAlert.deleteMany({ budgetId: budget._id });
+    await Budget.findByIdAndDelete(budget._id);
+
+    await recordActivity({
+      groupId: budget.groupId,
+      actor: req.userId,
+      action: 'delete',
+      entityType: 'budget',
+      entityId: budget._id,
+      summary: `Removed the ${budgetLabel(budget)}`,
+      before: budget
+    });
+
+    res.json({
+      success: true,
+      message: 'Budget deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,417 @@
+const express = require('express');
+const router = express.Router();
+const { Group, Expense, RecurringExpense, Budget } = require('../models/schemas');
+const authMiddleware = require('../middleware/auth');
+const { apiRateLimit } = require('../middleware/rateLimit');
+const { validate, objectIdParam } = require('../middleware/validate');
+const { requireGroupRole } = require('../middleware/permissions');
+const { recordActivity } = require('../utils/activity');
+const {
+  DEFAULT_CATEGORIES,
+  normalizeTitle,
+  groupCategories,
+  findCategory,
+  categorizeExpense
+} = require('../utils/categories');
+
+// Apply authentication to all routes
+router.use(authMiddleware);
+
+// Apply per-user rate limits to all routes
+router.use(apiRateLimit);
+
+// Reject malformed IDs in the URL with a 400
+['groupId', 'ruleId'].forEach(name => router.param(name, objectIdParam));
+
+// Request schemas (see middleware/validate)
+const categoryFields = {
+  name: { type: 'string', notBlank: true, maxLength: 30 },
+  icon: { type: 'string', maxLength: 16 },
+  color: { type: 'string', pattern: /^#[0-9A-Fa-f]{6}$/, message: 'color must be a hex code like #22C55E' }
+};
+
+const createCategorySchema = {
+  body: { ...categoryFields, name: { ...categoryFields.name, required: true } }
+};
+
+const updateCategorySchema = { body: categoryFields };
+
+const ruleSchema = {
+  body: {
+    keyword: { type: 'string', required: true, maxLength: 100 },
+    category: { type: 'string', required: true }
+  }
+};
+
+const suggestSchema = {
+  query: {
+    title: { type: 'string' }
+  }
+};
+
+// Helper function to validate a keyword rule against the group's categories
+function validateRuleInput({ keyword, category }, group) {
+  if (typeof keyword !== 'string' || !normalizeTitle(keyword)) {
+    return 'Please provide a keyword';
+  }
+
+  if (!findCategory(group, category)) {
+    return 'Unknown category';
+  }
+
+  return null;
+}
+
+// Helper function to shape a group's categories for API responses
+function formatCategories(group) {
+  const defaults = DEFAULT_CATEGORIES.map(c => c.name);
+
+  return groupCategories(group).map(c => ({
+    name: c.name,
+    icon: c.icon,
+    color: c.color,
+    custom: !defaults.includes(c.name)
+  }));
+}
+
+function formatRule(rule) {
+  return {
+    id: rule._id,
+    keyword: rule.keyword,
+    category: rule.category,
+    source: rule.source,
+    hits: rule.hits,
+    updatedAt: rule.updatedAt
+  };
+}
+
+// Helper function to find one of the group's custom categories by name
+function findCustomCategory(group, name) {
+  const lower = String(name).toLowerCase();
+  return group.categories.find(c => c.name.toLowerCase() === lower);
+}
+
+// @route   GET /api/categories/group/:groupId
+// @desc    List the group's categories (defaults and custom) and keyword rules
+// @access  Private
+router.get('/group/:groupId', requireGroupRole('viewer', 'groupId'), async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      categories: formatCategories(req.group),
+      rules: req.group.categoryRules.map(rule => formatRule(rule))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/categories/group/:groupId/suggest
+// @desc    Suggest a category for an expense title (?title=)
+// @access  Private
+router.get('/group/:groupId/suggest', validate(suggestSchema), requireGroupRole('viewer', 'groupId'), async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      category: categorizeExpense(String(req.query.title || ''), req.group)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/categories/group/:groupId
+// @desc    Add a custom category to the group
+// @access  Private (group admin)
+router.post('/group/:groupId', validate(createCategorySchema), requireGroupRole('admin', 'groupId'), async (req, res, next) => {
+  try {
+    const { name, icon, color } = req.body;
+    const group = req.group;
+
+    if (findCategory(group, name)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Category already exists' 
+      });
+    }
+
+    group.categories.push({ name: name.trim(), icon: icon || '', color: color || '' });
+    group.updatedAt = Date.now();
+    await group.save();
+
+    await recordActivity({
+      groupId: group._id,
+      actor: req.userId,
+      action: 'update',
+      entityType: 'group',
+      entityId: group._id,
+      summary: `Added category ${name.trim()}`
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Category added successfully',
+      categories: formatCategories(group)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/categories/group/:groupId/:name
+// @desc    Rename a custom category or change its icon or color
+//          (renaming updates the group's expenses, templates, budgets and rules)
+// @access  Private (group admin)
+router.put('/group/:groupId/:name', validate(updateCategorySchema), requireGroupRole('admin', 'groupId'), async (req, res, next) => {
+  try {
+    const { name, icon, color } = req.body;
+    const group = req.group;
+
+    const category = findCustomCategory(group, req.params.name);
+    if (!category && findCategory(group, req.params.name)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Default categories cannot be changed' 
+      });
+    }
+
+    if (!category) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Category not found' 
+      });
+    }
+
+    const oldName = category.name;
+    const newName = name !== undefined ? name.trim() : oldName;
+    const existing = findCategory(group, newName);
+
+    if (existing && existing !== oldName) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Category already exists' 
+      });
+    }
+
+    category.name = newName;
+    if (icon !== undefined) {
+      category.icon = icon;
+    }
+    if (color !== undefined) {
+      category.color = color;
+    }
+    if (newName !== oldName) {
+      group.categoryRules.forEach(rule => {
+        if (rule.category === oldName) {
+          rule.category = newName;
+        }
+      });
+    }
+    group.updatedAt = Date.now();
+    await group.save();
+
+    if (newName !== oldName) {
+      const filter = { groupId: group._id, category: oldName };
+      await Expense.updateMany(filter, { category: newName });
+      await RecurringExpense.updateMany(filter, { category: newName });
+      await Budget.updateMany(filter, { category: newName });
+    }
+
+    await recordActivity({
+      groupId: group._id,
+      actor: req.userId,
+      action: 'update',
+      entityType: 'group',
+      entityId: group._id,
+      summary: newName !== oldName
+        ? `Renamed category ${oldName} to ${newName}`
+        : `Updated category ${oldName}`
+    });
+
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      categories: formatCategories(group)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/categories/group/:groupId/:name
+// @desc    Remove a custom category; its expenses and templates move to Other
+// @access  Private (group admin)
+router.delete('/group/:groupId/:name', requireGroupRole('admin', 'groupId'), async (req, res, next) => {
+  try {
+    const group = req.group;
+
+    const category = findCustomCategory(group, req.params.name);
+    if (!category && findCategory(group, req.params.name)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Default categories cannot be removed' 
+      });
+    }
+
+    if (!category) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Category not found' 
+      });
+    }
+
+    const name = category.name;
+
+    if (await Budget.exists({ groupId: group._id, category: name })) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Delete the budgets for this category first' 
+      });
+    }
+
+    group.categories = group.categories.filter(c => c.name !== name);
+    group.categoryRules = group.categoryRules.filter(r => r.category !== name);
+    group.updatedAt = Date.now();
+    await group.save();
+
+    const filter = { groupId: group._id, category: name };
+    await Expense.updateMany(filter, { category: 'Other' });
+    await RecurringExpense.updateMany(filter, { category: 'Other' });
+
+    await recordActivity({
+      groupId: group._id,
+      actor: req.userId,
+      action: 'update',
+      entityType: 'group',
+      entityId: group._id,
+      summary: `Removed category ${name}`
+    });
+
+    res.json({
+      success: true,
+      message: 'Category removed successfully',
+      categories: formatCategories(group)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/categories/group/:groupId/rules
+// @desc    Add a keyword rule: titles containing the keyword get the category
+// @access  Private (group member)
+router.post('/group/:groupId/rules', validate(ruleSchema), requireGroupRole('member', 'groupId'), async (req, res, next) => {
+  try {
+    const group = req.group;
+
+    const validationError = validateRuleInput(req.body, group);
+    if (validationError) {
+      return res.status(400).json({ 
+        success: false, 
+        error: validationError 
+      });
+    }
+
+    const keyword = normalizeTitle(req.body.keyword);
+
+    if (group.categoryRules.some(r => r.source === 'manual' && r.keyword === keyword)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'A rule for this keyword already exists' 
+      });
+    }
+
+    group.categoryRules.push({
+      keyword,
+      category: findCategory(group, req.body.category),
+      source: 'manual',
+      createdBy: req.userId
+    });
+    await group.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Rule added successfully',
+      rule: formatRule(group.categoryRules[group.categoryRules.length - 1])
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/categories/group/:groupId/rules/:ruleId
+// @desc    Change a keyword rule (manual or learned)
+// @access  Private (group member)
+router.put('/group/:groupId/rules/:ruleId', validate(ruleSchema), requireGroupRole('member', 'groupId'), async (req, res, next) => {
+  try {
+    const group = req.group;
+    const rule = group.categoryRules.id(req.params.ruleId);
+
+    if (!rule) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Rule not found' 
+      });
+    }
+
+    const validationError = validateRuleInput(req.body, group);
+    if (validationError) {
+      return res.status(400).json({ 
+        success: false, 
+        error: validationError 
+      });
+    }
+
+    const keyword = normalizeTitle(req.body.keyword);
+
+    if (group.categoryRules.some(r =>
+      !r._id.equals(rule._id) && r.source === rule.source && r.keyword === keyword)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'A rule for this keyword already exists' 
+      });
+    }
+
+    rule.keyword = keyword;
+    rule.category = findCategory(group, req.body.category);
+    rule.updatedAt = Date.now();
+    await group.save();
+
+    res.json({
+      success: true,
+      message: 'Rule updated successfully',
+      rule: formatRule(rule)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/categories/group/:groupId/rules/:ruleId
+// @desc    Remove a keyword rule (manual or learned)
+// @access  Private (group member)
+router.delete('/group/:groupId/rules/:ruleId', requireGroupRole('member', 'groupId'), async (req, res, next) => {
+  try {
+    const group = req.group;
+    const rule = group.categoryRules.id(req.params.ruleId);
+
+    if (!rule) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Rule not found' 
+      });
+    }
+
+    group.categoryRules.pull(rule._id);
+    await group.save();
+
+    res.json({
+      success: true,
+      message: 'Rule removed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,39 +1,178 @@
 const express = require('express');
 const router = express.Router();
-const { Expense, Group } = require('../models/schemas');
+const { Expense, Group, Payment } = require('../models/schemas');
 const authMiddleware = require('../middleware/auth');
+const { apiRateLimit } = require('../middleware/rateLimit');
+const { validate, checkBody, objectIdParam } = require('../middleware/validate');
+const { hasRole, requireGroupRole } = require('../middleware/permissions');
+const {
+  EXPENSE_FIELDS,
+  validateExpenseInput,
+  validateExpenseMembers,
+  computeItemizedSplit,
+  resolveExchangeRate,
+  canModifyExpense
+} = require('../utils/expenses');
+const { toSnapshot, recordActivity } = require('../utils/activity');
+const {
+  toBaseAmount,
+  expenseShares,
+  emptyBalances,
+  applyExpense,
+  applyPayment,
+  toAmounts,
+  calculateSettlements
+} = require('../utils/balances');
+const {
+  EXPORT_QUERY,
+  csvRow,
+  formatAmount,
+  formatDate,
+  parseExportQuery,
+  startCsvDownload,
+  writeCsvSection
+} = require('../utils/export');
+const { IMPORT_PRESETS, convertCsv } = require('../utils/import');
+const { EXPENSE_FILTER_QUERY, parseExpenseFilters } = require('../utils/filters');
+const {
+  PAGE_QUERY,
+  CURSOR_QUERY,
+  parsePagination,
+  paginationInfo,
+  parseCursorPagination,
+  cursorPage
+} = require('../utils/pagination');
+const { searchTerms, highlightMatches } = require('../utils/search');
+const { checkBudgetAlerts, formatBudgetAlert } = require('../utils/budgets');
+const { findCategory, categorizeExpense, learnCategory } = require('../utils/categories');
 
 // Apply authentication to all routes
 router.use(authMiddleware);
 
-// Helper function to categorize expenses
-function categorizeExpense(title) {
-  const lower = title.toLowerCase();
-  if (lower.includes('food') || lower.includes('dinner') || 
-      lower.includes('lunch') || lower.includes('breakfast')) {
-    return 'Food';
+// Apply per-user rate limits to all routes
+router.use(apiRateLimit);
+
+// Reject malformed IDs in the URL with a 400
+['id', 'groupId'].forEach(name => router.param(name, objectIdParam));
+
+// Request schemas (see middleware/validate)
+const OPTIONAL_CHARGE = { type: 'number', nullable: true, min: 0 };
+
+const expenseSchema = {
+  body: {
+    ...EXPENSE_FIELDS,
+    groupId: { type: 'objectId', required: true },
+    date: { type: 'date', required: true },
+    notes: { type: 'string', nullable: true, maxLength: 1000 },
+    items: { type: 'array', nullable: true, items: { type: 'object' } },
+    tax: OPTIONAL_CHARGE,
+    tip: OPTIONAL_CHARGE,
+    serviceCharge: OPTIONAL_CHARGE
   }
-  if (lower.includes('rent') || lower.includes('hotel')) {
-    return 'Housing';
+};
+
+const importSchema = {
+  body: {
+    groupId: { type: 'objectId', required: true },
+    csv: { type: 'string', required: true, pattern: /\S/, message: 'Please provide the CSV contents' },
+    preset: { type: 'string', enum: IMPORT_PRESETS },
+    columns: { type: 'object', values: { type: 'string' } },
+    memberMap: { type: 'object', values: { type: 'string' } },
+    dryRun: { type: 'boolean' }
   }
-  if (lower.includes('grocery') || lower.includes('groceries') || 
-      lower.includes('vegetable')) {
-    return 'Groceries';
+};
+
+const listSchema = {
+  query: { ...EXPENSE_FILTER_QUERY, ...CURSOR_QUERY }
+};
+
+const searchSchema = {
+  query: {
+    ...EXPENSE_FILTER_QUERY,
+    ...PAGE_QUERY,
+    q: { type: 'string', required: true, maxLength: 200, pattern: /\S/ }
   }
-  if (lower.includes('transport') || lower.includes('uber') || 
-      lower.includes('taxi')) {
-    return 'Transport';
+};
+
+// Helper function to shape an expense for API responses
+function formatExpense(expense) {
+  return {
+    id: expense._id,
+    groupId: expense.groupId,
+    title: expense.title,
+    notes: expense.notes,
+    amount: expense.amount,
+    currency: expense.currency,
+    exchangeRate: expense.exchangeRate,
+    paidBy: expense.paidBy,
+    date: expense.date,
+    splitAmong: expense.splitAmong,
+    splitMethod: expense.splitMethod,
+    customAmounts: expense.customAmounts,
+    percentages: expense.percentages,
+    shares: expense.shares,
+    items: expense.items,
+    tax: expense.tax,
+    tip: expense.tip,
+    serviceCharge: expense.serviceCharge,
+    category: expense.category,
+    recurringId: expense.recurringId,
+    occurrenceDate: expense.occurrenceDate,
+    createdAt: expense.createdAt,
+    updatedAt: expense.updatedAt
+  };
+}
+
+// Fields expense listings can be sorted by, with how to revive cursor values
+const EXPENSE_SORT_FIELDS = {
+  date: value => new Date(value),
+  createdAt: value => new Date(value),
+  amount: { path: 'amountCents', revive: Number },
+  title: String
+};
+
+// Helper function to fetch one page of expenses matching baseFilter.
+// Query: ?from=&to=&category=&paidBy=&participant=&minAmount=&maxAmount=
+// filters, ?sort= (date, createdAt, amount or title; prefix - for
+// descending, default -date), ?limit= and ?cursor= (nextCursor of the
+// previous page). Returns { expenses, pagination } or { error }.
+async function findExpensePage(baseFilter, query) {
+  const { filter, error } = parseExpenseFilters(query);
+  if (error) {
+    return { error };
   }
-  if (lower.includes('movie') || lower.includes('entertainment')) {
-    return 'Entertainment';
+
+  const paging = parseCursorPagination(query, EXPENSE_SORT_FIELDS, '-date');
+  if (paging.error) {
+    return { error: paging.error };
   }
-  return 'Other';
+
+  const listFilter = { ...baseFilter, ...filter };
+  const pageFilter = paging.cursorFilter
+    ? { $and: [listFilter, paging.cursorFilter] }
+    : listFilter;
+
+  const [docs, total] = await Promise.all([
+    Expense.find(pageFilter).sort(paging.sort).limit(paging.limit + 1),
+    Expense.countDocuments(listFilter)
+  ]);
+  const { items, nextCursor } = cursorPage(docs, paging);
+
+  return {
+    expenses: items,
+    pagination: {
+      limit: paging.limit,
+      total,
+      sort: query.sort || '-date',
+      nextCursor
+    }
+  };
 }
 
 // @route   POST /api/expenses
 // @desc    Create a new expense
-// @access  Private
-router.post('/', async (req, res) => {
+// @access  Private (group member)
+router.post('/', validate(expenseSchema), async (req, res, next) => {
   try {
     const { 
       groupId, 
@@ -43,21 +182,32 @@ router.post('/', async (req, res) => {
       date, 
       splitAmong, 
       splitMethod, 
-      customAmounts 
+      customAmounts, 
+      percentages, 
+      shares, 
+      items, 
+      tax, 
+      tip, 
+      serviceCharge, 
+      currency, 
+      exchangeRate, 
+      notes, 
+      category 
     } = req.body;
 
     // Validation
-    if (!groupId || !title || !amount || !paidBy || !date || !splitAmong) {
+    const validationError = validateExpenseInput(req.body);
+    if (validationError) {
       return res.status(400).json({ 
         success: false, 
-        error: 'Please provide all required fields' 
+        error: validationError 
       });
     }
 
     // Verify group exists and user has access
     const group = await Group.findOne({
       _id: groupId,
-      createdBy: req.userId
+      ...Group.accessFilter(req.userId)
     });
 
     if (!group) {
@@ -67,160 +217,451 @@ router.post('/', async (req, res) => {
       });
     }
 
-    // Validate custom amounts if splitMethod is custom
-    if (splitMethod === 'custom') {
-      if (!customAmounts) {
-        return res.status(400).json({ 
-          success: false, 
-          error: 'Custom amounts required for custom split method' 
-        });
-      }
+    if (!hasRole(group.roleFor(req.userId), 'member')) {
+      return res.status(403).json({ 
+        success: false, 
+        error: 'Viewers cannot add expenses' 
+      });
+    }
 
-      const totalCustom = Object.values(customAmounts).reduce((sum, amt) => sum + amt, 0);
-      if (Math.abs(totalCustom - amount) >= 0.01) {
-        return res.status(400).json({ 
-          success: false, 
-          error: 'Custom amounts must sum to total amount' 
-        });
-      }
+    const memberError = validateExpenseMembers(req.body, group.members);
+    if (memberError) {
+      return res.status(400).json({ 
+        success: false, 
+        error: memberError 
+      });
+    }
+
+    // Resolve currency and the rate into the group's base currency
+    const expenseCurrency = (currency || group.baseCurrency).toUpperCase();
+    const rate = resolveExchangeRate(expenseCurrency, exchangeRate, group.baseCurrency);
+
+    if (!rate) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `No exchange rate known for ${expenseCurrency}, please provide exchangeRate` 
+      });
+    }
+
+    // Use the category picked by hand, or suggest one from the title
+    const expenseCategory = category ? findCategory(group, category) : categorizeExpense(title, group);
+
+    if (!expenseCategory) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Unknown category ${category}` 
+      });
     }
 
-    // Auto-categorize expense
-    const category = categorizeExpense(title);
+    // Itemized receipts: per-member amounts and the total come from the items
+    const itemized = splitMethod === 'itemized' ? computeItemizedSplit(req.body) : null;
 
     // Create expense
     const expense = await Expense.create({
       groupId,
       title,
-      amount,
+      notes: notes || '',
+      amount: itemized ? itemized.amount : amount,
+      currency: expenseCurrency,
+      exchangeRate: rate,
       paidBy,
       date,
       splitAmong,
       splitMethod: splitMethod || 'equal',
-      customAmounts: splitMethod === 'custom' ? customAmounts : null,
-      category,
+      customAmounts: itemized ? itemized.amounts : (splitMethod === 'custom' ? customAmounts : null),
+      percentages: splitMethod === 'percentage' ? percentages : null,
+      shares: splitMethod === 'shares' ? shares : null,
+      items: itemized ? items : undefined,
+      tax: itemized ? tax || 0 : 0,
+      tip: itemized ? tip || 0 : 0,
+      serviceCharge: itemized ? serviceCharge || 0 : 0,
+      category: expenseCategory,
       createdBy: req.userId
     });
 
+    // Learn from categories corrected by hand
+    if (category) {
+      await learnCategory(group, title, expenseCategory);
+    }
+
     // Update group's updatedAt
     await Group.findByIdAndUpdate(groupId, { updatedAt: Date.now() });
 
+    await recordActivity({
+      groupId: expense.groupId,
+      actor: req.userId,
+      action: 'create',
+      entityType: 'expense',
+      entityId: expense._id,
+      summary: `Added ${expense.title} (${expense.amount} ${expense.currency})`,
+      after: expense
+    });
+
+    const budgetAlerts = await checkBudgetAlerts(expense);
+
     res.status(201).json({
       success: true,
       message: 'Expense created successfully',
-      expense: {
-        id: expense._id,
-        groupId: expense.groupId,
-        title: expense.title,
-        amount: expense.amount,
-        paidBy: expense.paidBy,
-        date: expense.date,
-        splitAmong: expense.splitAmong,
-        splitMethod: expense.splitMethod,
-        customAmounts: expense.customAmounts,
-        category: expense.category,
-        createdAt: expense.createdAt
-      }
+      expense: formatExpense(expense),
+      budgetAlerts: budgetAlerts.map(alert => formatBudgetAlert(alert))
     });
   } catch (error) {
-    console.error('Create expense error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Server error creating expense' 
+    next(error);
+  }
+});
+
+// @route   POST /api/expenses/import
+// @desc    Import expenses into a group from CSV text. Rows are validated like
+//          new expenses; with dryRun nothing is saved and the per-row result
+//          is returned for review. Body: groupId, csv, preset (generic or
+//          splitwise), columns, memberMap ({ "name in file": "member" }), dryRun
+// @access  Private (group member)
+router.post('/import', validate(importSchema), requireGroupRole('member', 'groupId'), async (req, res, next) => {
+  try {
+    const { csv, preset = 'generic', columns, memberMap, dryRun } = req.body;
+    const group = req.group;
+
+    const converted = convertCsv(csv, {
+      preset,
+      columns,
+      memberMap,
+      group
+    });
+
+    if (converted.error) {
+      return res.status(400).json({ 
+        success: false, 
+        error: converted.error, 
+        unknownMembers: converted.unknownMembers 
+      });
+    }
+
+    const accepted = [];
+    const errors = [];
+    const skipped = [];
+
+    converted.rows.forEach(({ row, input, error, skipped: reason }) => {
+      if (reason) {
+        skipped.push({ row, reason });
+        return;
+      }
+
+      const rowError = error ||
+        checkBody(expenseSchema.body, { ...input, groupId: group._id.toString() }) ||
+        validateExpenseInput(input);
+
+      if (rowError) {
+        errors.push({ row, error: rowError });
+        return;
+      }
+
+      const currency = (input.currency || group.baseCurrency).toUpperCase();
+      const rate = resolveExchangeRate(currency, undefined, group.baseCurrency);
+
+      if (!rate) {
+        errors.push({ row, error: `No exchange rate known for ${currency}` });
+        return;
+      }
+
+      accepted.push({
+        row,
+        expense: {
+          groupId: group._id,
+          title: input.title,
+          notes: input.notes || '',
+          amount: input.amount,
+          currency,
+          exchangeRate: rate,
+          paidBy: input.paidBy,
+          date: new Date(input.date),
+          splitAmong: input.splitAmong,
+          splitMethod: input.splitMethod,
+          customAmounts: input.splitMethod === 'custom' ? input.customAmounts : null,
+          category: input.category,
+          createdBy: req.userId
+        }
+      });
+    });
+
+    const summary = {
+      total: converted.rows.length,
+      accepted: accepted.length,
+      rejected: errors.length,
+      skipped: skipped.length
+    };
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        dryRun: true,
+        summary,
+        errors,
+        skipped,
+        unknownMembers: converted.unknownMembers,
+        expenses: accepted.map(({ row, expense }) => ({
+          row,
+          title: expense.title,
+          amount: expense.amount,
+          currency: expense.currency,
+          paidBy: expense.paidBy,
+          date: expense.date,
+          splitAmong: expense.splitAmong,
+          splitMethod: expense.splitMethod,
+          customAmounts: expense.customAmounts,
+          category: expense.category
+        }))
+      });
+    }
+
+    if (accepted.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'No valid rows to import', 
+        summary, 
+        errors, 
+        unknownMembers: converted.unknownMembers 
+      });
+    }
+
+    const expenses = await Expense.insertMany(accepted.map(a => a.expense));
+
+    // Update group's updatedAt
+    await Group.findByIdAndUpdate(group._id, { updatedAt: Date.now() });
+
+    await recordActivity({
+      groupId: group._id,
+      actor: req.userId,
+      action: 'create',
+      entityType: 'group',
+      entityId: group._id,
+      summary: `Imported ${expenses.length} expense(s) from CSV`,
+      after: { preset, imported: expenses.map(e => e._id) }
     });
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${expenses.length} expense(s) successfully`,
+      summary,
+      errors,
+      skipped,
+      unknownMembers: converted.unknownMembers,
+      expenses: expenses.map(expense => formatExpense(expense))
+    });
+  } catch (error) {
+    next(error);
   }
 });
 
 // @route   GET /api/expenses/group/:groupId
-// @desc    Get all expenses for a specific group
+// @desc    Get expenses for a specific group, a page at a time
+//          (see findExpensePage for the query parameters)
 // @access  Private
-router.get('/group/:groupId', async (req, res) => {
+router.get('/group/:groupId', validate(listSchema), requireGroupRole('viewer', 'groupId'), async (req, res, next) => {
   try {
-    // Verify group exists and user has access
-    const group = await Group.findOne({
-      _id: req.params.groupId,
-      createdBy: req.userId
-    });
+    const page = await findExpensePage({ groupId: req.group._id }, req.query);
 
-    if (!group) {
-      return res.status(404).json({ 
+    if (page.error) {
+      return res.status(400).json({ 
         success: false, 
-        error: 'Group not found' 
+        error: page.error 
       });
     }
 
-    const expenses = await Expense.find({ groupId: req.params.groupId })
-      .sort({ date: -1, createdAt: -1 });
-
     res.json({
       success: true,
-      count: expenses.length,
-      expenses: expenses.map(expense => ({
-        id: expense._id,
-        groupId: expense.groupId,
-        title: expense.title,
-        amount: expense.amount,
-        paidBy: expense.paidBy,
-        date: expense.date,
-        splitAmong: expense.splitAmong,
-        splitMethod: expense.splitMethod,
-        customAmounts: expense.customAmounts,
-        category: expense.category,
-        createdAt: expense.createdAt
-      }))
+      count: page.expenses.length,
+      pagination: page.pagination,
+      expenses: page.expenses.map(expense => formatExpense(expense))
     });
   } catch (error) {
-    console.error('Get expenses error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Server error fetching expenses' 
-    });
+    next(error);
   }
 });
 
 // @route   GET /api/expenses
-// @desc    Get all expenses for current user (across all groups)
+// @desc    Get expenses for current user (across all groups), a page at a time
+//          (see findExpensePage for the query parameters)
 // @access  Private
-router.get('/', async (req, res) => {
+router.get('/', validate(listSchema), async (req, res, next) => {
   try {
     // Get all user's groups
-    const groups = await Group.find({ createdBy: req.userId });
+    const groups = await Group.find(Group.accessFilter(req.userId));
     const groupIds = groups.map(g => g._id);
 
-    // Get all expenses in those groups
-    const expenses = await Expense.find({ groupId: { $in: groupIds } })
-      .sort({ date: -1, createdAt: -1 });
+    const page = await findExpensePage({ groupId: { $in: groupIds } }, req.query);
+
+    if (page.error) {
+      return res.status(400).json({ 
+        success: false, 
+        error: page.error 
+      });
+    }
+
+    res.json({
+      success: true,
+      count: page.expenses.length,
+      pagination: page.pagination,
+      expenses: page.expenses.map(expense => formatExpense(expense))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/expenses/search
+// @desc    Search expense titles, notes and categories across the user's
+//          groups, best matches first. Takes ?q=, the listing filters
+//          (see findExpensePage) and ?page=&limit=. Each result carries the
+//          matched [start, end) ranges per field for highlighting.
+// @access  Private
+router.get('/search', validate(searchSchema), async (req, res, next) => {
+  try {
+    const q = req.query.q.trim();
+
+    const filters = parseExpenseFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({ 
+        success: false, 
+        error: filters.error 
+      });
+    }
+
+    const groups = await Group.find(Group.accessFilter(req.userId));
+    const groupNames = {};
+    groups.forEach(g => {
+      groupNames[g._id.toString()] = g.name;
+    });
+
+    const pagination = parsePagination(req.query);
+    const searchFilter = {
+      groupId: { $in: groups.map(g => g._id) },
+      ...filters.filter,
+      $text: { $search: q }
+    };
+
+    const [expenses, total] = await Promise.all([
+      Expense.find(searchFilter, { score: { $meta: 'textScore' } })
+        .sort({ score: { $meta: 'textScore' }, date: -1, _id: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .lean(),
+      Expense.countDocuments(searchFilter)
+    ]);
+
+    const terms = searchTerms(q);
 
     res.json({
       success: true,
       count: expenses.length,
+      pagination: paginationInfo(pagination, total),
+      // Lean results hold the stored cents, so hydrate them for the amounts
       expenses: expenses.map(expense => ({
-        id: expense._id,
-        groupId: expense.groupId,
-        title: expense.title,
-        amount: expense.amount,
-        paidBy: expense.paidBy,
-        date: expense.date,
-        splitAmong: expense.splitAmong,
-        splitMethod: expense.splitMethod,
-        customAmounts: expense.customAmounts,
-        category: expense.category,
-        createdAt: expense.createdAt
+        ...formatExpense(Expense.hydrate(expense)),
+        groupName: groupNames[expense.groupId.toString()],
+        score: expense.score,
+        highlights: highlightMatches(expense, terms)
       }))
     });
   } catch (error) {
-    console.error('Get all expenses error:', error);
-    res.status(500).json({ 
+    next(error);
+  }
+});
+
+// @route   GET /api/expenses/export
+// @desc    Download expenses, balances and settlements across all the user's
+//          groups (?format=csv, optional ?from= and ?to= dates)
+// @access  Private
+router.get('/export', validate({ query: EXPORT_QUERY }), async (req, res, next) => {
+  const exportQuery = parseExportQuery(req.query);
+
+  if (exportQuery.error) {
+    return res.status(400).json({ 
       success: false, 
-      error: 'Server error fetching expenses' 
+      error: exportQuery.error 
+    });
+  }
+
+  try {
+    const groups = await Group.find(Group.accessFilter(req.userId)).sort({ name: 1 });
+    const groupIds = groups.map(g => g._id);
+
+    const filter = { groupId: { $in: groupIds } };
+    if (exportQuery.dateFilter) {
+      filter.date = exportQuery.dateFilter;
+    }
+
+    const groupsById = {};
+    const balancesByGroup = {};
+    groups.forEach(g => {
+      groupsById[g._id.toString()] = g;
+      balancesByGroup[g._id.toString()] = emptyBalances(g.members);
+    });
+
+    startCsvDownload(res, 'expenses');
+    res.write(csvRow([
+      'Group', 'Date', 'Title', 'Category', 'Amount', 'Currency',
+      'Base Amount', 'Base Currency', 'Paid By', 'Your Share'
+    ]));
+
+    // Stream expenses rather than loading every group into memory
+    const cursor = Expense.find(filter).sort({ date: 1, createdAt: 1 }).cursor();
+    for await (const expense of cursor) {
+      const group = groupsById[expense.groupId.toString()];
+      const currentMember = group.memberNameFor(req.userId);
+
+      applyExpense(balancesByGroup[expense.groupId.toString()], expense);
+      res.write(csvRow([
+        group.name,
+        formatDate(expense.date),
+        expense.title,
+        expense.category,
+        formatAmount(expense.amount),
+        expense.currency,
+        formatAmount(toBaseAmount(expense)),
+        group.baseCurrency,
+        expense.paidBy,
+        // Left blank in groups where the user is not linked to a member
+        currentMember ? formatAmount(expenseShares(expense)[currentMember]) : ''
+      ]));
+    }
+
+    const payments = await Payment.find(filter);
+    payments.forEach(payment => applyPayment(balancesByGroup[payment.groupId.toString()], payment));
+
+    const balanceRows = [];
+    const settlementRows = [];
+    groups.forEach(group => {
+      // The running balances are in cents
+      const balances = toAmounts(balancesByGroup[group._id.toString()]);
+
+      group.members.forEach(member => {
+        balanceRows.push([group.name, member, formatAmount(balances[member]), group.baseCurrency]);
+      });
+      calculateSettlements(balances).forEach(s => {
+        settlementRows.push([group.name, s.from, s.to, formatAmount(s.amount), group.baseCurrency]);
+      });
     });
+
+    writeCsvSection(res, 'Balances', ['Group', 'Member', 'Balance', 'Currency'], balanceRows);
+    writeCsvSection(res, 'Settlements', ['Group', 'From', 'To', 'Amount', 'Currency'], settlementRows);
+
+    res.end();
+  } catch (error) {
+    // Part of the file was already sent; drop the connection so the
+    // download fails instead of looking complete
+    if (res.headersSent) {
+      console.error('Export expenses error:', error);
+      return res.destroy(error);
+    }
+
+    next(error);
   }
 });
 
 // @route   GET /api/expenses/:id
 // @desc    Get single expense by ID
 // @access  Private
-router.get('/:id', async (req, res) => {
+router.get('/:id', async (req, res, next) => {
   try {
     const expense = await Expense.findById(req.params.id);
 
@@ -234,7 +675,7 @@ router.get('/:id', async (req, res) => {
     // Verify user has access to this expense's group
     const group = await Group.findOne({
       _id: expense.groupId,
-      createdBy: req.userId
+      ...Group.accessFilter(req.userId)
     });
 
     if (!group) {
@@ -246,33 +687,17 @@ router.get('/:id', async (req, res) => {
 
     res.json({
       success: true,
-      expense: {
-        id: expense._id,
-        groupId: expense.groupId,
-        title: expense.title,
-        amount: expense.amount,
-        paidBy: expense.paidBy,
-        date: expense.date,
-        splitAmong: expense.splitAmong,
-        splitMethod: expense.splitMethod,
-        customAmounts: expense.customAmounts,
-        category: expense.category,
-        createdAt: expense.createdAt
-      }
+      expense: formatExpense(expense)
     });
   } catch (error) {
-    console.error('Get expense error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Server error fetching expense' 
-    });
+    next(error);
   }
 });
 
-// @route   DELETE /api/expenses/:id
-// @desc    Delete expense
+// @route   GET /api/expenses/:id/history
+// @desc    Get previous versions of an expense, newest first
 // @access  Private
-router.delete('/:id', async (req, res) => {
+router.get('/:id/history', async (req, res, next) => {
   try {
     const expense = await Expense.findById(req.params.id);
 
@@ -286,7 +711,7 @@ router.delete('/:id', async (req, res) => {
     // Verify user has access to this expense's group
     const group = await Group.findOne({
       _id: expense.groupId,
-      createdBy: req.userId
+      ...Group.accessFilter(req.userId)
     });
 
     if (!group) {
@@ -296,21 +721,356 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
-    await Expense.findByIdAndDelete(req.params.id);
+    const revisions = [...expense.revisions].reverse();
+
+    res.json({
+      success: true,
+      count: revisions.length,
+      revisions: revisions.map(revision => ({
+        id: revision._id,
+        groupId: revision.groupId,
+        title: revision.title,
+        notes: revision.notes,
+        amount: revision.amount,
+        currency: revision.currency,
+        exchangeRate: revision.exchangeRate,
+        paidBy: revision.paidBy,
+        date: revision.date,
+        splitAmong: revision.splitAmong,
+        splitMethod: revision.splitMethod,
+        customAmounts: revision.customAmounts,
+        percentages: revision.percentages,
+        shares: revision.shares,
+        items: revision.items,
+        tax: revision.tax,
+        tip: revision.tip,
+        serviceCharge: revision.serviceCharge,
+        category: revision.category,
+        updatedAt: revision.updatedAt,
+        revisedBy: revision.revisedBy,
+        revisedAt: revision.revisedAt
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/expenses/:id
+// @desc    Update expense, keeping the previous version in its history
+// @access  Private (group admin, or member who created the expense)
+router.put('/:id', validate(expenseSchema), async (req, res, next) => {
+  try {
+    const { 
+      groupId, 
+      title, 
+      amount, 
+      paidBy, 
+      date, 
+      splitAmong, 
+      splitMethod, 
+      customAmounts, 
+      percentages, 
+      shares, 
+      items, 
+      tax, 
+      tip, 
+      serviceCharge, 
+      currency, 
+      exchangeRate, 
+      notes, 
+      category 
+    } = req.body;
+
+    // Validation
+    const validationError = validateExpenseInput(req.body);
+    if (validationError) {
+      return res.status(400).json({ 
+        success: false, 
+        error: validationError 
+      });
+    }
+
+    const expense = await Expense.findById(req.params.id);
+
+    if (!expense) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Expense not found' 
+      });
+    }
+
+    // Verify user has access to this expense's group
+    const currentGroup = await Group.findOne({
+      _id: expense.groupId,
+      ...Group.accessFilter(req.userId)
+    });
+
+    if (!currentGroup || !canModifyExpense(expense, currentGroup.roleFor(req.userId), req.userId)) {
+      return res.status(403).json({ 
+        success: false, 
+        error: 'Access denied' 
+      });
+    }
+
+    // Verify target group exists and user has access (expense may be moved)
+    const group = await Group.findOne({
+      _id: groupId,
+      ...Group.accessFilter(req.userId)
+    });
+
+    if (!group) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Group not found' 
+      });
+    }
+
+    if (!hasRole(group.roleFor(req.userId), 'member')) {
+      return res.status(403).json({ 
+        success: false, 
+        error: 'Viewers cannot add expenses' 
+      });
+    }
+
+    const memberError = validateExpenseMembers(req.body, group.members);
+    if (memberError) {
+      return res.status(400).json({ 
+        success: false, 
+        error: memberError 
+      });
+    }
+
+    // Keep the entry-time rate unless the currency, group or rate changes
+    const expenseCurrency = (currency || group.baseCurrency).toUpperCase();
+    let rate;
+    if (!exchangeRate && expenseCurrency === expense.currency && group._id.equals(expense.groupId)) {
+      rate = expense.exchangeRate;
+    } else {
+      rate = resolveExchangeRate(expenseCurrency, exchangeRate, group.baseCurrency);
+    }
+
+    if (!rate) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `No exchange rate known for ${expenseCurrency}, please provide exchangeRate` 
+      });
+    }
+
+    const pickedCategory = category ? findCategory(group, category) : null;
+
+    if (category && !pickedCategory) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Unknown category ${category}` 
+      });
+    }
+
+    const before = toSnapshot(expense);
+
+    // Keep a snapshot of the current version before overwriting it
+    expense.revisions.push({
+      groupId: expense.groupId,
+      title: expense.title,
+      amount: expense.amount,
+      currency: expense.currency,
+      exchangeRate: expense.exchangeRate,
+      paidBy: expense.paidBy,
+      date: expense.date,
+      splitAmong: expense.splitAmong,
+      splitMethod: expense.splitMethod,
+      customAmounts: expense.customAmounts,
+      percentages: expense.percentages,
+      shares: expense.shares,
+      items: expense.items,
+      tax: expense.tax,
+      tip: expense.tip,
+      serviceCharge: expense.serviceCharge,
+      category: expense.category,
+      notes: expense.notes,
+      updatedAt: expense.updatedAt,
+      revisedBy: req.userId
+    });
+
+    // Use the category picked by hand; otherwise re-categorize only when
+    // the title changes (or the expense moves to another group)
+    if (pickedCategory) {
+      expense.category = pickedCategory;
+    } else if (title !== expense.title || !group._id.equals(expense.groupId)) {
+      expense.category = categorizeExpense(title, group);
+    }
+
+    const previousGroupId = expense.groupId;
+    const itemized = splitMethod === 'itemized' ? computeItemizedSplit(req.body) : null;
+
+    expense.groupId = groupId;
+    expense.title = title;
+    expense.notes = notes || '';
+    expense.amount = itemized ? itemized.amount : amount;
+    expense.currency = expenseCurrency;
+    expense.exchangeRate = rate;
+    expense.paidBy = paidBy;
+    expense.date = date;
+    expense.splitAmong = splitAmong;
+    expense.splitMethod = splitMethod || 'equal';
+    expense.customAmounts = itemized ? itemized.amounts : (splitMethod === 'custom' ? customAmounts : null);
+    expense.percentages = splitMethod === 'percentage' ? percentages : null;
+    expense.shares = splitMethod === 'shares' ? shares : null;
+    expense.items = itemized ? items : undefined;
+    expense.tax = itemized ? tax || 0 : 0;
+    expense.tip = itemized ? tip || 0 : 0;
+    expense.serviceCharge = itemized ? serviceCharge || 0 : 0;
+    expense.updatedAt = Date.now();
+
+    await expense.save();
+
+    // Learn from categories corrected by hand
+    if (pickedCategory) {
+      await learnCategory(group, title, pickedCategory);
+    }
+
+    // Update group's updatedAt (both groups if the expense moved)
+    await Group.findByIdAndUpdate(groupId, { updatedAt: Date.now() });
+    if (!previousGroupId.equals(group._id)) {
+      await Group.findByIdAndUpdate(previousGroupId, { updatedAt: Date.now() });
+    }
+
+    await recordActivity({
+      groupId: expense.groupId,
+      actor: req.userId,
+      action: 'update',
+      entityType: 'expense',
+      entityId: expense._id,
+      summary: `Edited ${expense.title}`,
+      before,
+      after: expense
+    });
+
+    res.json({
+      success: true,
+      message: 'Expense updated successfully',
+      expense: formatExpense(expense)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/expenses/:id
+// @desc    Move expense to the trash
+// @access  Private (group admin, or member who created the expense)
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const expense = await Expense.findById(req.params.id);
+
+    if (!expense) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Expense not found' 
+      });
+    }
+
+    // Verify user may change this expense
+    const group = await Group.findOne({
+      _id: expense.groupId,
+      ...Group.accessFilter(req.userId)
+    });
+
+    if (!group || !canModifyExpense(expense, group.roleFor(req.userId), req.userId)) {
+      return res.status(403).json({ 
+        success: false, 
+        error: 'Access denied' 
+      });
+    }
+
+    expense.deletedAt = Date.now();
+    expense.deletedBy = req.userId;
+    await expense.save();
 
     // Update group's updatedAt
     await Group.findByIdAndUpdate(expense.groupId, { updatedAt: Date.now() });
 
+    await recordActivity({
+      groupId: expense.groupId,
+      actor: req.userId,
+      action: 'delete',
+      entityType: 'expense',
+      entityId: expense._id,
+      summary: `Moved ${expense.title} to the trash`,
+      before: expense
+    });
+
     res.json({
       success: true,
-      message: 'Expense deleted successfully'
+      message: 'Expense moved to trash'
     });
   } catch (error) {
-    console.error('Delete expense error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Server error deleting expense' 
+    next(error);
+  }
+});
+
+// @route   POST /api/expenses/:id/restore
+// @desc    Restore a trashed expense
+// @access  Private (group admin, or member who created the expense)
+router.post('/:id/restore', async (req, res, next) => {
+  try {
+    const expense = await Expense.findOne({
+      _id: req.params.id,
+      deletedAt: { $ne: null }
+    });
+
+    if (!expense) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Expense not found in trash' 
+      });
+    }
+
+    // The group itself may be in the trash, in which case it is not found
+    const group = await Group.findOne({
+      _id: expense.groupId,
+      ...Group.accessFilter(req.userId)
+    });
+
+    if (!group) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Expense belongs to a group that is not available, restore the group first' 
+      });
+    }
+
+    if (!canModifyExpense(expense, group.roleFor(req.userId), req.userId)) {
+      return res.status(403).json({ 
+        success: false, 
+        error: 'Access denied' 
+      });
+    }
+
+    expense.deletedAt = null;
+    expense.deletedBy = null;
+    expense.deletedWithGroup = false;
+    await expense.save();
+
+    // Update group's updatedAt
+    await Group.findByIdAndUpdate(expense.groupId, { updatedAt: Date.now() });
+
+    await recordActivity({
+      groupId: expense.groupId,
+      actor: req.userId,
+      action: 'restore',
+      entityType: 'expense',
+      entityId: expense._id,
+      summary: `Restored ${expense.title} from the trash`,
+      after: expense
     });
+
+    res.json({
+      success: true,
+      message: 'Expense restored successfully',
+      expense: formatExpense(expense)
+    });
+  } catch (error) {
+    next(error);
   }
 });
 
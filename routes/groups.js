@@ -1,23 +1,190 @@
 const express = require('express');
 const router = express.Router();
-const { Group, Expense } = require('../models/schemas');
+const crypto = require('crypto');
+const {
+  User,
+  Group,
+  Expense,
+  RecurringExpense,
+  Payment,
+  Invite,
+  Activity
+} = require('../models/schemas');
 const authMiddleware = require('../middleware/auth');
+const { apiRateLimit } = require('../middleware/rateLimit');
+const { validate, objectIdParam } = require('../middleware/validate');
+const { ASSIGNABLE_ROLES, hasRole, requireGroupRole } = require('../middleware/permissions');
+const { isSupportedCurrency } = require('../config/currencies');
+const { canModifyExpense } = require('../utils/expenses');
+const { toSnapshot, recordActivity, formatActivity } = require('../utils/activity');
+const { PAGE_QUERY, parsePagination, paginationInfo } = require('../utils/pagination');
+const {
+  emptyBalances,
+  applyExpense,
+  applyPayment,
+  toAmounts,
+  calculateSettlements
+} = require('../utils/balances');
+const {
+  EXPORT_QUERY,
+  csvRow,
+  formatAmount,
+  formatDate,
+  parseExportQuery,
+  startCsvDownload,
+  writeCsvSection,
+  groupExpenseRow
+} = require('../utils/export');
 
 // Apply authentication to all routes
 router.use(authMiddleware);
 
+// Apply per-user rate limits to all routes
+router.use(apiRateLimit);
+
+// Reject malformed IDs in the URL with a 400
+['id', 'paymentId', 'inviteId'].forEach(name => router.param(name, objectIdParam));
+
+// Request schemas (see middleware/validate)
+const CURRENCY_RULE = { type: 'string', pattern: /^[A-Za-z]{3}$/, message: 'baseCurrency must be a 3-letter ISO code' };
+const MEMBERS_RULE = { type: 'array', minLength: 1, items: { type: 'string', minLength: 1, maxLength: 50 } };
+
+const createGroupSchema = {
+  body: {
+    name: { type: 'string', required: true, maxLength: 100 },
+    members: { ...MEMBERS_RULE, required: true },
+    baseCurrency: CURRENCY_RULE
+  }
+};
+
+const updateGroupSchema = {
+  body: {
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    members: MEMBERS_RULE,
+    baseCurrency: CURRENCY_RULE
+  }
+};
+
+const linkMemberSchema = {
+  body: {
+    email: { type: 'string', required: true },
+    role: { type: 'string' }
+  }
+};
+
+const memberRoleSchema = {
+  body: {
+    role: { type: 'string', required: true }
+  }
+};
+
+const transferOwnershipSchema = {
+  body: {
+    member: { type: 'string', required: true }
+  }
+};
+
+const createInviteSchema = {
+  body: {
+    member: { type: 'string', nullable: true },
+    role: { type: 'string' },
+    maxUses: { type: 'integer', min: 1 },
+    expiresInHours: { type: 'number', positive: true }
+  }
+};
+
+const paymentSchema = {
+  body: {
+    from: { type: 'string', required: true },
+    to: { type: 'string', required: true },
+    amount: { type: 'number', required: true, positive: true },
+    date: { type: 'date' },
+    note: { type: 'string', maxLength: 500 }
+  }
+};
+
+const DEFAULT_INVITE_EXPIRY_HOURS = 72;
+
+// Helper function to check whether the current user may hand out a role
+// Returns { status, error } when not allowed, or null
+function checkRoleAssignment(role, groupRole) {
+  if (!ASSIGNABLE_ROLES.includes(role)) {
+    return { status: 400, error: `Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}` };
+  }
+  if (role === 'admin' && groupRole !== 'owner') {
+    return { status: 403, error: 'Only the group owner can grant the admin role' };
+  }
+  return null;
+}
+
+// Helper function to find which of the given members appear in the group's
+// expenses (trashed ones included, they can be restored), recurring
+// templates or payments. Balances are only kept for current members, so
+// removing one of these would leave the group's balances not summing to zero.
+async function membersWithHistory(groupId, names) {
+  const filter = { groupId };
+  const used = new Set([
+    ...await Expense.distinct('paidBy', filter),
+    ...await Expense.distinct('splitAmong', filter),
+    ...await RecurringExpense.distinct('paidBy', filter),
+    ...await RecurringExpense.distinct('splitAmong', filter),
+    ...await Payment.distinct('from', filter),
+    ...await Payment.distinct('to', filter)
+  ]);
+
+  return names.filter(name => used.has(name));
+}
+
+// Helper function to shape an invite for API responses
+function formatInvite(invite) {
+  return {
+    id: invite._id,
+    groupId: invite.groupId,
+    token: invite.token,
+    member: invite.member,
+    role: invite.role,
+    maxUses: invite.maxUses,
+    uses: invite.uses,
+    status: invite.getStatus(),
+    acceptedBy: invite.acceptedBy,
+    expiresAt: invite.expiresAt,
+    revokedAt: invite.revokedAt,
+    createdAt: invite.createdAt
+  };
+}
+
+// Helper function to shape a group for API responses
+function formatGroup(group, userId) {
+  return {
+    id: group._id,
+    name: group.name,
+    members: group.members,
+    linkedMembers: group.linkedMembers.map(link => ({
+      name: link.name,
+      userId: link.user,
+      role: link.role,
+      linkedAt: link.linkedAt
+    })),
+    baseCurrency: group.baseCurrency,
+    isOwner: Boolean(group.createdBy && group.createdBy.equals(userId)),
+    role: group.roleFor(userId),
+    currentMember: group.memberNameFor(userId),
+    createdAt: group.createdAt,
+    updatedAt: group.updatedAt
+  };
+}
+
 // @route   POST /api/groups
 // @desc    Create a new group
 // @access  Private
-router.post('/', async (req, res) => {
+router.post('/', validate(createGroupSchema), async (req, res, next) => {
   try {
-    const { name, members } = req.body;
+    const { name, members, baseCurrency } = req.body;
 
-    // Validation
-    if (!name || !members || members.length === 0) {
+    if (baseCurrency && !isSupportedCurrency(baseCurrency)) {
       return res.status(400).json({ 
         success: false, 
-        error: 'Please provide group name and at least one member' 
+        error: 'Unsupported base currency' 
       });
     }
 
@@ -25,65 +192,122 @@ router.post('/', async (req, res) => {
     const group = await Group.create({
       name,
       members,
+      baseCurrency,
       createdBy: req.userId
     });
 
+    await recordActivity({
+      groupId: group._id,
+      actor: req.userId,
+      action: 'create',
+      entityType: 'group',
+      entityId: group._id,
+      summary: `Created group ${group.name}`,
+      after: group
+    });
+
     res.status(201).json({
       success: true,
       message: 'Group created successfully',
-      group: {
-        id: group._id,
-        name: group.name,
-        members: group.members,
-        createdAt: group.createdAt
-      }
+      group: formatGroup(group, req.userId)
     });
   } catch (error) {
-    console.error('Create group error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Server error creating group' 
-    });
+    next(error);
   }
 });
 
 // @route   GET /api/groups
 // @desc    Get all groups for current user
 // @access  Private
-router.get('/', async (req, res) => {
+router.get('/', async (req, res, next) => {
   try {
-    const groups = await Group.find({ createdBy: req.userId })
+    const groups = await Group.find(Group.accessFilter(req.userId))
       .sort({ updatedAt: -1 });
 
     res.json({
       success: true,
       count: groups.length,
-      groups: groups.map(group => ({
-        id: group._id,
-        name: group.name,
-        members: group.members,
-        createdAt: group.createdAt,
-        updatedAt: group.updatedAt
-      }))
+      groups: groups.map(group => formatGroup(group, req.userId))
     });
   } catch (error) {
-    console.error('Get groups error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Server error fetching groups' 
-    });
+    next(error);
   }
 });
 
 // @route   GET /api/groups/:id
 // @desc    Get single group by ID
 // @access  Private
-router.get('/:id', async (req, res) => {
+router.get('/:id', requireGroupRole('viewer'), async (req, res, next) => {
   try {
-    const group = await Group.findOne({
-      _id: req.params.id,
-      createdBy: req.userId
+    const group = req.group;
+
+    res.json({
+      success: true,
+      group: formatGroup(group, req.userId)
     });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/groups/:id
+// @desc    Update group
+// @access  Private (group admin)
+router.put('/:id', validate(updateGroupSchema), requireGroupRole('admin'), async (req, res, next) => {
+  try {
+    const { name, members, baseCurrency } = req.body;
+
+    if (baseCurrency !== undefined) {
+      if (!isSupportedCurrency(baseCurrency)) {
+        return res.status(400).json({ 
+          success: false, 
+          error: 'Unsupported base currency' 
+        });
+      }
+
+      // Stored exchange rates are relative to the current base currency,
+      // so it can only change while the group has no expenses
+      if (req.group.baseCurrency !== baseCurrency.toUpperCase()) {
+        const expenseCount = await Expense.countDocuments({ groupId: req.group._id });
+        if (expenseCount > 0) {
+          return res.status(400).json({ 
+            success: false, 
+            error: 'Base currency cannot be changed once the group has expenses' 
+          });
+        }
+      }
+    }
+
+    // Members with expenses or payments have to stay in the group
+    if (members) {
+      const removed = req.group.members.filter(member => !members.includes(member));
+      const blocked = await membersWithHistory(req.group._id, removed);
+
+      if (blocked.length > 0) {
+        return res.status(400).json({ 
+          success: false, 
+          error: `Cannot remove members with expenses or payments: ${blocked.join(', ')}` 
+        });
+      }
+    }
+
+    const update = { 
+      name, 
+      members, 
+      baseCurrency, 
+      updatedAt: Date.now() 
+    };
+
+    // Drop account links for members that were removed
+    if (members) {
+      update.$pull = { linkedMembers: { name: { $nin: members } } };
+    }
+
+    const group = await Group.findOneAndUpdate(
+      { _id: req.group._id },
+      update,
+      { new: true, runValidators: true }
+    );
 
     if (!group) {
       return res.status(404).json({ 
@@ -92,98 +316,713 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    await recordActivity({
+      groupId: group._id,
+      actor: req.userId,
+      action: 'update',
+      entityType: 'group',
+      entityId: group._id,
+      summary: `Updated group ${group.name}`,
+      before: req.group,
+      after: group
+    });
+
     res.json({
       success: true,
-      group: {
-        id: group._id,
-        name: group.name,
-        members: group.members,
-        createdAt: group.createdAt,
-        updatedAt: group.updatedAt
-      }
+      message: 'Group updated successfully',
+      group: formatGroup(group, req.userId)
     });
   } catch (error) {
-    console.error('Get group error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Server error fetching group' 
-    });
+    next(error);
   }
 });
 
-// @route   PUT /api/groups/:id
-// @desc    Update group
-// @access  Private
-router.put('/:id', async (req, res) => {
+// @route   DELETE /api/groups/:id
+// @desc    Move group and all its expenses to the trash
+// @access  Private (group owner)
+router.delete('/:id', requireGroupRole('owner'), async (req, res, next) => {
   try {
-    const { name, members } = req.body;
+    const group = req.group;
+    const deletedAt = Date.now();
 
-    const group = await Group.findOneAndUpdate(
-      { _id: req.params.id, createdBy: req.userId },
-      { 
-        name, 
-        members, 
-        updatedAt: Date.now() 
-      },
-      { new: true, runValidators: true }
+    group.deletedAt = deletedAt;
+    group.deletedBy = req.userId;
+    await group.save();
+
+    // Trash the group's expenses with it; ones already in the trash keep
+    // their own deletion so restoring the group does not bring them back
+    await Expense.updateMany(
+      { groupId: group._id, deletedAt: null },
+      { deletedAt, deletedBy: req.userId, deletedWithGroup: true }
     );
 
+    await recordActivity({
+      groupId: group._id,
+      actor: req.userId,
+      action: 'delete',
+      entityType: 'group',
+      entityId: group._id,
+      summary: `Moved group ${group.name} to the trash`,
+      before: group
+    });
+
+    res.json({
+      success: true,
+      message: 'Group and all expenses moved to trash'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/groups/:id/restore
+// @desc    Restore a trashed group together with its expenses
+// @access  Private (group owner)
+router.post('/:id/restore', async (req, res, next) => {
+  try {
+    const group = await Group.findOne({
+      _id: req.params.id,
+      createdBy: req.userId,
+      deletedAt: { $ne: null }
+    });
+
     if (!group) {
       return res.status(404).json({ 
         success: false, 
-        error: 'Group not found' 
+        error: 'Group not found in trash' 
       });
     }
 
+    group.deletedAt = null;
+    group.deletedBy = null;
+    group.updatedAt = Date.now();
+    await group.save();
+
+    const restored = await Expense.updateMany(
+      { groupId: group._id, deletedAt: { $ne: null }, deletedWithGroup: true },
+      { deletedAt: null, deletedBy: null, deletedWithGroup: false }
+    );
+
+    await recordActivity({
+      groupId: group._id,
+      actor: req.userId,
+      action: 'restore',
+      entityType: 'group',
+      entityId: group._id,
+      summary: `Restored group ${group.name} from the trash`,
+      after: group
+    });
+
     res.json({
       success: true,
-      message: 'Group updated successfully',
-      group: {
-        id: group._id,
-        name: group.name,
-        members: group.members,
-        updatedAt: group.updatedAt
-      }
+      message: 'Group restored successfully',
+      restoredExpenses: restored.modifiedCount,
+      group: formatGroup(group, req.userId)
     });
   } catch (error) {
-    console.error('Update group error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Server error updating group' 
+    next(error);
+  }
+});
+
+// @route   GET /api/groups/:id/activity
+// @desc    Get the group's activity log, newest first (?page=&limit=)
+// @access  Private
+router.get('/:id/activity', validate({ query: PAGE_QUERY }), requireGroupRole('viewer'), async (req, res, next) => {
+  try {
+    const pagination = parsePagination(req.query);
+    const filter = { groupId: req.group._id };
+
+    const [activities, total] = await Promise.all([
+      Activity.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .populate('actor', 'name'),
+      Activity.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      count: activities.length,
+      pagination: paginationInfo(pagination, total),
+      activities: activities.map(activity => formatActivity(activity))
     });
+  } catch (error) {
+    next(error);
   }
 });
 
-// @route   DELETE /api/groups/:id
-// @desc    Delete group and all its expenses
+// @route   GET /api/groups/:id/export
+// @desc    Download the group's expenses, payments, balances and settlements
+//          (?format=csv, optional ?from= and ?to= dates)
 // @access  Private
-router.delete('/:id', async (req, res) => {
+router.get('/:id/export', validate({ query: EXPORT_QUERY }), requireGroupRole('viewer'), async (req, res, next) => {
+  const exportQuery = parseExportQuery(req.query);
+
+  if (exportQuery.error) {
+    return res.status(400).json({ 
+      success: false, 
+      error: exportQuery.error 
+    });
+  }
+
   try {
-    const group = await Group.findOneAndDelete({
-      _id: req.params.id,
+    const group = req.group;
+    const filter = { groupId: group._id };
+    if (exportQuery.dateFilter) {
+      filter.date = exportQuery.dateFilter;
+    }
+
+    const baseAmountHeader = `Amount (${group.baseCurrency})`;
+    const balances = emptyBalances(group.members);
+
+    startCsvDownload(res, `${group.name}-expenses`);
+    res.write(csvRow([
+      'Date', 'Title', 'Category', 'Amount', 'Currency', baseAmountHeader, 'Paid By',
+      ...group.members
+    ]));
+
+    // Stream expenses rather than loading the whole group into memory
+    const cursor = Expense.find(filter).sort({ date: 1, createdAt: 1 }).cursor();
+    for await (const expense of cursor) {
+      applyExpense(balances, expense);
+      res.write(csvRow(groupExpenseRow(expense, group.members)));
+    }
+
+    const payments = await Payment.find(filter).sort({ date: 1, createdAt: 1 });
+    payments.forEach(payment => applyPayment(balances, payment));
+
+    writeCsvSection(res, 'Payments', ['Date', 'From', 'To', baseAmountHeader, 'Note'],
+      payments.map(p => [formatDate(p.date), p.from, p.to, formatAmount(p.amount), p.note]));
+
+    // The running balances are in cents
+    const amounts = toAmounts(balances);
+    writeCsvSection(res, 'Balances', ['Member', baseAmountHeader],
+      group.members.map(member => [member, formatAmount(amounts[member])]));
+
+    writeCsvSection(res, 'Settlements', ['From', 'To', baseAmountHeader],
+      calculateSettlements(amounts).map(s => [s.from, s.to, formatAmount(s.amount)]));
+
+    res.end();
+  } catch (error) {
+    // Part of the file was already sent; drop the connection so the
+    // download fails instead of looking complete
+    if (res.headersSent) {
+      console.error('Export group error:', error);
+      return res.destroy(error);
+    }
+
+    next(error);
+  }
+});
+
+// @route   PUT /api/groups/:id/members/:member/link
+// @desc    Link a group member to a user account (by email), optionally with a role
+// @access  Private (group admin)
+router.put('/:id/members/:member/link', validate(linkMemberSchema), requireGroupRole('admin'), async (req, res, next) => {
+  try {
+    const { email, role = 'member' } = req.body;
+    const memberName = req.params.member;
+
+    const roleCheck = checkRoleAssignment(role, req.groupRole);
+    if (roleCheck) {
+      return res.status(roleCheck.status).json({ 
+        success: false, 
+        error: roleCheck.error 
+      });
+    }
+
+    const group = req.group;
+
+    if (!group.members.includes(memberName)) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Member not found in group' 
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'No user registered with that email' 
+      });
+    }
+
+    const existingLink = group.linkedMembers.find(l => l.user.equals(user._id));
+    if (existingLink && existingLink.name !== memberName) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `User is already linked to member ${existingLink.name}` 
+      });
+    }
+
+    // Only the owner may replace an admin's link
+    const currentLink = group.linkedMembers.find(l => l.name === memberName);
+    if (currentLink && currentLink.role === 'admin' && req.groupRole !== 'owner') {
+      return res.status(403).json({ 
+        success: false, 
+        error: 'Only the group owner can change an admin' 
+      });
+    }
+
+    // Replace any previous link for this member slot
+    group.linkedMembers = group.linkedMembers.filter(l => l.name !== memberName);
+    group.linkedMembers.push({ name: memberName, user: user._id, role });
+    group.updatedAt = Date.now();
+    await group.save();
+
+    await recordActivity({
+      groupId: group._id,
+      actor: req.userId,
+      action: currentLink ? 'update' : 'create',
+      entityType: 'member',
+      entityId: memberName,
+      summary: `Linked ${memberName} to ${user.name}`,
+      before: currentLink ? toSnapshot(currentLink) : null,
+      after: { name: memberName, user: user._id, role }
+    });
+
+    res.json({
+      success: true,
+      message: 'Member linked successfully',
+      group: formatGroup(group, req.userId)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/groups/:id/members/:member/link
+// @desc    Remove the user account link from a group member
+// @access  Private (group admin)
+router.delete('/:id/members/:member/link', requireGroupRole('admin'), async (req, res, next) => {
+  try {
+    const group = req.group;
+
+    const link = group.linkedMembers.find(l => l.name === req.params.member);
+
+    if (!link) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Member is not linked to an account' 
+      });
+    }
+
+    if (link.role === 'admin' && req.groupRole !== 'owner') {
+      return res.status(403).json({ 
+        success: false, 
+        error: 'Only the group owner can change an admin' 
+      });
+    }
+
+    const before = toSnapshot(link);
+    group.linkedMembers = group.linkedMembers.filter(l => l.name !== req.params.member);
+
+    group.updatedAt = Date.now();
+    await group.save();
+
+    await recordActivity({
+      groupId: group._id,
+      actor: req.userId,
+      action: 'delete',
+      entityType: 'member',
+      entityId: req.params.member,
+      summary: `Unlinked ${req.params.member} from their account`,
+      before
+    });
+
+    res.json({
+      success: true,
+      message: 'Member unlinked successfully',
+      group: formatGroup(group, req.userId)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/groups/:id/members/:member/role
+// @desc    Change the role of a linked member
+// @access  Private (group admin)
+router.put('/:id/members/:member/role', validate(memberRoleSchema), requireGroupRole('admin'), async (req, res, next) => {
+  try {
+    const { role } = req.body;
+    const group = req.group;
+
+    const roleCheck = checkRoleAssignment(role, req.groupRole);
+    if (roleCheck) {
+      return res.status(roleCheck.status).json({ 
+        success: false, 
+        error: roleCheck.error 
+      });
+    }
+
+    const link = group.linkedMembers.find(l => l.name === req.params.member);
+
+    if (!link) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Member is not linked to an account' 
+      });
+    }
+
+    if (link.user.equals(group.createdBy)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'The group owner\'s role cannot be changed, transfer ownership instead' 
+      });
+    }
+
+    if (link.role === 'admin' && req.groupRole !== 'owner') {
+      return res.status(403).json({ 
+        success: false, 
+        error: 'Only the group owner can change an admin' 
+      });
+    }
+
+    const before = toSnapshot(link);
+    link.role = role;
+    group.updatedAt = Date.now();
+    await group.save();
+
+    await recordActivity({
+      groupId: group._id,
+      actor: req.userId,
+      action: 'update',
+      entityType: 'member',
+      entityId: link.name,
+      summary: `Changed ${link.name}'s role to ${role}`,
+      before,
+      after: link
+    });
+
+    res.json({
+      success: true,
+      message: 'Member role updated successfully',
+      group: formatGroup(group, req.userId)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/groups/:id/transfer-ownership
+// @desc    Hand the group over to another linked member; the previous
+//          owner stays on as an admin through their own member link
+// @access  Private (group owner)
+router.post('/:id/transfer-ownership', validate(transferOwnershipSchema), requireGroupRole('owner'), async (req, res, next) => {
+  try {
+    const { member } = req.body;
+    const group = req.group;
+
+    const newOwnerLink = group.linkedMembers.find(l => l.name === member);
+
+    if (!newOwnerLink) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Member is not linked to an account' 
+      });
+    }
+
+    if (newOwnerLink.user.equals(group.createdBy)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'You already own this group' 
+      });
+    }
+
+    // Without a member link the previous owner would lose access entirely
+    const ownerLink = group.linkedMembers.find(l => l.user.equals(group.createdBy));
+    if (!ownerLink) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Link yourself to a member before transferring ownership' 
+      });
+    }
+
+    const before = toSnapshot(group);
+    ownerLink.role = 'admin';
+    newOwnerLink.role = 'admin';
+    group.createdBy = newOwnerLink.user;
+    group.updatedAt = Date.now();
+    await group.save();
+
+    await recordActivity({
+      groupId: group._id,
+      actor: req.userId,
+      action: 'update',
+      entityType: 'group',
+      entityId: group._id,
+      summary: `Transferred ownership to ${member}`,
+      before,
+      after: group
+    });
+
+    res.json({
+      success: true,
+      message: 'Ownership transferred successfully',
+      group: formatGroup(group, req.userId)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/groups/:id/invites
+// @desc    Create an invite token for a member slot (or an open invite)
+// @access  Private (group admin)
+router.post('/:id/invites', validate(createInviteSchema), requireGroupRole('admin'), async (req, res, next) => {
+  try {
+    const { member, role = 'member', maxUses, expiresInHours } = req.body;
+
+    const roleCheck = checkRoleAssignment(role, req.groupRole);
+    if (roleCheck) {
+      return res.status(roleCheck.status).json({ 
+        success: false, 
+        error: roleCheck.error 
+      });
+    }
+
+    const group = req.group;
+
+    if (member) {
+      if (!group.members.includes(member)) {
+        return res.status(404).json({ 
+          success: false, 
+          error: 'Member not found in group' 
+        });
+      }
+
+      if (group.linkedMembers.some(l => l.name === member)) {
+        return res.status(400).json({ 
+          success: false, 
+          error: 'Member is already linked to an account' 
+        });
+      }
+
+      // A member slot can only be claimed once
+      if (maxUses > 1) {
+        return res.status(400).json({ 
+          success: false, 
+          error: 'Invites for a specific member can only be used once' 
+        });
+      }
+    }
+
+    const hours = expiresInHours || DEFAULT_INVITE_EXPIRY_HOURS;
+
+    const invite = await Invite.create({
+      groupId: group._id,
+      token: crypto.randomBytes(24).toString('hex'),
+      member: member || null,
+      role,
+      maxUses: maxUses || 1,
+      expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000),
       createdBy: req.userId
     });
 
-    if (!group) {
+    res.status(201).json({
+      success: true,
+      message: 'Invite created successfully',
+      invite: formatInvite(invite)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/groups/:id/invites
+// @desc    List invites for a group
+// @access  Private (group admin)
+router.get('/:id/invites', requireGroupRole('admin'), async (req, res, next) => {
+  try {
+    const group = req.group;
+
+    const invites = await Invite.find({ groupId: group._id })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: invites.length,
+      invites: invites.map(invite => formatInvite(invite))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/groups/:id/invites/:inviteId
+// @desc    Revoke an invite
+// @access  Private (group admin)
+router.delete('/:id/invites/:inviteId', requireGroupRole('admin'), async (req, res, next) => {
+  try {
+    const group = req.group;
+
+    const invite = await Invite.findOneAndUpdate(
+      { _id: req.params.inviteId, groupId: group._id, revokedAt: null },
+      { revokedAt: Date.now() },
+      { new: true }
+    );
+
+    if (!invite) {
       return res.status(404).json({ 
         success: false, 
-        error: 'Group not found' 
+        error: 'Invite not found' 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invite revoked successfully',
+      invite: formatInvite(invite)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/groups/:id/payments
+// @desc    Record a settle-up payment between two group members
+// @access  Private (group member)
+router.post('/:id/payments', validate(paymentSchema), requireGroupRole('member'), async (req, res, next) => {
+  try {
+    const { from, to, amount, date, note } = req.body;
+
+    if (from === to) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Payer and recipient must be different members' 
       });
     }
 
-    // Delete all expenses in this group
-    await Expense.deleteMany({ groupId: req.params.id });
+    const group = req.group;
+
+    if (!group.members.includes(from) || !group.members.includes(to)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Payer and recipient must be members of the group' 
+      });
+    }
+
+    const payment = await Payment.create({
+      groupId: group._id,
+      from,
+      to,
+      amount,
+      date: date || Date.now(),
+      note: note || '',
+      createdBy: req.userId
+    });
+
+    // Update group's updatedAt
+    await Group.findByIdAndUpdate(group._id, { updatedAt: Date.now() });
+
+    await recordActivity({
+      groupId: group._id,
+      actor: req.userId,
+      action: 'create',
+      entityType: 'payment',
+      entityId: payment._id,
+      summary: `${from} paid ${to} ${payment.amount}`,
+      after: payment
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment recorded successfully',
+      payment: {
+        id: payment._id,
+        groupId: payment.groupId,
+        from: payment.from,
+        to: payment.to,
+        amount: payment.amount,
+        date: payment.date,
+        note: payment.note,
+        createdAt: payment.createdAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/groups/:id/payments
+// @desc    Get all settle-up payments for a group
+// @access  Private
+router.get('/:id/payments', requireGroupRole('viewer'), async (req, res, next) => {
+  try {
+    const group = req.group;
+
+    const payments = await Payment.find({ groupId: group._id })
+      .sort({ date: -1, createdAt: -1 });
 
     res.json({
       success: true,
-      message: 'Group and all expenses deleted successfully'
+      count: payments.length,
+      payments: payments.map(payment => ({
+        id: payment._id,
+        groupId: payment.groupId,
+        from: payment.from,
+        to: payment.to,
+        amount: payment.amount,
+        date: payment.date,
+        note: payment.note,
+        createdAt: payment.createdAt
+      }))
     });
   } catch (error) {
-    console.error('Delete group error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Server error deleting group' 
+    next(error);
+  }
+});
+
+// @route   DELETE /api/groups/:id/payments/:paymentId
+// @desc    Delete a recorded payment
+// @access  Private (group admin, or member who recorded the payment)
+router.delete('/:id/payments/:paymentId', requireGroupRole('member'), async (req, res, next) => {
+  try {
+    const group = req.group;
+
+    const payment = await Payment.findOne({
+      _id: req.params.paymentId,
+      groupId: group._id
     });
+
+    if (!payment) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Payment not found' 
+      });
+    }
+
+    if (!canModifyExpense(payment, req.groupRole, req.userId)) {
+      return res.status(403).json({ 
+        success: false, 
+        error: 'Only admins and the member who recorded a payment can delete it' 
+      });
+    }
+
+    await payment.deleteOne();
+
+    // Update group's updatedAt
+    await Group.findByIdAndUpdate(group._id, { updatedAt: Date.now() });
+
+    await recordActivity({
+      groupId: group._id,
+      actor: req.userId,
+      action: 'delete',
+      entityType: 'payment',
+      entityId: payment._id,
+      summary: `Deleted payment from ${payment.from} to ${payment.to}`,
+      before: payment
+    });
+
+    res.json({
+      success: true,
+      message: 'Payment deleted successfully'
+    });
+  } catch (error) {
+    next(error);
   }
 });
 
@@ -0,0 +1,204 @@
+const express = require('express');
+const router = express.Router();
+const { Group, Invite } = require('../models/schemas');
+const authMiddleware = require('../middleware/auth');
+const { apiRateLimit } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const { recordActivity } = require('../utils/activity');
+
+// Apply authentication to all routes
+router.use(authMiddleware);
+
+// Apply per-user rate limits to all routes
+router.use(apiRateLimit);
+
+// Request schemas (see middleware/validate)
+const acceptInviteSchema = {
+  body: {
+    member: { type: 'string' }
+  }
+};
+
+// Helper function to explain why an invite can no longer be accepted
+function inactiveInviteError(status) {
+  if (status === 'revoked') return 'Invite has been revoked';
+  if (status === 'used') return 'Invite has already been used';
+  if (status === 'expired') return 'Invite has expired';
+  return null;
+}
+
+// @route   GET /api/invites/:token
+// @desc    Preview an invite before accepting it
+// @access  Private
+router.get('/:token', async (req, res, next) => {
+  try {
+    const invite = await Invite.findOne({ token: req.params.token });
+
+    if (!invite) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Invite not found' 
+      });
+    }
+
+    const group = await Group.findById(invite.groupId);
+
+    if (!group) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Group not found' 
+      });
+    }
+
+    const claimed = group.linkedMembers.map(l => l.name);
+
+    res.json({
+      success: true,
+      invite: {
+        groupId: group._id,
+        groupName: group.name,
+        member: invite.member,
+        role: invite.role,
+        status: invite.getStatus(),
+        expiresAt: invite.expiresAt,
+        // Slots the user may pick when accepting an open invite
+        availableMembers: invite.member
+          ? []
+          : group.members.filter(m => !claimed.includes(m))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/invites/:token/accept
+// @desc    Accept an invite, linking the current user to a member slot
+// @access  Private
+router.post('/:token/accept', validate(acceptInviteSchema), async (req, res, next) => {
+  try {
+    const invite = await Invite.findOne({ token: req.params.token });
+
+    if (!invite) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Invite not found' 
+      });
+    }
+
+    const inviteError = inactiveInviteError(invite.getStatus());
+    if (inviteError) {
+      return res.status(400).json({ 
+        success: false, 
+        error: inviteError 
+      });
+    }
+
+    // Open invites let the user choose which member they are
+    const memberName = invite.member || req.body.member;
+    if (!memberName) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Please choose the member you want to join as' 
+      });
+    }
+
+    const group = await Group.findById(invite.groupId);
+
+    if (!group || !group.members.includes(memberName)) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Member slot no longer exists' 
+      });
+    }
+
+    if (group.memberNameFor(req.userId)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'You are already a member of this group' 
+      });
+    }
+
+    if (group.linkedMembers.some(l => l.name === memberName)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Member slot has already been claimed' 
+      });
+    }
+
+    // Consume one use atomically so concurrent accepts cannot overshoot
+    const claimedInvite = await Invite.findOneAndUpdate(
+      {
+        _id: invite._id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+        $expr: { $lt: ['$uses', '$maxUses'] }
+      },
+      {
+        $inc: { uses: 1 },
+        $push: { acceptedBy: { user: req.userId, member: memberName } }
+      },
+      { new: true }
+    );
+
+    if (!claimedInvite) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Invite is no longer valid' 
+      });
+    }
+
+    // Bind the slot only if neither it nor the user was linked meanwhile
+    const updatedGroup = await Group.findOneAndUpdate(
+      {
+        _id: group._id,
+        'linkedMembers.name': { $ne: memberName },
+        'linkedMembers.user': { $ne: req.userId }
+      },
+      {
+        $push: { linkedMembers: { name: memberName, user: req.userId, role: invite.role } },
+        updatedAt: Date.now()
+      },
+      { new: true }
+    );
+
+    if (!updatedGroup) {
+      // Give the use back since nothing was linked
+      await Invite.findByIdAndUpdate(invite._id, {
+        $inc: { uses: -1 },
+        $pull: { acceptedBy: { user: req.userId } }
+      });
+
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Member slot has already been claimed' 
+      });
+    }
+
+    await recordActivity({
+      groupId: updatedGroup._id,
+      actor: req.userId,
+      action: 'create',
+      entityType: 'member',
+      entityId: memberName,
+      summary: `${memberName} joined via invite`,
+      after: { name: memberName, user: req.userId, role: invite.role }
+    });
+
+    res.json({
+      success: true,
+      message: 'Invite accepted successfully',
+      group: {
+        id: updatedGroup._id,
+        name: updatedGroup.name,
+        members: updatedGroup.members,
+        currentMember: memberName,
+        role: invite.role
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
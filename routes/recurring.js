@@ -0,0 +1,615 @@
+const express = require('express');
+const router = express.Router();
+const { Group, RecurringExpense } = require('../models/schemas');
+const authMiddleware = require('../middleware/auth');
+const { apiRateLimit } = require('../middleware/rateLimit');
+const { validate, objectIdParam } = require('../middleware/validate');
+const { hasRole } = require('../middleware/permissions');
+const {
+  EXPENSE_FIELDS,
+  validateExpenseInput,
+  validateExpenseMembers,
+  resolveExchangeRate,
+  canModifyExpense
+} = require('../utils/expenses');
+const { FREQUENCIES, occurrenceDate } = require('../utils/recurrence');
+const { findCategory, categorizeExpense } = require('../utils/categories');
+const { recordActivity } = require('../utils/activity');
+const {
+  scheduleNextOccurrence,
+  skipPastOccurrences,
+  requestRecurringRun
+} = require('../jobs/recurringExpenses');
+
+// Apply authentication to all routes
+router.use(authMiddleware);
+
+// Apply per-user rate limits to all routes
+router.use(apiRateLimit);
+
+// Reject malformed IDs in the URL with a 400
+router.param('id', objectIdParam);
+
+// Request schemas (see middleware/validate)
+const templateFields = {
+  ...EXPENSE_FIELDS,
+  frequency: { type: 'string', required: true, enum: FREQUENCIES },
+  interval: { type: 'integer', min: 1 },
+  startDate: { type: 'date', required: true },
+  endDate: { type: 'date', nullable: true }
+};
+
+const createTemplateSchema = {
+  body: {
+    ...templateFields,
+    groupId: { type: 'objectId', required: true }
+  }
+};
+
+const updateTemplateSchema = { body: templateFields };
+
+const listTemplatesSchema = {
+  query: {
+    groupId: { type: 'objectId' }
+  }
+};
+
+const skipSchema = {
+  body: {
+    date: { type: 'date', required: true }
+  }
+};
+
+// Helper function to validate a recurring template on top of the
+// regular expense rules. Returns an error message, or null when valid
+function validateTemplateInput(body) {
+  const { frequency, interval, startDate, endDate } = body;
+
+  const expenseError = validateExpenseInput({ ...body, date: startDate });
+  if (expenseError) {
+    return expenseError;
+  }
+
+  if (body.splitMethod === 'itemized') {
+    return 'Itemized receipts cannot be recurring';
+  }
+
+  if (!FREQUENCIES.includes(frequency)) {
+    return `Frequency must be one of: ${FREQUENCIES.join(', ')}`;
+  }
+
+  if (interval !== undefined && (!Number.isInteger(interval) || interval < 1)) {
+    return 'Interval must be a positive integer';
+  }
+
+  if (isNaN(new Date(startDate))) {
+    return 'Start date is invalid';
+  }
+
+  if (endDate && !(new Date(endDate) >= new Date(startDate))) {
+    return 'End date must be on or after the start date';
+  }
+
+  return null;
+}
+
+// Helper function to load a template with its group, if the user can access it
+async function findTemplateWithGroup(templateId, userId) {
+  const template = await RecurringExpense.findById(templateId);
+  if (!template) {
+    return {};
+  }
+
+  const group = await Group.findOne({
+    _id: template.groupId,
+    ...Group.accessFilter(userId)
+  });
+
+  return { template, group };
+}
+
+// Helper function to shape a template for API responses
+function formatTemplate(template) {
+  return {
+    id: template._id,
+    groupId: template.groupId,
+    title: template.title,
+    amount: template.amount,
+    currency: template.currency,
+    exchangeRate: template.exchangeRate,
+    paidBy: template.paidBy,
+    splitAmong: template.splitAmong,
+    splitMethod: template.splitMethod,
+    customAmounts: template.customAmounts,
+    percentages: template.percentages,
+    shares: template.shares,
+    category: template.category,
+    frequency: template.frequency,
+    interval: template.interval,
+    startDate: template.startDate,
+    endDate: template.endDate,
+    nextOccurrenceAt: template.nextOccurrenceAt,
+    skippedDates: template.skippedDates,
+    paused: template.paused,
+    createdAt: template.createdAt,
+    updatedAt: template.updatedAt
+  };
+}
+
+// @route   POST /api/recurring
+// @desc    Create a recurring expense template (occurrences already due,
+//          e.g. from a past start date, are created in the background)
+// @access  Private (group member)
+router.post('/', validate(createTemplateSchema), async (req, res, next) => {
+  try {
+    const {
+      groupId,
+      title,
+      amount,
+      paidBy,
+      splitAmong,
+      splitMethod,
+      customAmounts,
+      percentages,
+      shares,
+      currency,
+      exchangeRate,
+      frequency,
+      interval,
+      startDate,
+      endDate,
+      category
+    } = req.body;
+
+    // Validation
+    const validationError = validateTemplateInput(req.body);
+    if (validationError) {
+      return res.status(400).json({ 
+        success: false, 
+        error: validationError 
+      });
+    }
+
+    // Verify group exists and user can add expenses to it
+    const group = await Group.findOne({
+      _id: groupId,
+      ...Group.accessFilter(req.userId)
+    });
+
+    if (!group) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Group not found' 
+      });
+    }
+
+    if (!hasRole(group.roleFor(req.userId), 'member')) {
+      return res.status(403).json({ 
+        success: false, 
+        error: 'Viewers cannot add expenses' 
+      });
+    }
+
+    const memberError = validateExpenseMembers(req.body, group.members);
+    if (memberError) {
+      return res.status(400).json({ 
+        success: false, 
+        error: memberError 
+      });
+    }
+
+    const templateCurrency = (currency || group.baseCurrency).toUpperCase();
+    const rate = resolveExchangeRate(templateCurrency, exchangeRate, group.baseCurrency);
+
+    if (!rate) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `No exchange rate known for ${templateCurrency}, please provide exchangeRate` 
+      });
+    }
+
+    // Use the category picked by hand, or suggest one from the title
+    const templateCategory = category ? findCategory(group, category) : categorizeExpense(title, group);
+
+    if (!templateCategory) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Unknown category ${category}` 
+      });
+    }
+
+    const template = new RecurringExpense({
+      groupId,
+      title,
+      amount,
+      currency: templateCurrency,
+      exchangeRate: rate,
+      paidBy,
+      splitAmong,
+      splitMethod: splitMethod || 'equal',
+      customAmounts: splitMethod === 'custom' ? customAmounts : null,
+      percentages: splitMethod === 'percentage' ? percentages : null,
+      shares: splitMethod === 'shares' ? shares : null,
+      category: templateCategory,
+      frequency,
+      interval: interval || 1,
+      startDate,
+      endDate: endDate || null,
+      createdBy: req.userId
+    });
+
+    scheduleNextOccurrence(template);
+    await template.save();
+    requestRecurringRun();
+
+    res.status(201).json({
+      success: true,
+      message: 'Recurring expense created successfully',
+      recurring: formatTemplate(template)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/recurring
+// @desc    List recurring expense templates (optionally ?groupId=)
+// @access  Private
+router.get('/', validate(listTemplatesSchema), async (req, res, next) => {
+  try {
+    const groups = await Group.find(Group.accessFilter(req.userId));
+    let groupIds = groups.map(g => g._id);
+
+    if (req.query.groupId) {
+      groupIds = groupIds.filter(id => id.toString() === req.query.groupId);
+    }
+
+    const templates = await RecurringExpense.find({ groupId: { $in: groupIds } })
+      .sort({ nextOccurrenceAt: 1, createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: templates.length,
+      recurring: templates.map(template => formatTemplate(template))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/recurring/:id
+// @desc    Get a single recurring expense template
+// @access  Private
+router.get('/:id', async (req, res, next) => {
+  try {
+    const { template, group } = await findTemplateWithGroup(req.params.id, req.userId);
+
+    if (!template) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Recurring expense not found' 
+      });
+    }
+
+    if (!group) {
+      return res.status(403).json({ 
+        success: false, 
+        error: 'Access denied' 
+      });
+    }
+
+    res.json({
+      success: true,
+      recurring: formatTemplate(template)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/recurring/:id
+// @desc    Update a template; changes apply to future occurrences only
+// @access  Private (group admin, or member who created the template)
+router.put('/:id', validate(updateTemplateSchema), async (req, res, next) => {
+  try {
+    const {
+      title,
+      amount,
+      paidBy,
+      splitAmong,
+      splitMethod,
+      customAmounts,
+      percentages,
+      shares,
+      currency,
+      exchangeRate,
+      frequency,
+      interval,
+      startDate,
+      endDate,
+      category
+    } = req.body;
+
+    const { template, group } = await findTemplateWithGroup(req.params.id, req.userId);
+
+    if (!template) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Recurring expense not found' 
+      });
+    }
+
+    if (!group || !canModifyExpense(template, group.roleFor(req.userId), req.userId)) {
+      return res.status(403).json({ 
+        success: false, 
+        error: 'Access denied' 
+      });
+    }
+
+    // Templates stay in their group
+    const validationError = validateTemplateInput({ ...req.body, groupId: template.groupId });
+    if (validationError) {
+      return res.status(400).json({ 
+        success: false, 
+        error: validationError 
+      });
+    }
+
+    const memberError = validateExpenseMembers(req.body, group.members);
+    if (memberError) {
+      return res.status(400).json({ 
+        success: false, 
+        error: memberError 
+      });
+    }
+
+    const templateCurrency = (currency || group.baseCurrency).toUpperCase();
+    let rate;
+    if (!exchangeRate && templateCurrency === template.currency) {
+      rate = template.exchangeRate;
+    } else {
+      rate = resolveExchangeRate(templateCurrency, exchangeRate, group.baseCurrency);
+    }
+
+    if (!rate) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `No exchange rate known for ${templateCurrency}, please provide exchangeRate` 
+      });
+    }
+
+    const pickedCategory = category ? findCategory(group, category) : null;
+
+    if (category && !pickedCategory) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Unknown category ${category}` 
+      });
+    }
+
+    const scheduleChanged = frequency !== template.frequency ||
+      (interval || 1) !== template.interval ||
+      new Date(startDate).getTime() !== template.startDate.getTime();
+
+    if (pickedCategory) {
+      template.category = pickedCategory;
+    } else if (title !== template.title) {
+      template.category = categorizeExpense(title, group);
+    }
+
+    template.title = title;
+    template.amount = amount;
+    template.currency = templateCurrency;
+    template.exchangeRate = rate;
+    template.paidBy = paidBy;
+    template.splitAmong = splitAmong;
+    template.splitMethod = splitMethod || 'equal';
+    template.customAmounts = splitMethod === 'custom' ? customAmounts : null;
+    template.percentages = splitMethod === 'percentage' ? percentages : null;
+    template.shares = splitMethod === 'shares' ? shares : null;
+    template.frequency = frequency;
+    template.interval = interval || 1;
+    template.startDate = startDate;
+    template.endDate = endDate || null;
+    template.updatedAt = Date.now();
+
+    // A new rule starts over, without back-filling occurrences in the past
+    if (scheduleChanged) {
+      template.nextOccurrenceIndex = 0;
+      scheduleNextOccurrence(template);
+      skipPastOccurrences(template);
+    } else {
+      scheduleNextOccurrence(template);
+    }
+
+    await template.save();
+    if (!template.paused) {
+      requestRecurringRun();
+    }
+
+    res.json({
+      success: true,
+      message: 'Recurring expense updated successfully',
+      recurring: formatTemplate(template)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/recurring/:id/pause
+// @desc    Pause a template; occurrences while paused are not created
+// @access  Private (group admin, or member who created the template)
+router.post('/:id/pause', async (req, res, next) => {
+  try {
+    const { template, group } = await findTemplateWithGroup(req.params.id, req.userId);
+
+    if (!template) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Recurring expense not found' 
+      });
+    }
+
+    if (!group || !canModifyExpense(template, group.roleFor(req.userId), req.userId)) {
+      return res.status(403).json({ 
+        success: false, 
+        error: 'Access denied' 
+      });
+    }
+
+    template.paused = true;
+    template.updatedAt = Date.now();
+    await template.save();
+
+    res.json({
+      success: true,
+      message: 'Recurring expense paused',
+      recurring: formatTemplate(template)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/recurring/:id/resume
+// @desc    Resume a paused template from the next upcoming occurrence
+// @access  Private (group admin, or member who created the template)
+router.post('/:id/resume', async (req, res, next) => {
+  try {
+    const { template, group } = await findTemplateWithGroup(req.params.id, req.userId);
+
+    if (!template) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Recurring expense not found' 
+      });
+    }
+
+    if (!group || !canModifyExpense(template, group.roleFor(req.userId), req.userId)) {
+      return res.status(403).json({ 
+        success: false, 
+        error: 'Access denied' 
+      });
+    }
+
+    if (template.paused) {
+      template.paused = false;
+      skipPastOccurrences(template);
+      template.updatedAt = Date.now();
+      await template.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Recurring expense resumed',
+      recurring: formatTemplate(template)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/recurring/:id/skip
+// @desc    Skip a single upcoming occurrence (body: { date })
+// @access  Private (group admin, or member who created the template)
+router.post('/:id/skip', validate(skipSchema), async (req, res, next) => {
+  try {
+    const { date } = req.body;
+    const target = new Date(date);
+
+    const { template, group } = await findTemplateWithGroup(req.params.id, req.userId);
+
+    if (!template) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Recurring expense not found' 
+      });
+    }
+
+    if (!group || !canModifyExpense(template, group.roleFor(req.userId), req.userId)) {
+      return res.status(403).json({ 
+        success: false, 
+        error: 'Access denied' 
+      });
+    }
+
+    // Find the upcoming occurrence that falls on the same (UTC) day
+    const targetDay = target.toISOString().slice(0, 10);
+    let index = template.nextOccurrenceIndex;
+    let occurrence = template.nextOccurrenceAt;
+
+    while (occurrence && occurrence.toISOString().slice(0, 10) < targetDay) {
+      index += 1;
+      occurrence = occurrenceDate(template.startDate, template.frequency, template.interval, index);
+      if (template.endDate && occurrence > template.endDate) {
+        occurrence = null;
+      }
+    }
+
+    if (!occurrence || occurrence.toISOString().slice(0, 10) !== targetDay) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'No upcoming occurrence on that date (already created occurrences must be deleted as expenses)' 
+      });
+    }
+
+    if (!template.skippedDates.some(d => d.getTime() === occurrence.getTime())) {
+      template.skippedDates.push(occurrence);
+      template.updatedAt = Date.now();
+      await template.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Occurrence skipped',
+      recurring: formatTemplate(template)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/recurring/:id
+// @desc    Delete a template (expenses already created are kept)
+// @access  Private (group admin, or member who created the template)
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const { template, group } = await findTemplateWithGroup(req.params.id, req.userId);
+
+    if (!template) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Recurring expense not found' 
+      });
+    }
+
+    if (!group || !canModifyExpense(template, group.roleFor(req.userId), req.userId)) {
+      return res.status(403).json({ 
+        success: false, 
+        error: 'Access denied' 
+      });
+    }
+
+    await RecurringExpense.findByIdAndDelete(template._id);
+
+    await recordActivity({
+      groupId: template.groupId,
+      actor: req.userId,
+      action: 'delete',
+      entityType: 'recurring',
+      entityId: template._id,
+      summary: `Deleted recurring expense ${template.title}`,
+      before: template
+    });
+
+    res.json({
+      success: true,
+      message: 'Recurring expense deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,78 @@
+const express = require('express');
+const router = express.Router();
+const { Group, Expense } = require('../models/schemas');
+const authMiddleware = require('../middleware/auth');
+const { apiRateLimit } = require('../middleware/rateLimit');
+const { canModifyExpense } = require('../utils/expenses');
+const { getRetentionDays } = require('../jobs/purgeTrash');
+
+// Apply authentication to all routes
+router.use(authMiddleware);
+
+// Apply per-user rate limits to all routes
+router.use(apiRateLimit);
+
+// @route   GET /api/trash
+// @desc    List trashed groups the user owns and trashed expenses they can restore
+// @access  Private
+router.get('/', async (req, res, next) => {
+  try {
+    const retentionMs = getRetentionDays() * 24 * 60 * 60 * 1000;
+    const purgeAt = (deletedAt) => new Date(deletedAt.getTime() + retentionMs);
+
+    const trashedGroups = await Group.find({
+      createdBy: req.userId,
+      deletedAt: { $ne: null }
+    }).sort({ deletedAt: -1 });
+
+    // Expenses trashed on their own; ones trashed with a group come back with it
+    const groups = await Group.find(Group.accessFilter(req.userId));
+    const groupsById = {};
+    groups.forEach(g => {
+      groupsById[g._id.toString()] = g;
+    });
+
+    const trashedExpenses = (await Expense.find({
+      groupId: { $in: groups.map(g => g._id) },
+      deletedAt: { $ne: null },
+      deletedWithGroup: false
+    }).sort({ deletedAt: -1 }))
+      .filter(expense => {
+        const group = groupsById[expense.groupId.toString()];
+        return canModifyExpense(expense, group.roleFor(req.userId), req.userId);
+      });
+
+    const groupExpenseCounts = await Promise.all(trashedGroups.map(g =>
+      Expense.countDocuments({ groupId: g._id, deletedAt: { $ne: null }, deletedWithGroup: true })
+    ));
+
+    res.json({
+      success: true,
+      retentionDays: getRetentionDays(),
+      groups: trashedGroups.map((group, index) => ({
+        id: group._id,
+        name: group.name,
+        members: group.members,
+        expenseCount: groupExpenseCounts[index],
+        deletedAt: group.deletedAt,
+        purgeAt: purgeAt(group.deletedAt)
+      })),
+      expenses: trashedExpenses.map(expense => ({
+        id: expense._id,
+        groupId: expense.groupId,
+        groupName: groupsById[expense.groupId.toString()].name,
+        title: expense.title,
+        amount: expense.amount,
+        currency: expense.currency,
+        paidBy: expense.paidBy,
+        date: expense.date,
+        deletedAt: expense.deletedAt,
+        purgeAt: purgeAt(expense.deletedAt)
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -22,10 +22,27 @@ async function seedDatabase() {
       phone: '+92300123456'
     });
 
+    // Roommates with their own accounts
+    const sarah = await User.create({
+      name: 'Sarah Khan',
+      email: 'sarah@example.com',
+      password: hashedPassword
+    });
+    const mike = await User.create({
+      name: 'Mike Ross',
+      email: 'mike@example.com',
+      password: hashedPassword
+    });
+
     // Create a test group
     const group = await Group.create({
       name: 'Roommates',
       members: ['John', 'Sarah', 'Mike'],
+      linkedMembers: [
+        { name: 'John', user: user._id },
+        { name: 'Sarah', user: sarah._id },
+        { name: 'Mike', user: mike._id }
+      ],
       createdBy: user._id
     });
 
@@ -43,7 +60,7 @@ async function seedDatabase() {
     });
 
     console.log('✅ Database seeded successfully!');
-    console.log('Test user: john@example.com / password123');
+    console.log('Test users: john@example.com, sarah@example.com, mike@example.com / password123');
     
     mongoose.connection.close();
   } catch (error) {
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { Group, Expense } = require('../models/schemas');
+const { startApp, signUp } = require('./helpers/app');
+
+// A session like the one a standalone server hands out, where every
+// transaction is rejected
+const standaloneSession = () => ({
+  withTransaction: async () => {
+    const error = new Error('Transaction numbers are only allowed on a replica set member or mongos');
+    error.code = 20;
+    throw error;
+  },
+  endSession: async () => {}
+});
+
+test('accounts can be deleted on a server without transactions', async (t) => {
+  const { request, db } = await startApp(t);
+  t.mock.method(mongoose, 'startSession', async () => standaloneSession());
+  const ali = await signUp('Ali');
+
+  const created = await request('POST', '/api/groups', {
+    token: ali.token,
+    body: { name: 'Trip', members: ['Ali', 'Sara'] }
+  });
+  const groupId = created.body.group.id;
+  await request('POST', '/api/expenses', {
+    token: ali.token,
+    body: { groupId, title: 'Dinner', amount: 20, paidBy: 'Ali', date: '2026-03-01', splitAmong: ['Ali', 'Sara'] }
+  });
+
+  const deleted = await request('DELETE', '/api/auth/me', {
+    token: ali.token,
+    body: { password: 'secret123' }
+  });
+
+  assert.equal(deleted.status, 200);
+  assert.deepEqual(deleted.body.groups.kept.map(g => g.name), ['Trip']);
+  assert.equal(db.User.all().length, 0);
+  assert.equal(db.Group.all()[0].createdBy, null);
+  assert.equal(db.Expense.all()[0].createdBy, null);
+});
+
+test('groups and expenses without an owner or creator do not break permission checks', async (t) => {
+  const { request } = await startApp(t);
+  const ali = await signUp('Ali');
+  const sara = await signUp('Sara');
+
+  const created = await request('POST', '/api/groups', {
+    token: ali.token,
+    body: { name: 'Trip', members: ['Ali', 'Sara'] }
+  });
+  const groupId = created.body.group.id;
+  await request('PUT', `/api/groups/${groupId}/members/Sara/link`, {
+    token: ali.token,
+    body: { email: 'sara@example.com', role: 'member' }
+  });
+  const expense = await request('POST', '/api/expenses', {
+    token: ali.token,
+    body: { groupId, title: 'Dinner', amount: 20, paidBy: 'Ali', date: '2026-03-01', splitAmong: ['Ali', 'Sara'] }
+  });
+
+  // What is left behind once the owner has deleted their account
+  await Group.updateOne({ _id: groupId }, { createdBy: null });
+  await Expense.updateMany({ groupId }, { createdBy: null });
+
+  const group = await request('GET', `/api/groups/${groupId}`, { token: sara.token });
+  assert.equal(group.status, 200);
+  assert.equal(group.body.group.isOwner, false);
+
+  const deleted = await request('DELETE', `/api/expenses/${expense.body.expense.id}`, { token: sara.token });
+  assert.equal(deleted.status, 403);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, signUp } = require('./helpers/app');
+
+test('joining a group through an invite shows up in the activity feed', async (t) => {
+  const { request } = await startApp(t);
+  const ali = await signUp('Ali');
+  const sara = await signUp('Sara');
+
+  const created = await request('POST', '/api/groups', {
+    token: ali.token,
+    body: { name: 'Trip', members: ['Ali', 'Sara'] }
+  });
+  const groupId = created.body.group.id;
+  const invite = await request('POST', `/api/groups/${groupId}/invites`, {
+    token: ali.token,
+    body: { member: 'Sara' }
+  });
+  await request('POST', `/api/invites/${invite.body.invite.token}/accept`, { token: sara.token });
+
+  const feed = await request('GET', '/api/activity', { token: sara.token });
+
+  assert.equal(feed.status, 200);
+  assert.deepEqual(feed.body.activities.map(a => [a.summary, a.actor.name, a.groupName]), [
+    ['Sara joined via invite', 'Sara', 'Trip'],
+    ['Created group Trip', 'Ali', 'Trip']
+  ]);
+});
+
+test('the activity feed only covers groups the user has access to', async (t) => {
+  const { request } = await startApp(t);
+  const ali = await signUp('Ali');
+  const omar = await signUp('Omar');
+
+  await request('POST', '/api/groups', {
+    token: ali.token,
+    body: { name: 'Trip', members: ['Ali', 'Sara'] }
+  });
+
+  const feed = await request('GET', '/api/activity', { token: omar.token });
+
+  assert.equal(feed.status, 200);
+  assert.deepEqual(feed.body.activities, []);
+});
+
+test('the group activity log lists changes newest first, one page at a time', async (t) => {
+  const { request } = await startApp(t);
+  const ali = await signUp('Ali');
+
+  const created = await request('POST', '/api/groups', {
+    token: ali.token,
+    body: { name: 'Flat', members: ['Ali', 'Sara'] }
+  });
+  const groupId = created.body.group.id;
+  const expense = { groupId, title: 'Groceries', amount: 30, paidBy: 'Ali', date: '2026-03-01', splitAmong: ['Ali', 'Sara'] };
+  const added = await request('POST', '/api/expenses', { token: ali.token, body: expense });
+  await request('PUT', `/api/expenses/${added.body.expense.id}`, {
+    token: ali.token,
+    body: { ...expense, amount: 45 }
+  });
+
+  const first = await request('GET', `/api/groups/${groupId}/activity?limit=2`, { token: ali.token });
+
+  assert.equal(first.status, 200);
+  assert.deepEqual(first.body.pagination, { page: 1, limit: 2, total: 3, pages: 2 });
+  assert.deepEqual(first.body.activities.map(a => a.summary), ['Edited Groceries', 'Added Groceries (30 USD)']);
+  assert.equal(first.body.activities[0].actor.name, 'Ali');
+  assert.equal(first.body.activities[0].before.amount, 30);
+  assert.equal(first.body.activities[0].after.amount, 45);
+
+  const second = await request('GET', `/api/groups/${groupId}/activity?limit=2&page=2`, { token: ali.token });
+  assert.deepEqual(second.body.activities.map(a => a.summary), ['Created group Flat']);
+});
+
+test('the group activity log is only shown to people with access to the group', async (t) => {
+  const { request } = await startApp(t);
+  const ali = await signUp('Ali');
+  const omar = await signUp('Omar');
+
+  const created = await request('POST', '/api/groups', {
+    token: ali.token,
+    body: { name: 'Flat', members: ['Ali', 'Sara'] }
+  });
+
+  const log = await request('GET', `/api/groups/${created.body.group.id}/activity`, { token: omar.token });
+
+  assert.equal(log.status, 404);
+});
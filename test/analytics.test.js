@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, signUp } = require('./helpers/app');
+
+// A euro group with one expense in euros and one in dollars
+const euroGroup = async (request) => {
+  const ali = await signUp('Ali');
+  const created = await request('POST', '/api/groups', {
+    token: ali.token,
+    body: { name: 'Paris', members: ['Ali', 'Sara'], baseCurrency: 'EUR' }
+  });
+  const groupId = created.body.group.id;
+
+  const addExpense = (body) => request('POST', '/api/expenses', {
+    token: ali.token,
+    body: { groupId, date: '2026-03-01', splitAmong: ['Ali', 'Sara'], ...body }
+  });
+
+  const dinner = await addExpense({ title: 'Dinner', amount: 40, paidBy: 'Ali' });
+  const taxi = await addExpense({ title: 'Taxi', amount: 10, currency: 'usd', exchangeRate: 0.9, paidBy: 'Sara' });
+
+  return { ali, groupId, dinner, taxi };
+};
+
+test('expenses keep the currency they were entered in and the rate into the base currency', async (t) => {
+  const { request } = await startApp(t);
+  const { dinner, taxi } = await euroGroup(request);
+
+  assert.equal(dinner.status, 201);
+  assert.equal(dinner.body.expense.currency, 'EUR');
+  assert.equal(dinner.body.expense.exchangeRate, 1);
+
+  assert.equal(taxi.status, 201);
+  assert.equal(taxi.body.expense.currency, 'USD');
+  assert.equal(taxi.body.expense.exchangeRate, 0.9);
+});
+
+test('expenses in a currency without a known rate need an exchange rate', async (t) => {
+  const { request } = await startApp(t);
+  const { ali, groupId } = await euroGroup(request);
+
+  const added = await request('POST', '/api/expenses', {
+    token: ali.token,
+    body: { groupId, title: 'Souvenir', amount: 5, currency: 'XYZ', paidBy: 'Ali', date: '2026-03-01', splitAmong: ['Ali'] }
+  });
+
+  assert.equal(added.status, 400);
+  assert.equal(added.body.error, 'No exchange rate known for XYZ, please provide exchangeRate');
+});
+
+test('group analytics convert every expense into the base currency', async (t) => {
+  const { request } = await startApp(t);
+  const { ali, groupId } = await euroGroup(request);
+
+  const res = await request('GET', `/api/analytics/group/${groupId}`, { token: ali.token });
+  const { analytics } = res.body;
+
+  assert.equal(res.status, 200);
+  assert.equal(analytics.baseCurrency, 'EUR');
+  assert.equal(analytics.totalSpending, 49);
+  assert.deepEqual(analytics.categoryData, { Food: 40, Transport: 9 });
+  assert.deepEqual(analytics.balances, { Ali: 15.5, Sara: -15.5 });
+  assert.deepEqual(analytics.settlements, [{ from: 'Sara', to: 'Ali', amount: 15.5 }]);
+});
+
+test('user analytics convert each group into the requested currency', async (t) => {
+  const { request } = await startApp(t);
+  const { ali } = await euroGroup(request);
+
+  const res = await request('GET', '/api/analytics/user?currency=USD', { token: ali.token });
+  const { analytics } = res.body;
+
+  assert.equal(res.status, 200);
+  assert.equal(analytics.currency, 'USD');
+  // 40 EUR and 9 EUR at 1 / 0.92
+  assert.equal(analytics.totalSpending, 53.26);
+  assert.deepEqual(analytics.categoryData, { Food: 43.48, Transport: 9.78 });
+});
+
+test('group analytics are only shown to people with access to the group', async (t) => {
+  const { request } = await startApp(t);
+  const { groupId } = await euroGroup(request);
+  const omar = await signUp('Omar');
+
+  const res = await request('GET', `/api/analytics/group/${groupId}`, { token: omar.token });
+
+  assert.equal(res.status, 404);
+});
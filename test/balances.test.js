@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  expenseShareCents,
+  calculateBalances,
+  calculateSettlements,
+  memberBreakdown
+} = require('../utils/balances');
+
+const members = ['Ali', 'Sara', 'Omar'];
+
+const expense = (fields) => ({
+  amountCents: 1000,
+  paidBy: 'Ali',
+  splitAmong: members,
+  splitMethod: 'equal',
+  exchangeRate: 1,
+  ...fields
+});
+
+test('equal shares add up to the amount, extra cents to the first members', () => {
+  assert.deepEqual(expenseShareCents(expense()), { Ali: 334, Sara: 333, Omar: 333 });
+});
+
+test('custom, percentage and share splits are weighted', () => {
+  assert.deepEqual(
+    expenseShareCents(expense({ splitMethod: 'custom', customAmountCents: new Map([['Ali', 200], ['Sara', 800]]) })),
+    { Ali: 200, Sara: 800 }
+  );
+  assert.deepEqual(
+    expenseShareCents(expense({ splitMethod: 'percentage', percentages: { Ali: 50, Sara: 25, Omar: 25 } })),
+    { Ali: 500, Sara: 250, Omar: 250 }
+  );
+  assert.deepEqual(
+    expenseShareCents(expense({ splitMethod: 'shares', shares: { Sara: 1, Omar: 2 } })),
+    { Sara: 333, Omar: 667 }
+  );
+});
+
+test('shares are converted into the base currency', () => {
+  assert.deepEqual(expenseShareCents(expense({ exchangeRate: 1.5 })), { Ali: 500, Sara: 500, Omar: 500 });
+});
+
+test('balances always sum to zero', () => {
+  const balances = calculateBalances([
+    expense(),
+    expense({ amountCents: 1, paidBy: 'Sara' }),
+    expense({ amountCents: 2999, paidBy: 'Omar', splitAmong: ['Ali', 'Omar'] })
+  ], members);
+
+  const totalCents = Object.values(balances).reduce((sum, b) => sum + Math.round(b * 100), 0);
+  assert.equal(totalCents, 0);
+  assert.deepEqual(balances, { Ali: -8.35, Sara: -3.32, Omar: 11.67 });
+});
+
+test('payments move money from the payer to the recipient', () => {
+  const balances = calculateBalances(
+    [expense()],
+    members,
+    [{ from: 'Sara', to: 'Ali', amountCents: 333 }]
+  );
+  assert.deepEqual(balances, { Ali: 3.33, Sara: 0, Omar: -3.33 });
+});
+
+test('members missing from the table are ignored', () => {
+  const balances = calculateBalances([expense({ paidBy: 'Zed' })], ['Ali', 'Sara']);
+  assert.deepEqual(balances, { Ali: -3.34, Sara: -3.33 });
+});
+
+test('calculateSettlements matches the largest debts with the largest credits', () => {
+  const settlements = calculateSettlements({ Ali: 30, Sara: -10, Omar: -20 });
+  assert.deepEqual(settlements, [
+    { from: 'Omar', to: 'Ali', amount: 20 },
+    { from: 'Sara', to: 'Ali', amount: 10 }
+  ]);
+});
+
+test('calculateSettlements settles every cent', () => {
+  const balances = { Ali: 6.67, Sara: -3.33, Omar: -3.34 };
+  const settlements = calculateSettlements(balances);
+
+  const paid = {};
+  settlements.forEach(({ from, to, amount }) => {
+    paid[from] = (paid[from] || 0) + Math.round(amount * 100);
+    paid[to] = (paid[to] || 0) - Math.round(amount * 100);
+  });
+  Object.entries(balances).forEach(([member, balance]) => {
+    assert.equal((paid[member] || 0) + Math.round(balance * 100), 0);
+  });
+});
+
+test('calculateSettlements breaks ties by member order', () => {
+  assert.deepEqual(calculateSettlements({ Ali: -5, Sara: -5, Omar: 10 }), [
+    { from: 'Ali', to: 'Omar', amount: 5 },
+    { from: 'Sara', to: 'Omar', amount: 5 }
+  ]);
+});
+
+test('memberBreakdown explains each balance', () => {
+  const breakdown = memberBreakdown(
+    [expense({ category: 'Food' })],
+    [{ from: 'Sara', to: 'Ali', amountCents: 333 }],
+    members
+  );
+
+  assert.deepEqual(breakdown.Ali, {
+    totalPaid: 10,
+    totalShare: 3.34,
+    expensesPaid: 1,
+    expensesShared: 1,
+    paymentsSent: 0,
+    paymentsReceived: 3.33,
+    categoryShare: { Food: 3.34 },
+    balance: 3.33
+  });
+  assert.equal(breakdown.Sara.balance, 0);
+});
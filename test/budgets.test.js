@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, signUp } = require('./helpers/app');
+
+// Budgets look at the current period, so expenses are dated today
+const today = new Date().toISOString().slice(0, 10);
+
+// Ali owns the group and Sara is linked as a member
+const setup = async (request) => {
+  const ali = await signUp('Ali');
+  const sara = await signUp('Sara');
+  const created = await request('POST', '/api/groups', {
+    token: ali.token,
+    body: { name: 'Flat', members: ['Ali', 'Sara'] }
+  });
+  const groupId = created.body.group.id;
+  await request('PUT', `/api/groups/${groupId}/members/Sara/link`, {
+    token: ali.token,
+    body: { email: 'sara@example.com', role: 'member' }
+  });
+
+  const addBudget = (body, token = ali.token) => request('POST', '/api/budgets', {
+    token,
+    body: { groupId, ...body }
+  });
+  const addGroceries = (amount) => request('POST', '/api/expenses', {
+    token: ali.token,
+    body: { groupId, title: 'Groceries', amount, paidBy: 'Ali', date: today, splitAmong: ['Ali', 'Sara'] }
+  });
+
+  return { ali, sara, groupId, addBudget, addGroceries };
+};
+
+test('expenses that push a budget past 80% and 100% raise alerts', async (t) => {
+  const { request } = await startApp(t);
+  const { ali, groupId, addBudget, addGroceries } = await setup(request);
+
+  const created = await addBudget({ amount: 100, category: 'Groceries' });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.budget.period, 'monthly');
+
+  assert.deepEqual((await addGroceries(50)).body.budgetAlerts, []);
+  assert.deepEqual((await addGroceries(35)).body.budgetAlerts.map(a => a.threshold), [80]);
+  assert.deepEqual((await addGroceries(20)).body.budgetAlerts.map(a => a.threshold), [100]);
+
+  const listed = await request('GET', `/api/budgets/group/${groupId}`, { token: ali.token });
+  assert.equal(listed.status, 200);
+  const { current } = listed.body.budgets[0];
+  assert.equal(current.spent, 105);
+  assert.equal(current.remaining, -5);
+  assert.equal(current.exceeded, true);
+
+  const alerts = await request('GET', `/api/budgets/group/${groupId}/alerts`, { token: ali.token });
+  assert.deepEqual(alerts.body.alerts.map(a => a.threshold), [100, 80]);
+});
+
+test('budgets can be changed and removed by group admins only', async (t) => {
+  const { request } = await startApp(t);
+  const { ali, sara, groupId, addBudget } = await setup(request);
+  const id = (await addBudget({ amount: 100 })).body.budget.id;
+
+  const byMember = await addBudget({ amount: 50, category: 'Groceries' }, sara.token);
+  assert.equal(byMember.status, 403);
+
+  const deniedUpdate = await request('PUT', `/api/budgets/${id}`, { token: sara.token, body: { amount: 10 } });
+  assert.equal(deniedUpdate.status, 403);
+  assert.equal(deniedUpdate.body.error, 'Only group admins can manage budgets');
+
+  const updated = await request('PUT', `/api/budgets/${id}`, { token: ali.token, body: { amount: 200 } });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.budget.amount, 200);
+
+  const deleted = await request('DELETE', `/api/budgets/${id}`, { token: ali.token });
+  assert.equal(deleted.status, 200);
+
+  const listed = await request('GET', `/api/budgets/group/${groupId}`, { token: sara.token });
+  assert.deepEqual(listed.body.budgets, []);
+});
+
+test('budgets need a known category and one per category and period', async (t) => {
+  const { request } = await startApp(t);
+  const { addBudget } = await setup(request);
+
+  const unknown = await addBudget({ amount: 100, category: 'Yachts' });
+  assert.equal(unknown.status, 400);
+  assert.match(unknown.body.error, /^Category must be one of: /);
+
+  await addBudget({ amount: 100, category: 'Groceries' });
+  const duplicate = await addBudget({ amount: 150, category: 'Groceries' });
+  assert.equal(duplicate.status, 400);
+  assert.equal(duplicate.body.error, 'A budget for this category and period already exists');
+});
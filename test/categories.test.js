@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, signUp } = require('./helpers/app');
+
+const setup = async (request) => {
+  const ali = await signUp('Ali');
+  const created = await request('POST', '/api/groups', {
+    token: ali.token,
+    body: { name: 'Flat', members: ['Ali', 'Sara'] }
+  });
+  const groupId = created.body.group.id;
+
+  const addExpense = (body) => request('POST', '/api/expenses', {
+    token: ali.token,
+    body: { groupId, amount: 12, paidBy: 'Ali', date: '2026-03-01', splitAmong: ['Ali', 'Sara'], ...body }
+  });
+  const suggest = async (title) => {
+    const res = await request('GET', `/api/categories/group/${groupId}/suggest?title=${encodeURIComponent(title)}`, {
+      token: ali.token
+    });
+    return res.body.category;
+  };
+
+  return { ali, groupId, addExpense, suggest };
+};
+
+test('custom categories can be added, used on expenses and renamed', async (t) => {
+  const { request } = await startApp(t);
+  const { ali, groupId, addExpense } = await setup(request);
+
+  const added = await request('POST', `/api/categories/group/${groupId}`, {
+    token: ali.token,
+    body: { name: 'Utilities', icon: '💡', color: '#FACC15' }
+  });
+  assert.equal(added.status, 201);
+  assert.deepEqual(added.body.categories.at(-1), { name: 'Utilities', icon: '💡', color: '#FACC15', custom: true });
+
+  const expense = await addExpense({ title: 'Power bill', category: 'utilities' });
+  assert.equal(expense.body.expense.category, 'Utilities');
+
+  const renamed = await request('PUT', `/api/categories/group/${groupId}/Utilities`, {
+    token: ali.token,
+    body: { name: 'Bills' }
+  });
+  assert.equal(renamed.status, 200);
+
+  const single = await request('GET', `/api/expenses/${expense.body.expense.id}`, { token: ali.token });
+  assert.equal(single.body.expense.category, 'Bills');
+
+  const duplicate = await request('POST', `/api/categories/group/${groupId}`, {
+    token: ali.token,
+    body: { name: 'food' }
+  });
+  assert.equal(duplicate.status, 400);
+  assert.equal(duplicate.body.error, 'Category already exists');
+});
+
+test('keyword rules and corrections change the suggested category', async (t) => {
+  const { request } = await startApp(t);
+  const { ali, groupId, addExpense, suggest } = await setup(request);
+  assert.equal(await suggest('Netflix'), 'Other');
+
+  // Picking a category by hand teaches the group
+  await addExpense({ title: 'Netflix', category: 'Entertainment' });
+  assert.equal(await suggest('Netflix'), 'Entertainment');
+  assert.equal((await addExpense({ title: 'netflix' })).body.expense.category, 'Entertainment');
+
+  const rule = await request('POST', `/api/categories/group/${groupId}/rules`, {
+    token: ali.token,
+    body: { keyword: 'Electricity', category: 'housing' }
+  });
+  assert.equal(rule.status, 201);
+  assert.deepEqual([rule.body.rule.keyword, rule.body.rule.category], ['electricity', 'Housing']);
+  assert.equal(await suggest('Electricity March'), 'Housing');
+
+  const listed = await request('GET', `/api/categories/group/${groupId}`, { token: ali.token });
+  assert.deepEqual(listed.body.rules.map(r => [r.keyword, r.category, r.source]), [
+    ['netflix', 'Entertainment', 'learned'],
+    ['electricity', 'Housing', 'manual']
+  ]);
+});
+
+test('default categories can not be changed or removed', async (t) => {
+  const { request } = await startApp(t);
+  const { ali, groupId } = await setup(request);
+
+  const renamed = await request('PUT', `/api/categories/group/${groupId}/Food`, {
+    token: ali.token,
+    body: { name: 'Meals' }
+  });
+  assert.equal(renamed.status, 400);
+  assert.equal(renamed.body.error, 'Default categories cannot be changed');
+
+  const removed = await request('DELETE', `/api/categories/group/${groupId}/Food`, { token: ali.token });
+  assert.equal(removed.status, 400);
+  assert.equal(removed.body.error, 'Default categories cannot be removed');
+});
@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, signUp } = require('./helpers/app');
+
+const setup = async (request) => {
+  const ali = await signUp('Ali');
+  const created = await request('POST', '/api/groups', {
+    token: ali.token,
+    body: { name: 'Flat', members: ['Ali', 'Sara', 'Omar'] }
+  });
+  const groupId = created.body.group.id;
+
+  const addExpense = (body, token = ali.token) => request('POST', '/api/expenses', {
+    token,
+    body: {
+      groupId,
+      title: 'Groceries',
+      amount: 30,
+      paidBy: 'Ali',
+      date: '2026-03-01',
+      splitAmong: ['Ali', 'Sara', 'Omar'],
+      ...body
+    }
+  });
+
+  return { ali, groupId, addExpense };
+};
+
+test('editing an expense keeps the previous version in its history', async (t) => {
+  const { request } = await startApp(t);
+  const { ali, groupId, addExpense } = await setup(request);
+
+  const created = await addExpense({});
+  assert.equal(created.status, 201);
+  const id = created.body.expense.id;
+
+  const edited = await request('PUT', `/api/expenses/${id}`, {
+    token: ali.token,
+    body: {
+      groupId,
+      title: 'Groceries and wine',
+      amount: 42.5,
+      paidBy: 'Sara',
+      date: '2026-03-02',
+      splitAmong: ['Ali', 'Sara']
+    }
+  });
+  assert.equal(edited.status, 200);
+  assert.equal(edited.body.expense.amount, 42.5);
+  assert.equal(edited.body.expense.paidBy, 'Sara');
+
+  const history = await request('GET', `/api/expenses/${id}/history`, { token: ali.token });
+  assert.equal(history.status, 200);
+  assert.equal(history.body.count, 1);
+  assert.equal(history.body.revisions[0].title, 'Groceries');
+  assert.equal(history.body.revisions[0].amount, 30);
+  assert.deepEqual(history.body.revisions[0].splitAmong, ['Ali', 'Sara', 'Omar']);
+});
+
+test('edits are validated like new expenses', async (t) => {
+  const { request } = await startApp(t);
+  const { ali, groupId, addExpense } = await setup(request);
+  const id = (await addExpense({})).body.expense.id;
+
+  const edited = await request('PUT', `/api/expenses/${id}`, {
+    token: ali.token,
+    body: { groupId, title: 'Groceries', amount: 30, paidBy: 'Zed', date: '2026-03-01', splitAmong: ['Ali'] }
+  });
+
+  assert.equal(edited.status, 400);
+
+  const unchanged = await request('GET', `/api/expenses/${id}`, { token: ali.token });
+  assert.equal(unchanged.body.expense.paidBy, 'Ali');
+});
+
+test('expenses of a group are hidden from users without access to it', async (t) => {
+  const { request } = await startApp(t);
+  const { groupId, addExpense } = await setup(request);
+  const id = (await addExpense({})).body.expense.id;
+  const omar = await signUp('Omar');
+
+  const listed = await request('GET', `/api/expenses/group/${groupId}`, { token: omar.token });
+  assert.equal(listed.status, 404);
+
+  const single = await request('GET', `/api/expenses/${id}`, { token: omar.token });
+  assert.equal(single.status, 403);
+
+  const all = await request('GET', '/api/expenses', { token: omar.token });
+  assert.deepEqual(all.body.expenses, []);
+});
+
+test('users without access to a group can not add, edit or delete its expenses', async (t) => {
+  const { request } = await startApp(t);
+  const { ali, groupId, addExpense } = await setup(request);
+  const id = (await addExpense({})).body.expense.id;
+  const omar = await signUp('Omar');
+
+  const added = await addExpense({}, omar.token);
+  assert.equal(added.status, 404);
+
+  const edited = await request('PUT', `/api/expenses/${id}`, {
+    token: omar.token,
+    body: { groupId, title: 'Mine now', amount: 1, paidBy: 'Omar', date: '2026-03-01', splitAmong: ['Omar'] }
+  });
+  assert.equal(edited.status, 403);
+
+  const deleted = await request('DELETE', `/api/expenses/${id}`, { token: omar.token });
+  assert.equal(deleted.status, 403);
+
+  const listed = await request('GET', `/api/expenses/group/${groupId}`, { token: ali.token });
+  assert.deepEqual(listed.body.expenses.map(e => e.title), ['Groceries']);
+});
+
+test('group expenses are listed a page at a time with filters and sorting', async (t) => {
+  const { request } = await startApp(t);
+  const { ali, groupId, addExpense } = await setup(request);
+  for (const [day, paidBy] of [[1, 'Ali'], [2, 'Sara'], [3, 'Ali'], [4, 'Sara'], [5, 'Omar']]) {
+    await addExpense({ title: `Day ${day}`, amount: day * 10, paidBy, date: `2026-03-0${day}` });
+  }
+  const list = (query) => request('GET', `/api/expenses/group/${groupId}?${query}`, { token: ali.token });
+
+  const pages = [];
+  let cursor = '';
+  do {
+    const page = await list(`limit=2${cursor ? `&cursor=${cursor}` : ''}`);
+    assert.equal(page.status, 200);
+    assert.equal(page.body.pagination.total, 5);
+    pages.push(page.body.expenses.map(e => e.title));
+    cursor = page.body.pagination.nextCursor;
+  } while (cursor);
+  assert.deepEqual(pages, [['Day 5', 'Day 4'], ['Day 3', 'Day 2'], ['Day 1']]);
+
+  const byAmount = await list('sort=amount&paidBy=Sara');
+  assert.deepEqual(byAmount.body.expenses.map(e => e.title), ['Day 2', 'Day 4']);
+
+  const inRange = await list('minAmount=20&maxAmount=40&from=2026-03-03');
+  assert.deepEqual(inRange.body.expenses.map(e => e.title), ['Day 4', 'Day 3']);
+
+  const firstPage = await list('limit=2');
+  const mismatched = await list(`sort=amount&cursor=${firstPage.body.pagination.nextCursor}`);
+  assert.equal(mismatched.status, 400);
+  assert.equal(mismatched.body.error, 'Cursor does not match the sort order');
+
+  const badSort = await list('sort=paidBy');
+  assert.equal(badSort.status, 400);
+  assert.equal(badSort.body.error, 'Sort must be one of: date, createdAt, amount, title (prefix with - for descending)');
+});
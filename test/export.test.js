@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, signUp } = require('./helpers/app');
+
+const setup = async (request) => {
+  const ali = await signUp('Ali');
+  const created = await request('POST', '/api/groups', {
+    token: ali.token,
+    body: { name: 'Flat', members: ['Ali', 'Sara'] }
+  });
+  const groupId = created.body.group.id;
+
+  await request('POST', '/api/expenses', {
+    token: ali.token,
+    body: { groupId, title: 'Groceries', amount: 30, paidBy: 'Ali', date: '2026-03-01', splitAmong: ['Ali', 'Sara'] }
+  });
+  await request('POST', '/api/expenses', {
+    token: ali.token,
+    body: { groupId, title: '=Taxi', amount: 12, paidBy: 'Sara', date: '2026-03-02', splitAmong: ['Ali', 'Sara'] }
+  });
+  await request('POST', `/api/groups/${groupId}/payments`, {
+    token: ali.token,
+    body: { from: 'Sara', to: 'Ali', amount: 5, date: '2026-03-03' }
+  });
+
+  return { ali, groupId };
+};
+
+test('group exports list expenses, payments, balances and settlements as CSV', async (t) => {
+  const { request } = await startApp(t);
+  const { ali, groupId } = await setup(request);
+
+  const res = await request('GET', `/api/groups/${groupId}/export?format=csv`, { token: ali.token });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-disposition'), 'attachment; filename="flat-expenses.csv"');
+  assert.equal(res.body, [
+    'Date,Title,Category,Amount,Currency,Amount (USD),Paid By,Ali,Sara',
+    '2026-03-01,Groceries,Groceries,30.00,USD,30.00,Ali,15.00,15.00',
+    // Formulas are kept as plain text
+    "2026-03-02,'=Taxi,Transport,12.00,USD,12.00,Sara,6.00,6.00",
+    '',
+    'Payments',
+    'Date,From,To,Amount (USD),Note',
+    '2026-03-03,Sara,Ali,5.00,',
+    '',
+    'Balances',
+    'Member,Amount (USD)',
+    'Ali,4.00',
+    'Sara,-4.00',
+    '',
+    'Settlements',
+    'From,To,Amount (USD)',
+    'Sara,Ali,4.00',
+    ''
+  ].join('\r\n'));
+});
+
+test('group exports are only available to people with access to the group', async (t) => {
+  const { request } = await startApp(t);
+  const { groupId } = await setup(request);
+  const omar = await signUp('Omar');
+
+  const res = await request('GET', `/api/groups/${groupId}/export`, { token: omar.token });
+
+  assert.equal(res.status, 404);
+});
+
+test('the export of all expenses leaves your share blank in groups you are not linked to', async (t) => {
+  const { request } = await startApp(t);
+  const { ali, groupId } = await setup(request);
+  const expenseRows = async () => {
+    const res = await request('GET', '/api/expenses/export', { token: ali.token });
+    return res.body.split('\r\n').slice(0, 3);
+  };
+
+  assert.deepEqual(await expenseRows(), [
+    'Group,Date,Title,Category,Amount,Currency,Base Amount,Base Currency,Paid By,Your Share',
+    'Flat,2026-03-01,Groceries,Groceries,30.00,USD,30.00,USD,Ali,',
+    "Flat,2026-03-02,'=Taxi,Transport,12.00,USD,12.00,USD,Sara,"
+  ]);
+
+  await request('PUT', `/api/groups/${groupId}/members/Ali/link`, {
+    token: ali.token,
+    body: { email: 'ali@example.com', role: 'admin' }
+  });
+
+  assert.deepEqual((await expenseRows()).slice(1), [
+    'Flat,2026-03-01,Groceries,Groceries,30.00,USD,30.00,USD,Ali,15.00',
+    "Flat,2026-03-02,'=Taxi,Transport,12.00,USD,12.00,USD,Sara,6.00"
+  ]);
+});
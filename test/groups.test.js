@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, signUp } = require('./helpers/app');
+
+// Ali's group with Sara linked to her member slot
+const sharedGroup = async (request) => {
+  const ali = await signUp('Ali');
+  const sara = await signUp('Sara');
+
+  const created = await request('POST', '/api/groups', {
+    token: ali.token,
+    body: { name: 'Flat', members: ['Ali', 'Sara', 'Omar'] }
+  });
+  assert.equal(created.status, 201);
+
+  const groupId = created.body.group.id;
+  const linked = await request('PUT', `/api/groups/${groupId}/members/Sara/link`, {
+    token: ali.token,
+    body: { email: 'sara@example.com' }
+  });
+  assert.equal(linked.status, 200);
+
+  return { ali, sara, groupId };
+};
+
+test('groups are listed for the members linked to them, not only their creator', async (t) => {
+  const { request } = await startApp(t);
+  const { sara, groupId } = await sharedGroup(request);
+
+  const listed = await request('GET', '/api/groups', { token: sara.token });
+
+  assert.equal(listed.status, 200);
+  assert.deepEqual(listed.body.groups.map(g => g.id), [groupId]);
+  assert.equal(listed.body.groups[0].isOwner, false);
+  assert.equal(listed.body.groups[0].currentMember, 'Sara');
+
+  const single = await request('GET', `/api/groups/${groupId}`, { token: sara.token });
+  assert.equal(single.status, 200);
+  assert.equal(single.body.group.role, 'member');
+});
+
+test('users who are not linked to a group can not see it', async (t) => {
+  const { request } = await startApp(t);
+  const { groupId } = await sharedGroup(request);
+  const omar = await signUp('Omar');
+
+  const listed = await request('GET', '/api/groups', { token: omar.token });
+  assert.deepEqual(listed.body.groups, []);
+
+  const single = await request('GET', `/api/groups/${groupId}`, { token: omar.token });
+  assert.equal(single.status, 404);
+});
+
+test('unlinking a member takes their access away', async (t) => {
+  const { request } = await startApp(t);
+  const { ali, sara, groupId } = await sharedGroup(request);
+
+  const unlinked = await request('DELETE', `/api/groups/${groupId}/members/Sara/link`, { token: ali.token });
+  assert.equal(unlinked.status, 200);
+
+  const listed = await request('GET', '/api/groups', { token: sara.token });
+  assert.deepEqual(listed.body.groups, []);
+});
+
+test('a user can only be linked to one member of a group', async (t) => {
+  const { request } = await startApp(t);
+  const { ali, groupId } = await sharedGroup(request);
+
+  const relinked = await request('PUT', `/api/groups/${groupId}/members/Omar/link`, {
+    token: ali.token,
+    body: { email: 'sara@example.com' }
+  });
+
+  assert.equal(relinked.status, 400);
+  assert.equal(relinked.body.error, 'User is already linked to member Sara');
+});
+
+test('group routes require a signed-in user', async (t) => {
+  const { request } = await startApp(t);
+
+  const listed = await request('GET', '/api/groups');
+
+  assert.equal(listed.status, 401);
+  assert.equal(listed.body.code, 'UNAUTHORIZED');
+});
@@ -0,0 +1,61 @@
+const bcrypt = require('bcryptjs');
+const { User } = require('../../models/schemas');
+const { createSession } = require('../../utils/sessions');
+const { createMemoryStore, setRateLimitStore } = require('../../middleware/rateLimit');
+const { useMemoryDb } = require('./memoryDb');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const app = require('../../app');
+
+// Serve the app on a free port for the rest of the test, backed by empty
+// in-memory collections and fresh rate limit counters. Returns
+// `request(method, path, { token, body })` resolving to { status, headers, body }
+// and the collections (see memoryDb).
+const startApp = async (t) => {
+  const db = useMemoryDb(t);
+  setRateLimitStore(createMemoryStore());
+
+  const server = app.listen(0);
+  t.after(() => server.close());
+  await new Promise(resolve => server.once('listening', resolve));
+
+  const request = async (method, path, { token, body } = {}) => {
+    const headers = {};
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    const res = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    const text = await res.text();
+    const type = res.headers.get('content-type') || '';
+
+    return {
+      status: res.status,
+      headers: res.headers,
+      body: type.includes('application/json') ? JSON.parse(text) : text
+    };
+  };
+
+  return { request, db };
+};
+
+// Create an account and sign it in; returns the user and an access token
+const signUp = async (name, email = `${name.toLowerCase()}@example.com`) => {
+  const user = await User.create({ name, email, password: bcrypt.hashSync('secret123', 4) });
+  const { token } = await createSession(user, { get: () => 'test', ip: '127.0.0.1' });
+  return { user, token };
+};
+
+module.exports = {
+  startApp,
+  signUp
+};
@@ -0,0 +1,674 @@
+const mongoose = require('mongoose');
+const sift = require('sift');
+
+// In-memory stand-in for the MongoDB collections behind every model, so
+// route tests run the real Mongoose models (casting, validation, query
+// hooks) without a database. It covers the filters, update operators and
+// aggregation stages this app uses, not all of MongoDB; $text search is a
+// simplified take on MongoDB's scoring.
+
+const isBsonValue = (value) => Boolean(value && value._bsontype);
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Date) && !isBsonValue(value) && !Buffer.isBuffer(value);
+};
+
+// Deep copy of a stored value, serialized the way the driver would: Maps
+// become plain objects, Mongoose arrays and subdocuments use toBSON()
+const clone = (value) => {
+  if (value && typeof value.toBSON === 'function' && !isBsonValue(value)) {
+    return clone(value.toBSON());
+  }
+  if (value instanceof Map) {
+    return Object.fromEntries([...value.entries()].map(([key, v]) => [key, clone(v)]));
+  }
+  if (Array.isArray(value)) {
+    return Array.from(value, clone);
+  }
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([, v]) => v !== undefined)
+      .map(([key, v]) => [key, clone(v)]));
+  }
+  return value;
+};
+
+// Comparable form of a value for equality, sorting and uniqueness
+const keyOf = (value) => {
+  if (value instanceof Date) {
+    return `date:${value.toISOString()}`;
+  }
+  if (isBsonValue(value)) {
+    return `${value._bsontype}:${value.toString()}`;
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(keyOf).join(',')}]`;
+  }
+  if (isPlainObject(value)) {
+    return `{${Object.keys(value).map(key => `${key}:${keyOf(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const sortValue = (value) => {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  if (isBsonValue(value)) {
+    return value.toString();
+  }
+  return value;
+};
+
+const compareValues = (a, b) => {
+  const left = sortValue(a);
+  const right = sortValue(b);
+
+  if (left === right) {
+    return 0;
+  }
+  if (left === null || left === undefined) {
+    return -1;
+  }
+  if (right === null || right === undefined) {
+    return 1;
+  }
+  return left < right ? -1 : 1;
+};
+
+const getPath = (doc, path) => {
+  return path.split('.').reduce((value, key) => {
+    if (value === null || value === undefined) {
+      return undefined;
+    }
+    return value[key];
+  }, doc);
+};
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  let target = doc;
+
+  keys.forEach((key, index) => {
+    if (target[key] === null || target[key] === undefined || typeof target[key] !== 'object') {
+      target[key] = /^\d+$/.test(keys[index + 1] || last) ? [] : {};
+    }
+    target = target[key];
+  });
+
+  target[last] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = getPath(doc, keys.join('.')) ?? (keys.length === 0 ? doc : undefined);
+
+  if (target && typeof target === 'object') {
+    delete target[last];
+  }
+};
+
+// Aggregation expressions in $expr filters: field paths ('$uses') and
+// literals compared with $eq, $ne, $lt, $lte, $gt or $gte
+const EXPRESSION_OPERATORS = {
+  $eq: (a, b) => compareValues(a, b) === 0,
+  $ne: (a, b) => compareValues(a, b) !== 0,
+  $lt: (a, b) => compareValues(a, b) < 0,
+  $lte: (a, b) => compareValues(a, b) <= 0,
+  $gt: (a, b) => compareValues(a, b) > 0,
+  $gte: (a, b) => compareValues(a, b) >= 0
+};
+
+const evaluate = (expression, doc) => {
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return getPath(doc, expression.slice(1));
+  }
+  if (isPlainObject(expression)) {
+    const [operator] = Object.keys(expression);
+    if (!EXPRESSION_OPERATORS[operator]) {
+      throw new Error(`memoryDb does not support the ${operator} expression operator`);
+    }
+    const [a, b] = expression[operator].map(operand => evaluate(operand, doc));
+    return EXPRESSION_OPERATORS[operator](a, b);
+  }
+  return expression;
+};
+
+// BSON type names for $type (sift only knows a few of its own)
+const BSON_TYPES = {
+  objectId: value => isBsonValue(value) && value._bsontype === 'ObjectId',
+  string: value => typeof value === 'string',
+  date: value => value instanceof Date,
+  number: value => typeof value === 'number',
+  bool: value => typeof value === 'boolean',
+  null: value => value === null
+};
+
+const SIFT_OPTIONS = {
+  operations: {
+    $type: (type, ownerQuery, options) => sift.createEqualsOperation(BSON_TYPES[type], ownerQuery, options)
+  }
+};
+
+const matcher = (filter) => {
+  const { $expr, ...rest } = filter || {};
+  const test = sift(rest, SIFT_OPTIONS);
+  return $expr ? (doc) => test(doc) && Boolean(evaluate($expr, doc)) : test;
+};
+
+// Resolve a positional `$` in an update path from the array condition in
+// the filter (e.g. { arr: { $elemMatch: ... } } or { 'arr.key': ... })
+const resolvePositional = (doc, path, filter) => {
+  const index = path.indexOf('.$');
+  if (index === -1) {
+    return path;
+  }
+
+  const arrayPath = path.slice(0, index);
+  const array = getPath(doc, arrayPath) || [];
+  const condition = filter[arrayPath];
+  let test;
+
+  if (condition && condition.$elemMatch) {
+    test = matcher(condition.$elemMatch);
+  } else {
+    const prefix = `${arrayPath}.`;
+    const elementFilter = Object.fromEntries(Object.entries(filter)
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([key, value]) => [key.slice(prefix.length), value]));
+    test = matcher(elementFilter);
+  }
+
+  const position = array.findIndex(element => test(element));
+  if (position === -1) {
+    throw new Error(`The positional operator did not find the match needed from the query (${path})`);
+  }
+
+  return `${arrayPath}.${position}${path.slice(index + 2)}`;
+};
+
+const eachValues = (value) => (isPlainObject(value) && value.$each ? value.$each : [value]);
+
+const pullMatcher = (condition) => {
+  if (isPlainObject(condition)) {
+    const test = matcher(condition);
+    return (element) => test(element);
+  }
+  const key = keyOf(condition);
+  return (element) => keyOf(element) === key;
+};
+
+const UPDATE_OPERATORS = {
+  $set: (doc, path, value) => setPath(doc, path, clone(value)),
+  $setOnInsert: () => {},
+  $unset: (doc, path) => unsetPath(doc, path),
+  $inc: (doc, path, value) => setPath(doc, path, (getPath(doc, path) || 0) + value),
+  $min: (doc, path, value) => {
+    const current = getPath(doc, path);
+    if (current === undefined || compareValues(value, current) < 0) {
+      setPath(doc, path, clone(value));
+    }
+  },
+  $max: (doc, path, value) => {
+    const current = getPath(doc, path);
+    if (current === undefined || compareValues(value, current) > 0) {
+      setPath(doc, path, clone(value));
+    }
+  },
+  $currentDate: (doc, path) => setPath(doc, path, new Date()),
+  $push: (doc, path, value) => {
+    const array = getPath(doc, path) || [];
+    array.push(...eachValues(value).map(clone));
+    setPath(doc, path, array);
+  },
+  $addToSet: (doc, path, value) => {
+    const array = getPath(doc, path) || [];
+    eachValues(value).forEach(element => {
+      if (!array.some(existing => keyOf(existing) === keyOf(element))) {
+        array.push(clone(element));
+      }
+    });
+    setPath(doc, path, array);
+  },
+  $pull: (doc, path, condition) => {
+    const array = getPath(doc, path);
+    if (Array.isArray(array)) {
+      const test = pullMatcher(condition);
+      setPath(doc, path, array.filter(element => !test(element)));
+    }
+  },
+  $pullAll: (doc, path, values) => {
+    const array = getPath(doc, path);
+    if (Array.isArray(array)) {
+      const keys = new Set(values.map(keyOf));
+      setPath(doc, path, array.filter(element => !keys.has(keyOf(element))));
+    }
+  }
+};
+
+const applyUpdate = (doc, update, filter, { inserting = false } = {}) => {
+  const operators = Object.keys(update);
+
+  // A replacement document (replaceOne) keeps only the _id
+  if (!operators.some(key => key.startsWith('$'))) {
+    Object.keys(doc).filter(key => key !== '_id').forEach(key => delete doc[key]);
+    Object.assign(doc, clone(update));
+    return;
+  }
+
+  operators.forEach(operator => {
+    const apply = UPDATE_OPERATORS[operator];
+    if (!apply) {
+      throw new Error(`memoryDb does not support the ${operator} update operator`);
+    }
+
+    Object.entries(update[operator] || {}).forEach(([path, value]) => {
+      if (operator === '$setOnInsert') {
+        if (inserting) {
+          setPath(doc, path, clone(value));
+        }
+        return;
+      }
+      apply(doc, resolvePositional(doc, path, filter), value);
+    });
+  });
+};
+
+// Fields of the filter a new document gets when an update upserts
+const upsertBase = (filter) => {
+  const doc = {};
+  Object.entries(filter || {}).forEach(([path, value]) => {
+    if (!path.startsWith('$') && !(isPlainObject(value) && Object.keys(value).some(key => key.startsWith('$')))) {
+      setPath(doc, path, clone(value));
+    }
+  });
+  return doc;
+};
+
+// Relevance of each stored document in the latest $text query that matched it
+const textScores = new WeakMap();
+
+const isTextScore = (value) => isPlainObject(value) && value.$meta === 'textScore';
+
+// Words of a text search or of stored text, lower-cased and crudely stemmed
+// (MongoDB stems words, so "plumbers" also finds "plumber")
+const textWords = (text) => {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .map(word => (word.length > 3 ? word.replace(/(es|s)$/, '') : word));
+};
+
+// Score of a document for { $search } under a text index's field weights:
+// each field's weight times the query words found in it. Zero when nothing
+// matches or a negated (-word) term does; phrase quotes are ignored.
+const textScore = (doc, { $search }, weights) => {
+  const terms = String($search).replace(/"/g, ' ').split(/\s+/).filter(Boolean);
+  const wanted = textWords(terms.filter(term => !term.startsWith('-')).join(' '));
+  const unwanted = textWords(terms.filter(term => term.startsWith('-')).map(term => term.slice(1)).join(' '));
+
+  let score = 0;
+  for (const [field, weight] of Object.entries(weights)) {
+    const words = new Set(textWords(getPath(doc, field)));
+    if (unwanted.some(word => words.has(word))) {
+      return 0;
+    }
+    score += weight * wanted.filter(word => words.has(word)).length;
+  }
+  return score;
+};
+
+const project = (doc, projection, score) => {
+  const fields = Object.entries(projection || {});
+  if (fields.length === 0) {
+    return doc;
+  }
+
+  // { field: { $meta: 'textScore' } } adds the score without limiting the fields
+  const scoreFields = fields.filter(([, value]) => isTextScore(value));
+  if (scoreFields.length > 0) {
+    const result = project(doc, Object.fromEntries(fields.filter(([, value]) => !isTextScore(value))));
+    scoreFields.forEach(([key]) => {
+      result[key] = score;
+    });
+    return result;
+  }
+
+  const included = fields.filter(([key, value]) => key !== '_id' && value);
+  if (included.length > 0) {
+    const result = {};
+    if (projection._id !== 0 && projection._id !== false) {
+      result._id = doc._id;
+    }
+    included.forEach(([path]) => {
+      const key = path.split('.')[0];
+      if (doc[key] !== undefined) {
+        result[key] = doc[key];
+      }
+    });
+    return result;
+  }
+
+  const result = { ...doc };
+  fields.forEach(([path]) => unsetPath(result, path));
+  return result;
+};
+
+const sortDocs = (docs, sort, scoreOf = () => 0) => {
+  const keys = sort instanceof Map ? [...sort.entries()] : Object.entries(sort || {});
+  if (keys.length === 0) {
+    return docs;
+  }
+
+  return [...docs].sort((a, b) => {
+    for (const [path, direction] of keys) {
+      // { $meta: 'textScore' } puts the best matches first
+      if (isTextScore(direction)) {
+        const order = compareValues(scoreOf(b), scoreOf(a));
+        if (order !== 0) {
+          return order;
+        }
+        continue;
+      }
+      const order = compareValues(getPath(a, path), getPath(b, path));
+      if (order !== 0) {
+        return direction === -1 || direction === 'desc' || direction === 'descending' ? -order : order;
+      }
+    }
+    return 0;
+  });
+};
+
+// Stored documents matching the filter, in order. A $text filter needs the
+// field weights of the collection's text index; each match's score is kept
+// in textScores for projections.
+const findDocs = (docs, filter, { sort, skip, limit } = {}, textWeights = null) => {
+  const { $text, ...rest } = filter || {};
+  const test = matcher(rest);
+  let found = docs.filter(doc => test(doc));
+
+  if ($text) {
+    if (!textWeights) {
+      throw new Error('text index required for $text query');
+    }
+    found = found.filter(doc => {
+      const score = textScore(doc, $text, textWeights);
+      textScores.set(doc, score);
+      return score > 0;
+    });
+  }
+
+  found = sortDocs(found, sort, doc => textScores.get(doc));
+
+  if (skip) {
+    found = found.slice(skip);
+  }
+  if (limit) {
+    found = found.slice(0, limit);
+  }
+  return found;
+};
+
+// Read-side of a driver cursor, as used by Query#exec and Query#cursor
+const createCursor = (load) => {
+  let pending = null;
+
+  const rest = () => {
+    if (!pending) {
+      pending = load();
+    }
+    return pending;
+  };
+
+  return {
+    toArray: async () => {
+      const docs = rest();
+      pending = [];
+      return docs;
+    },
+    next: async () => rest().shift() || null,
+    close: async () => {},
+    rewind: () => {
+      pending = null;
+    },
+    addCursorFlag: () => {},
+    batchSize() {
+      return this;
+    }
+  };
+};
+
+// Aggregation stages used by the app
+const AGGREGATE_STAGES = {
+  $match: (docs, filter) => docs.filter(matcher(filter)),
+  $project: (docs, projection) => docs.map(doc => project(doc, projection)),
+  $sort: (docs, sort) => sortDocs(docs, sort),
+  $skip: (docs, count) => docs.slice(count),
+  $limit: (docs, count) => docs.slice(0, count)
+};
+
+const duplicateKeyError = (collectionName, keyValue) => {
+  const error = new Error(`E11000 duplicate key error collection: test.${collectionName} dup key: ${JSON.stringify(keyValue)}`);
+  error.name = 'MongoServerError';
+  error.code = 11000;
+  error.keyPattern = Object.fromEntries(Object.keys(keyValue).map(key => [key, 1]));
+  error.keyValue = keyValue;
+  return error;
+};
+
+const createCollection = (Model) => {
+  const name = Model.collection.collectionName;
+  const uniqueIndexes = Model.schema.indexes()
+    .filter(([, options]) => options && options.unique)
+    .map(([fields, options]) => ({
+      fields: Object.keys(fields),
+      applies: options.partialFilterExpression ? matcher(options.partialFilterExpression) : () => true,
+      sparse: Boolean(options.sparse)
+    }));
+
+  // Field weights of the text index, if the schema has one
+  const textIndex = Model.schema.indexes().find(([fields]) => Object.values(fields).includes('text'));
+  const textWeights = textIndex
+    ? Object.fromEntries(Object.keys(textIndex[0]).map(field => [field, (textIndex[1].weights || {})[field] || 1]))
+    : null;
+
+  let docs = [];
+
+  const checkUnique = (doc) => {
+    uniqueIndexes.forEach(index => {
+      if (!index.applies(doc) || (index.sparse && index.fields.every(path => getPath(doc, path) === undefined))) {
+        return;
+      }
+
+      const key = index.fields.map(path => keyOf(getPath(doc, path))).join('|');
+      const clash = docs.find(other => other !== doc && index.applies(other) &&
+        index.fields.map(path => keyOf(getPath(other, path))).join('|') === key);
+
+      if (clash) {
+        throw duplicateKeyError(name, Object.fromEntries(index.fields.map(path => [path, getPath(doc, path)])));
+      }
+    });
+  };
+
+  const insert = (doc) => {
+    const stored = clone(doc);
+    if (stored._id === undefined) {
+      stored._id = new mongoose.Types.ObjectId();
+    }
+    docs.push(stored);
+    try {
+      checkUnique(stored);
+    } catch (error) {
+      docs.pop();
+      throw error;
+    }
+    return stored;
+  };
+
+  // Update one stored document in place, undoing it if it breaks an index
+  const update = (doc, changes, filter, options) => {
+    const before = clone(doc);
+    applyUpdate(doc, changes, filter, options);
+    try {
+      checkUnique(doc);
+    } catch (error) {
+      Object.keys(doc).forEach(key => delete doc[key]);
+      Object.assign(doc, before);
+      throw error;
+    }
+    return keyOf(before) !== keyOf(doc);
+  };
+
+  const upsert = (filter, changes) => {
+    const doc = upsertBase(filter);
+    doc._id = doc._id || new mongoose.Types.ObjectId();
+    applyUpdate(doc, changes, filter, { inserting: true });
+    return insert(doc);
+  };
+
+  const updateMatching = (filter, changes, options = {}, many) => {
+    const matched = findDocs(docs, filter).slice(0, many ? undefined : 1);
+
+    if (matched.length === 0 && options.upsert) {
+      const doc = upsert(filter, changes);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: doc._id };
+    }
+
+    const modified = matched.filter(doc => update(doc, changes, filter));
+    return {
+      acknowledged: true,
+      matchedCount: matched.length,
+      modifiedCount: modified.length,
+      upsertedCount: 0,
+      upsertedId: null
+    };
+  };
+
+  const removeMatching = (filter, many) => {
+    const removed = findDocs(docs, filter).slice(0, many ? undefined : 1);
+    docs = docs.filter(doc => !removed.includes(doc));
+    return removed;
+  };
+
+  return {
+    name,
+
+    // Stored documents (copies), for assertions
+    all: () => docs.map(clone),
+
+    methods: {
+      find: (filter, options = {}) => createCursor(() => findDocs(docs, filter, options, textWeights)
+        .map(doc => project(clone(doc), options.projection, textScores.get(doc)))),
+
+      findOne: async (filter, options = {}) => {
+        const [doc] = findDocs(docs, filter, { sort: options.sort, skip: options.skip, limit: 1 }, textWeights);
+        return doc ? project(clone(doc), options.projection, textScores.get(doc)) : null;
+      },
+
+      countDocuments: async (filter) => findDocs(docs, filter, {}, textWeights).length,
+
+      estimatedDocumentCount: async () => docs.length,
+
+      distinct: async (field, filter) => {
+        const values = new Map();
+        findDocs(docs, filter).forEach(doc => {
+          const value = getPath(doc, field);
+          (Array.isArray(value) ? value : [value]).forEach(v => {
+            if (v !== undefined) {
+              values.set(keyOf(v), clone(v));
+            }
+          });
+        });
+        return [...values.values()];
+      },
+
+      insertOne: async (doc) => {
+        const stored = insert(doc);
+        return { acknowledged: true, insertedId: stored._id };
+      },
+
+      insertMany: async (newDocs) => {
+        const insertedIds = {};
+        newDocs.forEach((doc, index) => {
+          insertedIds[index] = insert(doc)._id;
+        });
+        return { acknowledged: true, insertedCount: newDocs.length, insertedIds };
+      },
+
+      updateOne: async (filter, changes, options) => updateMatching(filter, changes, options, false),
+
+      updateMany: async (filter, changes, options) => updateMatching(filter, changes, options, true),
+
+      replaceOne: async (filter, replacement, options) => updateMatching(filter, replacement, options, false),
+
+      findOneAndUpdate: async (filter, changes, options = {}) => {
+        const [doc] = findDocs(docs, filter, { sort: options.sort, limit: 1 });
+        const returnNew = options.returnDocument === 'after' || options.returnOriginal === false;
+
+        if (!doc) {
+          if (!options.upsert) {
+            return null;
+          }
+          const inserted = upsert(filter, changes);
+          return returnNew ? project(clone(inserted), options.projection) : null;
+        }
+
+        const before = clone(doc);
+        update(doc, changes, filter);
+        return project(returnNew ? clone(doc) : before, options.projection);
+      },
+
+      findOneAndDelete: async (filter, options = {}) => {
+        const [doc] = findDocs(docs, filter, { sort: options.sort, limit: 1 });
+        if (!doc) {
+          return null;
+        }
+        docs = docs.filter(other => other !== doc);
+        return project(clone(doc), options.projection);
+      },
+
+      deleteOne: async (filter) => ({ acknowledged: true, deletedCount: removeMatching(filter, false).length }),
+
+      deleteMany: async (filter) => ({ acknowledged: true, deletedCount: removeMatching(filter, true).length }),
+
+      aggregate: (pipeline) => createCursor(() => pipeline.reduce((result, stage) => {
+        const [operator] = Object.keys(stage);
+        if (!AGGREGATE_STAGES[operator]) {
+          throw new Error(`memoryDb does not support the ${operator} aggregation stage`);
+        }
+        return AGGREGATE_STAGES[operator](result, stage[operator]);
+      }, docs.map(clone)))
+    }
+  };
+};
+
+// Point every model at fresh, empty in-memory collections for the rest of
+// the test. Returns the collections by model name.
+const useMemoryDb = (t) => {
+  const collections = {};
+
+  Object.values(mongoose.models).forEach(Model => {
+    const collection = createCollection(Model);
+    collections[Model.modelName] = collection;
+
+    Object.entries(collection.methods).forEach(([method, implementation]) => {
+      t.mock.method(Model.collection, method, implementation);
+    });
+
+    // Query cursors wait for a connection unless buffering is off
+    t.mock.method(Model.collection, '_shouldBufferCommands', () => false);
+  });
+
+  return collections;
+};
+
+module.exports = {
+  useMemoryDb
+};
@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, resolveMember, convertCsv } = require('../utils/import');
+const { startApp, signUp } = require('./helpers/app');
+
+const group = { members: ['Ali', 'Sara', 'Omar'], categories: [], categoryRules: [] };
+
+test('parseCsv handles a BOM, quoted commas, quotes and line breaks', () => {
+  const rows = parseCsv('\uFEFFTitle,Notes\r\n"Dinner, late","said ""hi""\nthen left"\r\n\r\nTaxi,\n');
+
+  assert.deepEqual(rows, [
+    ['Title', 'Notes'],
+    ['Dinner, late', 'said "hi"\nthen left'],
+    ['Taxi', '']
+  ]);
+});
+
+test('parseCsv keeps a last row without a line break', () => {
+  assert.deepEqual(parseCsv('a,b\n1,2'), [['a', 'b'], ['1', '2']]);
+});
+
+test('resolveMember prefers the member map, then exact and case-insensitive names', () => {
+  assert.equal(resolveMember(' sara ', group.members), 'Sara');
+  assert.equal(resolveMember('Al', group.members, { Al: 'Ali' }), 'Ali');
+  assert.equal(resolveMember('Al', group.members, { Al: 'Zed' }), null);
+  assert.equal(resolveMember('Zed', group.members), null);
+});
+
+test('generic rows become equal splits', () => {
+  const csv = [
+    'Date,Title,Amount,Paid By,Split Among,Category',
+    '2024-03-01,Groceries,"1,234.50",ali,Ali;Sara,',
+    '2024-03-02,Movie,12,Sara,,Entertainment'
+  ].join('\n');
+
+  const { rows, unknownMembers } = convertCsv(csv, { group });
+
+  assert.deepEqual(unknownMembers, []);
+  assert.equal(rows[0].row, 2);
+  assert.equal(rows[0].input.amount, 1234.5);
+  assert.equal(rows[0].input.paidBy, 'Ali');
+  assert.deepEqual(rows[0].input.splitAmong, ['Ali', 'Sara']);
+  assert.equal(rows[0].input.splitMethod, 'equal');
+  assert.deepEqual(rows[1].input.splitAmong, group.members);
+  assert.equal(rows[1].input.category, 'Entertainment');
+});
+
+test('generic rows report unknown members and bad amounts', () => {
+  const csv = [
+    'Date,Title,Amount,Paid By',
+    '2024-03-01,Lunch,ten,Ali',
+    '2024-03-01,Lunch,10,Zed'
+  ].join('\n');
+
+  const { rows, unknownMembers } = convertCsv(csv, { group });
+
+  assert.deepEqual(rows[0], { row: 2, error: 'Amount must be a number' });
+  assert.deepEqual(rows[1], { row: 3, error: 'Unknown member: Zed' });
+  assert.deepEqual(unknownMembers, ['Zed']);
+});
+
+test('generic files need the required columns', () => {
+  const result = convertCsv('Date,Title\n2024-03-01,Lunch', { group });
+  assert.equal(result.error, 'Missing column(s): Amount, Paid By');
+});
+
+test('custom column names can be mapped', () => {
+  const csv = 'When,What,Cost,Who\n2024-03-01,Lunch,10,Omar';
+  const { rows } = convertCsv(csv, {
+    group,
+    columns: { date: 'When', title: 'What', amount: 'Cost', paidBy: 'Who' }
+  });
+
+  assert.equal(rows[0].input.title, 'Lunch');
+  assert.equal(rows[0].input.paidBy, 'Omar');
+});
+
+test('Splitwise rows work back each share from the net balances', () => {
+  const csv = [
+    'Date,Description,Category,Cost,Currency,Ali,Sara,Omar',
+    '2024-03-01,Dinner,Dining out,30.00,USD,20.00,-10.00,-10.00',
+    '2024-03-02,Hotel,Hotel,100.00,USD,-70.00,70.00,0.00',
+    '2024-03-03,Settle up,Payment,10.00,USD,10.00,-10.00,0.00',
+    ',Total balance,,,USD,-60.00,50.00,10.00'
+  ].join('\n');
+
+  const { rows } = convertCsv(csv, { preset: 'splitwise', group });
+
+  assert.equal(rows[0].input.paidBy, 'Ali');
+  assert.equal(rows[0].input.splitMethod, 'equal');
+  assert.deepEqual(rows[0].input.splitAmong, ['Ali', 'Sara', 'Omar']);
+  assert.equal(rows[0].input.category, 'Food');
+
+  assert.equal(rows[1].input.paidBy, 'Sara');
+  assert.equal(rows[1].input.splitMethod, 'custom');
+  assert.deepEqual(rows[1].input.customAmounts, { Ali: 70, Sara: 30 });
+
+  assert.equal(rows[2].skipped, 'Payments are not imported as expenses');
+  assert.equal(rows[3].skipped, 'Total balance row');
+});
+
+test('Splitwise files must name known members', () => {
+  const csv = 'Date,Description,Category,Cost,Currency,Ali,Zed\n2024-03-01,Dinner,,10,USD,5,-5';
+  assert.equal(convertCsv(csv, { preset: 'splitwise', group }).error, 'Unknown member: Zed');
+});
+
+test('files need a header and at least one row', () => {
+  assert.equal(
+    convertCsv('Date,Title,Amount,Paid By\n', { group }).error,
+    'CSV file must have a header row and at least one expense'
+  );
+});
+
+test('imports can be previewed and then saved through the API', async (t) => {
+  const { request } = await startApp(t);
+  const ali = await signUp('Ali');
+  const created = await request('POST', '/api/groups', {
+    token: ali.token,
+    body: { name: 'Flat', members: group.members }
+  });
+  const groupId = created.body.group.id;
+
+  const csv = [
+    'Date,Title,Amount,Paid By,Split Among',
+    '2024-03-01,Groceries,30,Ali,Ali;Sara',
+    '2024-03-02,Movie,nope,Sara,'
+  ].join('\n');
+  const importCsv = (dryRun) => request('POST', '/api/expenses/import', {
+    token: ali.token,
+    body: { groupId, csv, dryRun }
+  });
+
+  const preview = await importCsv(true);
+  assert.equal(preview.status, 200);
+  assert.deepEqual(preview.body.summary, { total: 2, accepted: 1, rejected: 1, skipped: 0 });
+  assert.equal(preview.body.errors[0].row, 3);
+
+  const listedAfterPreview = await request('GET', `/api/expenses/group/${groupId}`, { token: ali.token });
+  assert.deepEqual(listedAfterPreview.body.expenses, []);
+
+  const imported = await importCsv(false);
+  assert.equal(imported.status, 201);
+  assert.deepEqual(imported.body.expenses.map(e => [e.title, e.amount, e.splitAmong]), [['Groceries', 30, ['Ali', 'Sara']]]);
+
+  const listed = await request('GET', `/api/expenses/group/${groupId}`, { token: ali.token });
+  assert.deepEqual(listed.body.expenses.map(e => e.title), ['Groceries']);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, signUp } = require('./helpers/app');
+
+const groupWithInvite = async (request, inviteBody = {}) => {
+  const ali = await signUp('Ali');
+
+  const created = await request('POST', '/api/groups', {
+    token: ali.token,
+    body: { name: 'Trip', members: ['Ali', 'Sara', 'Omar'] }
+  });
+  const groupId = created.body.group.id;
+
+  const invited = await request('POST', `/api/groups/${groupId}/invites`, {
+    token: ali.token,
+    body: inviteBody
+  });
+  assert.equal(invited.status, 201);
+
+  return { ali, groupId, invite: invited.body.invite };
+};
+
+test('an open invite lets a user pick a free member slot and join the group', async (t) => {
+  const { request } = await startApp(t);
+  const { groupId, invite } = await groupWithInvite(request);
+  const sara = await signUp('Sara');
+
+  const preview = await request('GET', `/api/invites/${invite.token}`, { token: sara.token });
+  assert.equal(preview.status, 200);
+  assert.deepEqual(preview.body.invite.availableMembers, ['Ali', 'Sara', 'Omar']);
+
+  const accepted = await request('POST', `/api/invites/${invite.token}/accept`, {
+    token: sara.token,
+    body: { member: 'Sara' }
+  });
+  assert.equal(accepted.status, 200);
+  assert.equal(accepted.body.group.currentMember, 'Sara');
+
+  const listed = await request('GET', '/api/groups', { token: sara.token });
+  assert.deepEqual(listed.body.groups.map(g => g.id), [groupId]);
+});
+
+test('an invite can not be used more often than allowed', async (t) => {
+  const { request } = await startApp(t);
+  const { invite } = await groupWithInvite(request);
+  const sara = await signUp('Sara');
+  const omar = await signUp('Omar');
+
+  await request('POST', `/api/invites/${invite.token}/accept`, { token: sara.token, body: { member: 'Sara' } });
+  const second = await request('POST', `/api/invites/${invite.token}/accept`, {
+    token: omar.token,
+    body: { member: 'Omar' }
+  });
+
+  assert.equal(second.status, 400);
+  assert.equal(second.body.error, 'Invite has already been used');
+});
+
+test('revoked invites can not be accepted', async (t) => {
+  const { request } = await startApp(t);
+  const { ali, groupId, invite } = await groupWithInvite(request, { member: 'Sara' });
+  const sara = await signUp('Sara');
+
+  const revoked = await request('DELETE', `/api/groups/${groupId}/invites/${invite.id}`, { token: ali.token });
+  assert.equal(revoked.status, 200);
+
+  const accepted = await request('POST', `/api/invites/${invite.token}/accept`, { token: sara.token });
+  assert.equal(accepted.status, 400);
+  assert.equal(accepted.body.error, 'Invite has been revoked');
+});
@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeItemizedSplit, validateExpenseInput } = require('../utils/expenses');
+const { startApp, signUp } = require('./helpers/app');
+
+const splitAmong = ['Ali', 'Sara', 'Omar'];
+
+test('items are split among the members who shared them', () => {
+  const { amount, amounts } = computeItemizedSplit({
+    splitAmong,
+    items: [
+      { description: 'Pizza', price: 30, sharedBy: ['Ali', 'Sara', 'Omar'] },
+      { description: 'Wine', price: 20, sharedBy: ['Ali', 'Sara'] }
+    ]
+  });
+
+  assert.equal(amount, 50);
+  assert.deepEqual(amounts, { Ali: 20, Sara: 20, Omar: 10 });
+});
+
+test('tax, tip and service charge follow the item subtotals', () => {
+  const { amount, amounts } = computeItemizedSplit({
+    splitAmong,
+    items: [
+      { description: 'Steak', price: 30, sharedBy: ['Ali'] },
+      { description: 'Salad', price: 10, sharedBy: ['Sara'] }
+    ],
+    tax: 4,
+    tip: 6,
+    serviceCharge: 2
+  });
+
+  assert.equal(amount, 52);
+  assert.deepEqual(amounts, { Ali: 39, Sara: 13 });
+});
+
+test('leftover cents go to members in splitAmong order and the total is exact', () => {
+  const { amount, amounts } = computeItemizedSplit({
+    splitAmong,
+    items: [{ description: 'Cake', price: 10, sharedBy: splitAmong }],
+    tax: 0.01
+  });
+
+  assert.equal(amount, 10.01);
+  assert.deepEqual(amounts, { Ali: 3.35, Sara: 3.33, Omar: 3.33 });
+  const totalCents = Object.values(amounts).reduce((sum, a) => sum + Math.round(a * 100), 0);
+  assert.equal(totalCents, 1001);
+});
+
+test('members without items are left out', () => {
+  const { amounts } = computeItemizedSplit({
+    splitAmong,
+    items: [{ description: 'Coffee', price: 3.5, sharedBy: ['Omar'] }],
+    tip: 0.5
+  });
+
+  assert.deepEqual(amounts, { Omar: 4 });
+});
+
+test('the amount of an itemized expense must match its items', () => {
+  const input = {
+    splitMethod: 'itemized',
+    splitAmong,
+    items: [{ description: 'Pizza', price: 30, sharedBy: ['Ali', 'Sara'] }],
+    tax: 3
+  };
+
+  assert.equal(validateExpenseInput(input), null);
+  assert.equal(validateExpenseInput({ ...input, amount: 33 }), null);
+  assert.equal(
+    validateExpenseInput({ ...input, amount: 30 }),
+    'Amount must equal the sum of items, tax, tip and service charge'
+  );
+});
+
+test('items must be shared by members in splitAmong', () => {
+  const error = validateExpenseInput({
+    splitMethod: 'itemized',
+    splitAmong: ['Ali'],
+    items: [{ description: 'Pizza', price: 30, sharedBy: ['Zed'] }]
+  });
+
+  assert.equal(error, 'Item "Pizza" is shared by someone not in splitAmong');
+});
+
+test('itemized receipts can be added through the API and feed the balances', async (t) => {
+  const { request } = await startApp(t);
+  const ali = await signUp('Ali');
+  const created = await request('POST', '/api/groups', {
+    token: ali.token,
+    body: { name: 'Dinner club', members: splitAmong }
+  });
+  const groupId = created.body.group.id;
+
+  const added = await request('POST', '/api/expenses', {
+    token: ali.token,
+    body: {
+      groupId,
+      title: 'Dinner',
+      paidBy: 'Ali',
+      date: '2026-03-01',
+      splitAmong,
+      splitMethod: 'itemized',
+      items: [
+        { description: 'Steak', price: 30, sharedBy: ['Ali'] },
+        { description: 'Salad', price: 10, sharedBy: ['Sara'] }
+      ],
+      tax: 4,
+      tip: 6,
+      serviceCharge: 2
+    }
+  });
+
+  assert.equal(added.status, 201);
+  assert.equal(added.body.expense.amount, 52);
+  assert.deepEqual(added.body.expense.customAmounts, { Ali: 39, Sara: 13 });
+  assert.deepEqual(added.body.expense.items.map(i => [i.description, i.price]), [['Steak', 30], ['Salad', 10]]);
+
+  const analytics = await request('GET', `/api/analytics/group/${groupId}`, { token: ali.token });
+  assert.deepEqual(analytics.body.analytics.balances, { Ali: 13, Sara: -13, Omar: 0 });
+});
+
+test('itemized receipts with a mismatched amount are rejected by the API', async (t) => {
+  const { request } = await startApp(t);
+  const ali = await signUp('Ali');
+  const created = await request('POST', '/api/groups', {
+    token: ali.token,
+    body: { name: 'Dinner club', members: splitAmong }
+  });
+
+  const added = await request('POST', '/api/expenses', {
+    token: ali.token,
+    body: {
+      groupId: created.body.group.id,
+      title: 'Dinner',
+      amount: 50,
+      paidBy: 'Ali',
+      date: '2026-03-01',
+      splitAmong,
+      splitMethod: 'itemized',
+      items: [{ description: 'Pizza', price: 30, sharedBy: splitAmong }],
+      tip: 3
+    }
+  });
+
+  assert.equal(added.status, 400);
+  assert.equal(added.body.error, 'Amount must equal the sum of items, tax, tip and service charge');
+});
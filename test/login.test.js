@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { User, AuthToken, LoginLockout } = require('../models/schemas');
+const { setMailTransport } = require('../utils/mail');
+const { errorEnvelope, errorHandler } = require('../middleware/errors');
+
+// Leave the lockout to do the limiting
+process.env.RATE_LIMIT_LOGIN_MAX = '1000';
+const authRoutes = require('../routes/auth');
+
+const account = new User({ name: 'Ali', email: 'ali@example.com', password: bcrypt.hashSync('secret123', 4) });
+
+// In-memory users and lockouts instead of MongoDB
+const useStores = (t) => {
+  const lockouts = new Map();
+  const keyOf = ({ email, ip }) => `${email}|${ip}`;
+  const sent = [];
+
+  t.mock.method(User, 'findOne', async ({ email }) => (email === account.email ? account : null));
+  t.mock.method(LoginLockout, 'findOne', async (filter) => lockouts.get(keyOf(filter)) || null);
+  t.mock.method(LoginLockout, 'findOneAndUpdate', async (filter, update) => {
+    const lockout = lockouts.get(keyOf(filter)) || { ...filter, failedAttempts: 0, lockCount: 0, lockedUntil: null };
+    lockout.failedAttempts += update.$inc.failedAttempts;
+    lockouts.set(keyOf(filter), lockout);
+    return { ...lockout };
+  });
+  t.mock.method(LoginLockout, 'updateOne', async (filter, update) => {
+    Object.assign(lockouts.get(keyOf(filter)), update);
+  });
+  t.mock.method(AuthToken, 'updateMany', async () => ({}));
+  t.mock.method(AuthToken, 'create', async () => ({}));
+  setMailTransport({ name: 'test', send: async (message) => sent.push(message) });
+
+  return { sent };
+};
+
+const startApp = async (t) => {
+  const app = express();
+  app.use(express.json());
+  app.use(errorEnvelope);
+  app.use('/api/auth', authRoutes);
+  app.use(errorHandler);
+
+  const server = app.listen(0);
+  t.after(() => server.close());
+  await new Promise(resolve => server.once('listening', resolve));
+
+  return (body) => fetch(`http://127.0.0.1:${server.address().port}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  }).then(async res => ({ status: res.status, body: await res.json() }));
+};
+
+test('unknown emails get the same answer as wrong passwords', async (t) => {
+  useStores(t);
+  const login = await startApp(t);
+
+  const unknown = await login({ email: 'nobody@example.com', password: 'secret123' });
+  const wrong = await login({ email: 'ali@example.com', password: 'wrong-password' });
+
+  assert.equal(unknown.status, 401);
+  assert.deepEqual(unknown, wrong);
+});
+
+test('unknown and existing emails lock the same way', async (t) => {
+  const { sent } = useStores(t);
+  const login = await startApp(t);
+
+  const lockedAnswer = async (email) => {
+    let result;
+    for (let i = 0; i < 6; i++) {
+      result = await login({ email, password: 'wrong-password' });
+    }
+    return result;
+  };
+
+  const unknown = await lockedAnswer('nobody@example.com');
+  const existing = await lockedAnswer('ali@example.com');
+
+  assert.equal(unknown.status, 429);
+  assert.deepEqual(unknown, existing);
+
+  // Only the real account hears about it
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(sent.map(message => message.to), ['ali@example.com']);
+});
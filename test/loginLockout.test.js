@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LoginLockout } = require('../models/schemas');
+const {
+  findLockout,
+  lockRemaining,
+  lockMinutes,
+  recordFailedLogin,
+  clearFailedLogins
+} = require('../utils/loginLockout');
+
+// Keep lockouts in memory instead of MongoDB
+const useLockoutStore = (t) => {
+  const lockouts = new Map();
+  const keyOf = ({ email, ip }) => `${email}|${ip}`;
+
+  t.mock.method(LoginLockout, 'findOne', async (filter) => lockouts.get(keyOf(filter)) || null);
+
+  t.mock.method(LoginLockout, 'findOneAndUpdate', async (filter, update) => {
+    const lockout = lockouts.get(keyOf(filter)) || { ...filter, failedAttempts: 0, lockCount: 0, lockedUntil: null };
+    lockout.failedAttempts += update.$inc.failedAttempts;
+    lockouts.set(keyOf(filter), lockout);
+    return { ...lockout };
+  });
+
+  t.mock.method(LoginLockout, 'updateOne', async (filter, update) => {
+    Object.assign(lockouts.get(keyOf(filter)), update);
+  });
+
+  t.mock.method(LoginLockout, 'deleteMany', async (filter) => {
+    [...lockouts.entries()].forEach(([key, lockout]) => {
+      if (lockout.email === filter.email && (filter.ip === undefined || lockout.ip === filter.ip)) {
+        lockouts.delete(key);
+      }
+    });
+  });
+
+  return lockouts;
+};
+
+const failTimes = async (count, email, ip) => {
+  let result;
+  for (let i = 0; i < count; i++) {
+    result = await recordFailedLogin(email, ip);
+  }
+  return result;
+};
+
+test('lockRemaining counts down to zero', () => {
+  const now = Date.now();
+
+  assert.equal(lockRemaining(null), 0);
+  assert.equal(lockRemaining({ lockedUntil: null }), 0);
+  assert.equal(lockRemaining({ lockedUntil: new Date(now + 5000) }, now), 5000);
+  assert.equal(lockRemaining({ lockedUntil: new Date(now - 5000) }, now), 0);
+});
+
+test('each lock in a row lasts twice as long, up to an hour', () => {
+  assert.deepEqual([1, 2, 3, 4].map(lockMinutes), [1, 2, 4, 8]);
+  assert.equal(lockMinutes(10), 60);
+});
+
+test('the fifth wrong password locks the email for that IP', async (t) => {
+  useLockoutStore(t);
+
+  assert.deepEqual(await failTimes(4, 'ali@example.com', '1.1.1.1'), { locked: false, attemptsLeft: 1 });
+
+  const fifth = await recordFailedLogin('ali@example.com', '1.1.1.1');
+  assert.equal(fifth.locked, true);
+  assert.ok(lockRemaining(await findLockout('ali@example.com', '1.1.1.1')) > 0);
+});
+
+test('a lock from one IP does not lock out other IPs', async (t) => {
+  useLockoutStore(t);
+
+  await failTimes(5, 'ali@example.com', '1.1.1.1');
+
+  assert.equal(lockRemaining(await findLockout('ali@example.com', '1.1.1.1')) > 0, true);
+  assert.equal(lockRemaining(await findLockout('ali@example.com', '2.2.2.2')), 0);
+});
+
+test('emails are matched case-insensitively', async (t) => {
+  useLockoutStore(t);
+
+  await failTimes(5, 'Ali@Example.com', '1.1.1.1');
+
+  assert.ok(lockRemaining(await findLockout('ali@example.com', '1.1.1.1')) > 0);
+});
+
+test('locks grow while failures continue', async (t) => {
+  useLockoutStore(t);
+
+  const first = await failTimes(5, 'ali@example.com', '1.1.1.1');
+  const second = await failTimes(5, 'ali@example.com', '1.1.1.1');
+
+  const minutes = (result) => Math.round((result.lockedUntil - Date.now()) / 60000);
+  assert.equal(minutes(first), 1);
+  assert.equal(minutes(second), 2);
+});
+
+test('a successful login clears that IP, a reset clears every IP', async (t) => {
+  useLockoutStore(t);
+
+  await failTimes(5, 'ali@example.com', '1.1.1.1');
+  await failTimes(5, 'ali@example.com', '2.2.2.2');
+
+  await clearFailedLogins('ali@example.com', '1.1.1.1');
+  assert.equal(await findLockout('ali@example.com', '1.1.1.1'), null);
+  assert.ok(await findLockout('ali@example.com', '2.2.2.2'));
+
+  await clearFailedLogins('ali@example.com');
+  assert.equal(await findLockout('ali@example.com', '2.2.2.2'), null);
+});
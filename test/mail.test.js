@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getMailTransport, setMailTransport } = require('../utils/mail');
+
+const MAIL_ENV = ['NODE_ENV', 'MAIL_TRANSPORT', 'SMTP_HOST'];
+
+// Pick the transport from the given environment, as on startup
+const transportFor = (t, env) => {
+  const saved = Object.fromEntries(MAIL_ENV.map(name => [name, process.env[name]]));
+  t.after(() => {
+    MAIL_ENV.forEach(name => {
+      if (saved[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = saved[name];
+      }
+    });
+    setMailTransport(null);
+  });
+
+  MAIL_ENV.forEach(name => {
+    delete process.env[name];
+  });
+  Object.assign(process.env, env);
+  setMailTransport(null);
+
+  return getMailTransport();
+};
+
+test('mail is printed to the console outside production when nothing is configured', (t) => {
+  assert.equal(transportFor(t, { NODE_ENV: 'development' }).name, 'console');
+});
+
+test('production refuses to start without a mail transport', (t) => {
+  assert.throws(() => transportFor(t, { NODE_ENV: 'production' }), {
+    message: 'No mail transport configured, set MAIL_TRANSPORT or SMTP_HOST'
+  });
+});
+
+test('production uses SMTP when a host is set', (t) => {
+  assert.equal(transportFor(t, { NODE_ENV: 'production', SMTP_HOST: 'smtp.example.com' }).name, 'smtp');
+});
+
+test('production can still opt into the console transport explicitly', (t) => {
+  assert.equal(transportFor(t, { NODE_ENV: 'production', MAIL_TRANSPORT: 'console' }).name, 'console');
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, signUp } = require('./helpers/app');
+
+const setup = async (request) => {
+  const ali = await signUp('Ali');
+  const created = await request('POST', '/api/groups', {
+    token: ali.token,
+    body: { name: 'Flat', members: ['Ali', 'Sara'] }
+  });
+  const groupId = created.body.group.id;
+
+  const addExpense = (title, amount, paidBy, date) => request('POST', '/api/expenses', {
+    token: ali.token,
+    body: { groupId, title, amount, paidBy, date, splitAmong: ['Ali', 'Sara'] }
+  });
+  await addExpense('Groceries', 40, 'Ali', '2026-01-10');
+  await addExpense('Taxi', 20, 'Sara', '2026-02-05');
+  await addExpense('Groceries', 60, 'Ali', '2026-02-20');
+  await request('POST', `/api/groups/${groupId}/payments`, {
+    token: ali.token,
+    body: { from: 'Sara', to: 'Ali', amount: 10, date: '2026-02-25' }
+  });
+
+  return { ali, groupId };
+};
+
+test('group analytics break each balance down per member', async (t) => {
+  const { request } = await startApp(t);
+  const { ali, groupId } = await setup(request);
+
+  const res = await request('GET', `/api/analytics/group/${groupId}`, { token: ali.token });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.analytics.members.Sara, {
+    totalPaid: 20,
+    totalShare: 60,
+    expensesPaid: 1,
+    expensesShared: 3,
+    paymentsSent: 10,
+    paymentsReceived: 0,
+    categoryShare: { Groceries: 50, Transport: 10 },
+    balance: -30
+  });
+  assert.equal(res.body.analytics.members.Ali.balance, res.body.analytics.balances.Ali);
+});
+
+test('a member drill-down lists what makes up their balance, oldest first', async (t) => {
+  const { request } = await startApp(t);
+  const { ali, groupId } = await setup(request);
+
+  const res = await request('GET', `/api/analytics/group/${groupId}/members/Sara`, { token: ali.token });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.member.name, 'Sara');
+  assert.equal(res.body.member.balance, -30);
+  assert.deepEqual(
+    res.body.member.entries.map(e => [e.type, e.title || `${e.from} to ${e.to}`, e.effect, e.balance]),
+    [
+      ['expense', 'Groceries', -20, -20],
+      ['expense', 'Taxi', 10, -10],
+      ['expense', 'Groceries', -30, -40],
+      ['payment', 'Sara to Ali', 10, -30]
+    ]
+  );
+});
+
+test('member drill-downs are only available for members of groups the user can see', async (t) => {
+  const { request } = await startApp(t);
+  const { ali, groupId } = await setup(request);
+  const omar = await signUp('Omar');
+
+  const unknown = await request('GET', `/api/analytics/group/${groupId}/members/Zed`, { token: ali.token });
+  assert.equal(unknown.status, 404);
+  assert.equal(unknown.body.error, 'Member not found in group');
+
+  const outsider = await request('GET', `/api/analytics/group/${groupId}/members/Sara`, { token: omar.token });
+  assert.equal(outsider.status, 404);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Expense, Payment } = require('../models/schemas');
+const { convertFields } = require('../jobs/migrateMoneyToCents');
+
+test('amounts are stored in cents and read back in major units', () => {
+  const expense = new Expense({
+    amount: 10.015,
+    customAmounts: { Ali: 5, Sara: 5.02 },
+    items: [{ description: 'Tea', price: 2.5, sharedBy: ['Ali'] }],
+    tax: 0.1
+  });
+
+  assert.equal(expense.amountCents, 1002);
+  assert.equal(expense.amount, 10.02);
+  assert.deepEqual(Object.fromEntries(expense.customAmountCents), { Ali: 500, Sara: 502 });
+  assert.deepEqual(expense.customAmounts, { Ali: 5, Sara: 5.02 });
+  assert.equal(expense.items[0].priceCents, 250);
+  assert.equal(expense.taxCents, 10);
+});
+
+test('documents serialize to amounts without the cents paths', () => {
+  const json = new Payment({ from: 'Ali', to: 'Sara', amount: 12.5 }).toJSON();
+
+  assert.equal(json.amount, 12.5);
+  assert.equal(json.amountCents, undefined);
+  assert.equal(json.id, undefined);
+});
+
+test('cents must be whole numbers', () => {
+  const payment = new Payment({ from: 'Ali', to: 'Sara', amountCents: 12.5 });
+  assert.ok(payment.validateSync().errors.amountCents);
+});
+
+test('the migration converts stored amounts once', () => {
+  const fields = { amounts: ['amount', 'tax'], maps: ['customAmounts'], items: true };
+  const doc = { amount: 12.345, customAmounts: { Ali: 1.005 }, items: [{ price: 3.3 }] };
+
+  assert.equal(convertFields(doc, fields), true);
+  assert.deepEqual(doc, { amountCents: 1235, customAmountCents: { Ali: 101 }, items: [{ priceCents: 330 }] });
+  assert.equal(convertFields(doc, fields), false);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, signUp } = require('./helpers/app');
+
+const createGroup = async (request, token) => {
+  const created = await request('POST', '/api/groups', {
+    token,
+    body: { name: 'Flat', members: ['Ali', 'Sara', 'Omar'] }
+  });
+  return created.body.group.id;
+};
+
+test('settle-up payments are recorded and listed newest first', async (t) => {
+  const { request } = await startApp(t);
+  const ali = await signUp('Ali');
+  const groupId = await createGroup(request, ali.token);
+
+  const first = await request('POST', `/api/groups/${groupId}/payments`, {
+    token: ali.token,
+    body: { from: 'Sara', to: 'Ali', amount: 12.5, date: '2026-03-01' }
+  });
+  assert.equal(first.status, 201);
+  assert.equal(first.body.payment.amount, 12.5);
+
+  await request('POST', `/api/groups/${groupId}/payments`, {
+    token: ali.token,
+    body: { from: 'Omar', to: 'Ali', amount: 3, date: '2026-03-05', note: 'Coffee' }
+  });
+
+  const listed = await request('GET', `/api/groups/${groupId}/payments`, { token: ali.token });
+
+  assert.equal(listed.status, 200);
+  assert.deepEqual(
+    listed.body.payments.map(p => [p.from, p.to, p.amount, p.note]),
+    [['Omar', 'Ali', 3, 'Coffee'], ['Sara', 'Ali', 12.5, '']]
+  );
+});
+
+test('payments must be positive and between two different members', async (t) => {
+  const { request } = await startApp(t);
+  const ali = await signUp('Ali');
+  const groupId = await createGroup(request, ali.token);
+
+  const pay = (body) => request('POST', `/api/groups/${groupId}/payments`, { token: ali.token, body });
+
+  const self = await pay({ from: 'Ali', to: 'Ali', amount: 5 });
+  assert.equal(self.status, 400);
+  assert.equal(self.body.error, 'Payer and recipient must be different members');
+
+  const stranger = await pay({ from: 'Ali', to: 'Zed', amount: 5 });
+  assert.equal(stranger.status, 400);
+  assert.equal(stranger.body.error, 'Payer and recipient must be members of the group');
+
+  const negative = await pay({ from: 'Sara', to: 'Ali', amount: -5 });
+  assert.equal(negative.status, 400);
+  assert.equal(negative.body.code, 'VALIDATION_ERROR');
+});
+
+test('only people with access to the group can see or record its payments', async (t) => {
+  const { request } = await startApp(t);
+  const ali = await signUp('Ali');
+  const omar = await signUp('Omar');
+  const groupId = await createGroup(request, ali.token);
+
+  const listed = await request('GET', `/api/groups/${groupId}/payments`, { token: omar.token });
+  assert.equal(listed.status, 404);
+
+  const recorded = await request('POST', `/api/groups/${groupId}/payments`, {
+    token: omar.token,
+    body: { from: 'Omar', to: 'Ali', amount: 5 }
+  });
+  assert.equal(recorded.status, 404);
+});
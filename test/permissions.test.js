@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, signUp } = require('./helpers/app');
+
+// Ali owns the group, Sara is linked as a member and Omar as a viewer
+const setup = async (request) => {
+  const ali = await signUp('Ali');
+  const sara = await signUp('Sara');
+  const omar = await signUp('Omar');
+
+  const created = await request('POST', '/api/groups', {
+    token: ali.token,
+    body: { name: 'Flat', members: ['Ali', 'Sara', 'Omar'] }
+  });
+  const groupId = created.body.group.id;
+
+  const link = (member, email, role, token = ali.token) => request('PUT', `/api/groups/${groupId}/members/${member}/link`, {
+    token,
+    body: { email, role }
+  });
+  await link('Sara', 'sara@example.com', 'member');
+  await link('Omar', 'omar@example.com', 'viewer');
+
+  const addExpense = (token) => request('POST', '/api/expenses', {
+    token,
+    body: { groupId, title: 'Groceries', amount: 30, paidBy: 'Ali', date: '2026-03-01', splitAmong: ['Ali', 'Sara', 'Omar'] }
+  });
+
+  return { ali, sara, omar, groupId, link, addExpense };
+};
+
+test('only the owner can delete a group', async (t) => {
+  const { request } = await startApp(t);
+  const { ali, sara, groupId } = await setup(request);
+
+  const denied = await request('DELETE', `/api/groups/${groupId}`, { token: sara.token });
+  assert.equal(denied.status, 403);
+
+  const deleted = await request('DELETE', `/api/groups/${groupId}`, { token: ali.token });
+  assert.equal(deleted.status, 200);
+});
+
+test('viewers can see expenses but not add them', async (t) => {
+  const { request } = await startApp(t);
+  const { ali, omar, groupId, addExpense } = await setup(request);
+  await addExpense(ali.token);
+
+  const added = await addExpense(omar.token);
+  assert.equal(added.status, 403);
+  assert.equal(added.body.error, 'Viewers cannot add expenses');
+
+  const listed = await request('GET', `/api/expenses/group/${groupId}`, { token: omar.token });
+  assert.equal(listed.status, 200);
+  assert.equal(listed.body.expenses.length, 1);
+});
+
+test('members can only change the expenses they added', async (t) => {
+  const { request } = await startApp(t);
+  const { ali, sara, addExpense } = await setup(request);
+  const alis = (await addExpense(ali.token)).body.expense.id;
+  const saras = (await addExpense(sara.token)).body.expense.id;
+
+  const denied = await request('DELETE', `/api/expenses/${alis}`, { token: sara.token });
+  assert.equal(denied.status, 403);
+
+  const own = await request('DELETE', `/api/expenses/${saras}`, { token: sara.token });
+  assert.equal(own.status, 200);
+
+  const byOwner = await request('DELETE', `/api/expenses/${alis}`, { token: ali.token });
+  assert.equal(byOwner.status, 200);
+});
+
+test('payments can only be deleted by the member who recorded them or an admin', async (t) => {
+  const { request } = await startApp(t);
+  const { ali, sara, groupId } = await setup(request);
+  const recorded = await request('POST', `/api/groups/${groupId}/payments`, {
+    token: ali.token,
+    body: { from: 'Sara', to: 'Ali', amount: 10 }
+  });
+  const paymentId = recorded.body.payment.id;
+
+  const denied = await request('DELETE', `/api/groups/${groupId}/payments/${paymentId}`, { token: sara.token });
+  assert.equal(denied.status, 403);
+  assert.equal(denied.body.error, 'Only admins and the member who recorded a payment can delete it');
+
+  const deleted = await request('DELETE', `/api/groups/${groupId}/payments/${paymentId}`, { token: ali.token });
+  assert.equal(deleted.status, 200);
+});
+
+test('only the owner can grant the admin role', async (t) => {
+  const { request } = await startApp(t);
+  const { ali, sara, groupId } = await setup(request);
+
+  const promote = (token) => request('PUT', `/api/groups/${groupId}/members/Omar/role`, {
+    token,
+    body: { role: 'admin' }
+  });
+
+  const denied = await promote(sara.token);
+  assert.equal(denied.status, 403);
+
+  await request('PUT', `/api/groups/${groupId}/members/Sara/role`, { token: ali.token, body: { role: 'admin' } });
+  const byAdmin = await promote(sara.token);
+  assert.equal(byAdmin.status, 403);
+  assert.equal(byAdmin.body.error, 'Only the group owner can grant the admin role');
+
+  const byOwner = await promote(ali.token);
+  assert.equal(byOwner.status, 200);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore, setRateLimitStore } = require('../middleware/rateLimit');
+const { startApp, signUp } = require('./helpers/app');
+
+// Lower a rate limit policy for the rest of the test
+const limitTo = (t, name, max) => {
+  const variable = `RATE_LIMIT_${name}_MAX`;
+  const saved = process.env[variable];
+  t.after(() => {
+    if (saved === undefined) {
+      delete process.env[variable];
+    } else {
+      process.env[variable] = saved;
+    }
+  });
+  process.env[variable] = String(max);
+};
+
+test('every API router throttles reads per user', async (t) => {
+  const { request } = await startApp(t);
+  const ali = await signUp('Ali');
+  const created = await request('POST', '/api/groups', {
+    token: ali.token,
+    body: { name: 'Flat', members: ['Ali', 'Sara'] }
+  });
+  const groupId = created.body.group.id;
+  limitTo(t, 'READ', 1);
+
+  const paths = [
+    '/api/activity',
+    `/api/analytics/group/${groupId}`,
+    `/api/budgets/group/${groupId}`,
+    `/api/categories/group/${groupId}`,
+    `/api/expenses/group/${groupId}`,
+    '/api/groups',
+    '/api/invites/unknown-token',
+    '/api/recurring',
+    '/api/trash'
+  ];
+
+  for (const path of paths) {
+    setRateLimitStore(createMemoryStore());
+
+    const first = await request('GET', path, { token: ali.token });
+    assert.notEqual(first.status, 429, path);
+
+    const second = await request('GET', path, { token: ali.token });
+    assert.equal(second.status, 429, path);
+    assert.equal(second.body.code, 'RATE_LIMITED');
+    assert.ok(Number(second.headers.get('retry-after')) > 0);
+  }
+});
+
+test('writes are counted separately from reads and per user', async (t) => {
+  const { request } = await startApp(t);
+  const ali = await signUp('Ali');
+  const sara = await signUp('Sara');
+  limitTo(t, 'WRITE', 2);
+
+  const createGroup = (token) => request('POST', '/api/groups', {
+    token,
+    body: { name: 'Flat', members: ['Ali', 'Sara'] }
+  });
+
+  assert.equal((await createGroup(ali.token)).status, 201);
+  assert.equal((await createGroup(ali.token)).status, 201);
+  assert.equal((await createGroup(ali.token)).status, 429);
+
+  const read = await request('GET', '/api/groups', { token: ali.token });
+  assert.equal(read.status, 200);
+
+  assert.equal((await createGroup(sara.token)).status, 201);
+});
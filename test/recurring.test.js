@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Group, RecurringExpense } = require('../models/schemas');
+const { startApp, signUp } = require('./helpers/app');
+
+// Ali owns the group and Sara is linked as a member; Ali sets up monthly rent
+const setup = async (request) => {
+  const ali = await signUp('Ali');
+  const sara = await signUp('Sara');
+
+  const created = await request('POST', '/api/groups', {
+    token: ali.token,
+    body: { name: 'Flat', members: ['Ali', 'Sara'] }
+  });
+  const groupId = created.body.group.id;
+  await request('PUT', `/api/groups/${groupId}/members/Sara/link`, {
+    token: ali.token,
+    body: { email: 'sara@example.com', role: 'member' }
+  });
+
+  const rent = await request('POST', '/api/recurring', {
+    token: ali.token,
+    body: {
+      groupId,
+      title: 'Rent',
+      amount: 800,
+      paidBy: 'Ali',
+      splitAmong: ['Ali', 'Sara'],
+      frequency: 'monthly',
+      startDate: '2030-01-01'
+    }
+  });
+  assert.equal(rent.status, 201);
+
+  return { ali, sara, groupId, rentId: rent.body.recurring.id };
+};
+
+test('deleting a recurring expense is recorded in the activity log', async (t) => {
+  const { request } = await startApp(t);
+  const { ali, sara, groupId, rentId } = await setup(request);
+
+  const denied = await request('DELETE', `/api/recurring/${rentId}`, { token: sara.token });
+  assert.equal(denied.status, 403);
+
+  const deleted = await request('DELETE', `/api/recurring/${rentId}`, { token: ali.token });
+  assert.equal(deleted.status, 200);
+
+  const listed = await request('GET', `/api/recurring?groupId=${groupId}`, { token: ali.token });
+  assert.deepEqual(listed.body.recurring, []);
+
+  const feed = await request('GET', '/api/activity', { token: ali.token });
+  const entry = feed.body.activities[0];
+  assert.equal(entry.summary, 'Deleted recurring expense Rent');
+  assert.equal(entry.entityType, 'recurring');
+  assert.equal(entry.action, 'delete');
+  assert.equal(entry.before.title, 'Rent');
+});
+
+test('recurring expenses without an owner or creator do not break permission checks', async (t) => {
+  const { request } = await startApp(t);
+  const { sara, groupId, rentId } = await setup(request);
+
+  // What is left behind once the owner has deleted their account
+  await Group.updateOne({ _id: groupId }, { createdBy: null });
+  await RecurringExpense.updateMany({ groupId }, { createdBy: null });
+
+  const paused = await request('POST', `/api/recurring/${rentId}/pause`, { token: sara.token });
+  assert.equal(paused.status, 403);
+
+  const deleted = await request('DELETE', `/api/recurring/${rentId}`, { token: sara.token });
+  assert.equal(deleted.status, 403);
+});
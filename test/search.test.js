@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, signUp } = require('./helpers/app');
+
+const createGroup = async (request, token, name) => {
+  const created = await request('POST', '/api/groups', {
+    token,
+    body: { name, members: ['Ali', 'Sara'] }
+  });
+  const groupId = created.body.group.id;
+
+  const addExpense = (body) => request('POST', '/api/expenses', {
+    token,
+    body: { groupId, amount: 20, paidBy: 'Ali', date: '2026-03-01', splitAmong: ['Ali', 'Sara'], ...body }
+  });
+
+  return addExpense;
+};
+
+test('expense search ranks title matches first and highlights the matched words', async (t) => {
+  const { request } = await startApp(t);
+  const ali = await signUp('Ali');
+  const addExpense = await createGroup(request, ali.token, 'Flat');
+  await addExpense({ title: 'Pizza night', notes: 'The plumbers joined us' });
+  await addExpense({ title: 'Plumber visit', notes: 'Kitchen sink' });
+  await addExpense({ title: 'Groceries' });
+
+  const res = await request('GET', '/api/expenses/search?q=plumber', { token: ali.token });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.expenses.map(e => [e.title, e.groupName]), [['Plumber visit', 'Flat'], ['Pizza night', 'Flat']]);
+  assert.ok(res.body.expenses[0].score > res.body.expenses[1].score);
+  assert.deepEqual(res.body.expenses[0].highlights, { title: [[0, 7]] });
+  assert.deepEqual(res.body.expenses[1].highlights, { notes: [[4, 12]] });
+  assert.equal(res.body.pagination.total, 2);
+});
+
+test('expense search honours negated terms and the listing filters', async (t) => {
+  const { request } = await startApp(t);
+  const ali = await signUp('Ali');
+  const addExpense = await createGroup(request, ali.token, 'Flat');
+  await addExpense({ title: 'Pizza night', notes: 'The plumbers joined us' });
+  await addExpense({ title: 'Plumber visit', paidBy: 'Sara' });
+
+  const negated = await request('GET', '/api/expenses/search?q=plumber%20-pizza', { token: ali.token });
+  assert.deepEqual(negated.body.expenses.map(e => e.title), ['Plumber visit']);
+
+  const filtered = await request('GET', '/api/expenses/search?q=plumber&paidBy=Ali', { token: ali.token });
+  assert.deepEqual(filtered.body.expenses.map(e => e.title), ['Pizza night']);
+
+  const empty = await request('GET', '/api/expenses/search?q=%20', { token: ali.token });
+  assert.equal(empty.status, 400);
+});
+
+test('expense search only covers groups the user has access to', async (t) => {
+  const { request } = await startApp(t);
+  const ali = await signUp('Ali');
+  const omar = await signUp('Omar');
+  const addExpense = await createGroup(request, ali.token, 'Flat');
+  await addExpense({ title: 'Plumber visit' });
+
+  const res = await request('GET', '/api/expenses/search?q=plumber', { token: omar.token });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.expenses, []);
+});
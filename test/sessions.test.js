@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { Session } = require('../models/schemas');
+const { createSession, rotateSession } = require('../utils/sessions');
+
+process.env.JWT_SECRET = 'test-secret';
+
+// Keep sessions in memory instead of MongoDB
+const useSessionStore = (t) => {
+  const sessions = new Map();
+
+  t.mock.method(Session, 'create', async (fields) => {
+    const session = new Session(fields);
+    sessions.set(session._id.toString(), session);
+    return session;
+  });
+
+  // A fresh copy per read, like separate queries would return
+  t.mock.method(Session, 'findById', async (id) => {
+    const session = sessions.get(id.toString());
+    return session ? Session.hydrate(session.toObject()) : null;
+  });
+
+  t.mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+    const session = sessions.get(filter._id.toString());
+    if (!session || session.refreshTokenHash !== filter.refreshTokenHash || session.revokedAt) {
+      return null;
+    }
+    session.set(update);
+    return session;
+  });
+
+  t.mock.method(Session, 'updateOne', async (filter, update) => {
+    const session = sessions.get(filter._id.toString());
+    if (session && !session.revokedAt) {
+      session.set(update);
+    }
+    return { modifiedCount: session ? 1 : 0 };
+  });
+
+  return sessions;
+};
+
+const req = { ip: '127.0.0.1', get: () => 'test-agent' };
+const user = { _id: new mongoose.Types.ObjectId() };
+
+test('refreshing rotates the refresh token', async (t) => {
+  useSessionStore(t);
+  const first = await createSession(user, req);
+
+  const { tokens } = await rotateSession(first.refreshToken);
+
+  assert.ok(tokens.token);
+  assert.notEqual(tokens.refreshToken, first.refreshToken);
+  assert.equal(tokens.refreshToken.split('.')[0], first.refreshToken.split('.')[0]);
+
+  const again = await rotateSession(tokens.refreshToken);
+  assert.ok(again.tokens);
+});
+
+test('reusing a rotated refresh token revokes the session', async (t) => {
+  const sessions = useSessionStore(t);
+  const first = await createSession(user, req);
+  const { tokens } = await rotateSession(first.refreshToken);
+
+  const reused = await rotateSession(first.refreshToken);
+  assert.equal(reused.error, 'Refresh token was already used; session revoked');
+
+  const session = sessions.get(first.refreshToken.split('.')[0]);
+  assert.ok(session.revokedAt);
+  assert.equal(session.revokedReason, 'refresh token reused');
+
+  // The current token stops working as well
+  const current = await rotateSession(tokens.refreshToken);
+  assert.equal(current.error, 'Session has expired or been revoked');
+});
+
+test('malformed and unknown refresh tokens are rejected', async (t) => {
+  useSessionStore(t);
+  const first = await createSession(user, req);
+  const [sessionId] = first.refreshToken.split('.');
+
+  assert.equal((await rotateSession('')).error, 'Invalid refresh token');
+  assert.equal((await rotateSession('not-an-id.secret')).error, 'Invalid refresh token');
+  assert.equal((await rotateSession(`${sessionId}.wrong`)).error, 'Invalid refresh token');
+  assert.equal(
+    (await rotateSession(`${new mongoose.Types.ObjectId()}.secret`)).error,
+    'Session has expired or been revoked'
+  );
+});
+
+test('expired sessions cannot be refreshed', async (t) => {
+  const sessions = useSessionStore(t);
+  const first = await createSession(user, req);
+  sessions.get(first.refreshToken.split('.')[0]).expiresAt = new Date(Date.now() - 1000);
+
+  assert.equal((await rotateSession(first.refreshToken)).error, 'Session has expired or been revoked');
+});
+
+test('only one of two concurrent refreshes wins', async (t) => {
+  useSessionStore(t);
+  const first = await createSession(user, req);
+
+  const results = await Promise.all([
+    rotateSession(first.refreshToken),
+    rotateSession(first.refreshToken)
+  ]);
+
+  assert.equal(results.filter(r => r.tokens).length, 1);
+  assert.deepEqual(results.filter(r => r.error), [{ error: 'Refresh token was already used' }]);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toCents, fromCents, roundMoney, allocateByWeight, allocateToMembers } = require('../utils/split');
+
+test('toCents rounds half away from zero', () => {
+  assert.equal(toCents(1.005), 101);
+  assert.equal(toCents(-1.005), -101);
+  assert.equal(toCents(0.1 + 0.2), 30);
+  assert.equal(toCents('12.34'), 1234);
+  assert.equal(toCents(undefined), 0);
+});
+
+test('fromCents and roundMoney round-trip whole cents', () => {
+  assert.equal(fromCents(1234), 12.34);
+  assert.equal(roundMoney(10 / 3), 3.33);
+  assert.equal(roundMoney(null), null);
+});
+
+test('allocateByWeight always adds up to the total', () => {
+  const parts = allocateByWeight(1000, [1, 1, 1]);
+  assert.deepEqual(parts, [334, 333, 333]);
+  assert.equal(parts.reduce((sum, p) => sum + p, 0), 1000);
+});
+
+test('allocateByWeight gives leftover cents to the largest remainders', () => {
+  // Exact parts are 2.5, 5 and 2.5; the tie goes to the earlier entry
+  assert.deepEqual(allocateByWeight(10, [1, 2, 1]), [3, 5, 2]);
+  // Exact parts are 3.3 and 6.7
+  assert.deepEqual(allocateByWeight(10, [33, 67]), [3, 7]);
+});
+
+test('allocateByWeight splits equally when every weight is zero', () => {
+  assert.deepEqual(allocateByWeight(5, [0, 0]), [3, 2]);
+  assert.deepEqual(allocateByWeight(5, []), []);
+});
+
+test('allocateToMembers maps the parts to members', () => {
+  assert.deepEqual(allocateToMembers(100, ['Ali', 'Sara', 'Omar']), { Ali: 34, Sara: 33, Omar: 33 });
+  assert.deepEqual(allocateToMembers(100, ['Ali', 'Sara'], [3, 1]), { Ali: 75, Sara: 25 });
+});
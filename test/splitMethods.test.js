@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, signUp } = require('./helpers/app');
+
+const setup = async (request) => {
+  const ali = await signUp('Ali');
+  const created = await request('POST', '/api/groups', {
+    token: ali.token,
+    body: { name: 'Flat', members: ['Ali', 'Sara', 'Omar'] }
+  });
+  const groupId = created.body.group.id;
+
+  const addExpense = (body) => request('POST', '/api/expenses', {
+    token: ali.token,
+    body: { groupId, title: 'Rent', date: '2026-03-01', splitAmong: ['Ali', 'Sara', 'Omar'], ...body }
+  });
+  const balances = async () => {
+    const res = await request('GET', `/api/analytics/group/${groupId}`, { token: ali.token });
+    return res.body.analytics.balances;
+  };
+
+  return { addExpense, balances };
+};
+
+test('percentage splits charge each member their percentage', async (t) => {
+  const { request } = await startApp(t);
+  const { addExpense, balances } = await setup(request);
+
+  const added = await addExpense({
+    amount: 100,
+    paidBy: 'Ali',
+    splitMethod: 'percentage',
+    percentages: { Ali: 50, Sara: 30, Omar: 20 }
+  });
+
+  assert.equal(added.status, 201);
+  assert.deepEqual(added.body.expense.percentages, { Ali: 50, Sara: 30, Omar: 20 });
+  assert.deepEqual(await balances(), { Ali: 50, Sara: -30, Omar: -20 });
+});
+
+test('share splits charge members in proportion to their shares', async (t) => {
+  const { request } = await startApp(t);
+  const { addExpense, balances } = await setup(request);
+
+  const added = await addExpense({
+    amount: 9,
+    paidBy: 'Sara',
+    splitAmong: ['Ali', 'Sara'],
+    splitMethod: 'shares',
+    shares: { Ali: 2, Sara: 1 }
+  });
+
+  assert.equal(added.status, 201);
+  assert.deepEqual(await balances(), { Ali: -6, Sara: 6, Omar: 0 });
+});
+
+test('percentages must add up to 100 and shares must be positive', async (t) => {
+  const { request } = await startApp(t);
+  const { addExpense } = await setup(request);
+
+  const percentages = await addExpense({
+    amount: 100,
+    paidBy: 'Ali',
+    splitMethod: 'percentage',
+    percentages: { Ali: 50, Sara: 40 }
+  });
+  assert.equal(percentages.status, 400);
+  assert.equal(percentages.body.error, 'Percentages must sum to 100');
+
+  const shares = await addExpense({
+    amount: 9,
+    paidBy: 'Ali',
+    splitMethod: 'shares',
+    shares: { Ali: 2, Sara: 0 }
+  });
+  assert.equal(shares.status, 400);
+  assert.equal(shares.body.error, 'Shares must be positive numbers');
+
+  const stranger = await addExpense({
+    amount: 9,
+    paidBy: 'Ali',
+    splitMethod: 'shares',
+    shares: { Ali: 1, Zed: 1 }
+  });
+  assert.equal(stranger.status, 400);
+  assert.equal(stranger.body.error, 'Not a member of this group: Zed');
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, signUp } = require('./helpers/app');
+
+const setup = async (request) => {
+  const ali = await signUp('Ali');
+  const created = await request('POST', '/api/groups', {
+    token: ali.token,
+    body: { name: 'Flat', members: ['Ali', 'Sara'] }
+  });
+  const groupId = created.body.group.id;
+
+  const addExpense = async (title) => {
+    const added = await request('POST', '/api/expenses', {
+      token: ali.token,
+      body: { groupId, title, amount: 20, paidBy: 'Ali', date: '2026-03-01', splitAmong: ['Ali', 'Sara'] }
+    });
+    return added.body.expense.id;
+  };
+
+  return { ali, groupId, addExpense };
+};
+
+test('deleted expenses go to the trash and can be restored', async (t) => {
+  const { request, db } = await startApp(t);
+  const { ali, groupId, addExpense } = await setup(request);
+  const id = await addExpense('Groceries');
+
+  const deleted = await request('DELETE', `/api/expenses/${id}`, { token: ali.token });
+  assert.equal(deleted.status, 200);
+  assert.equal(db.Expense.all().length, 1);
+
+  const listed = await request('GET', `/api/expenses/group/${groupId}`, { token: ali.token });
+  assert.deepEqual(listed.body.expenses, []);
+
+  const trash = await request('GET', '/api/trash', { token: ali.token });
+  assert.equal(trash.status, 200);
+  assert.deepEqual(trash.body.expenses.map(e => [e.title, e.groupName]), [['Groceries', 'Flat']]);
+
+  const restored = await request('POST', `/api/expenses/${id}/restore`, { token: ali.token });
+  assert.equal(restored.status, 200);
+
+  const relisted = await request('GET', `/api/expenses/group/${groupId}`, { token: ali.token });
+  assert.deepEqual(relisted.body.expenses.map(e => e.title), ['Groceries']);
+});
+
+test('deleting a group trashes its expenses and restoring it brings them back', async (t) => {
+  const { request } = await startApp(t);
+  const { ali, groupId, addExpense } = await setup(request);
+  await addExpense('Groceries');
+  const trashedAlone = await addExpense('Takeaway');
+  await request('DELETE', `/api/expenses/${trashedAlone}`, { token: ali.token });
+
+  const deleted = await request('DELETE', `/api/groups/${groupId}`, { token: ali.token });
+  assert.equal(deleted.status, 200);
+
+  const groups = await request('GET', '/api/groups', { token: ali.token });
+  assert.deepEqual(groups.body.groups, []);
+
+  const trash = await request('GET', '/api/trash', { token: ali.token });
+  assert.deepEqual(trash.body.groups.map(g => [g.name, g.expenseCount]), [['Flat', 1]]);
+
+  const restored = await request('POST', `/api/groups/${groupId}/restore`, { token: ali.token });
+  assert.equal(restored.status, 200);
+  assert.equal(restored.body.restoredExpenses, 1);
+
+  // The expense trashed before the group stays in the trash
+  const listed = await request('GET', `/api/expenses/group/${groupId}`, { token: ali.token });
+  assert.deepEqual(listed.body.expenses.map(e => e.title), ['Groceries']);
+});
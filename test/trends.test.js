@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, signUp } = require('./helpers/app');
+
+// Groceries in January and February, a taxi in February and a payment
+const setup = async (request) => {
+  const ali = await signUp('Ali');
+  const created = await request('POST', '/api/groups', {
+    token: ali.token,
+    body: { name: 'Flat', members: ['Ali', 'Sara'] }
+  });
+  const groupId = created.body.group.id;
+
+  const addExpense = (title, amount, paidBy, date) => request('POST', '/api/expenses', {
+    token: ali.token,
+    body: { groupId, title, amount, paidBy, date, splitAmong: ['Ali', 'Sara'] }
+  });
+  await addExpense('Groceries', 40, 'Ali', '2026-01-10');
+  await addExpense('Taxi', 20, 'Sara', '2026-02-05');
+  await addExpense('Groceries', 60, 'Ali', '2026-02-20');
+  await request('POST', `/api/groups/${groupId}/payments`, {
+    token: ali.token,
+    body: { from: 'Sara', to: 'Ali', amount: 10, date: '2026-02-25' }
+  });
+
+  return { ali, groupId };
+};
+
+test('group analytics include spending and balances over time', async (t) => {
+  const { request } = await startApp(t);
+  const { ali, groupId } = await setup(request);
+
+  const res = await request('GET', `/api/analytics/group/${groupId}?bucket=month&from=2026-01-01&to=2026-02-28`, {
+    token: ali.token
+  });
+  const { trends } = res.body.analytics;
+
+  assert.equal(res.status, 200);
+  assert.equal(trends.bucket, 'month');
+  assert.deepEqual(trends.periods, ['2026-01', '2026-02']);
+  assert.deepEqual(trends.spending, [40, 80]);
+  assert.deepEqual(trends.counts, [1, 2]);
+  assert.deepEqual(trends.change, [null, 100]);
+  assert.deepEqual(trends.categories, { Groceries: [40, 60], Transport: [0, 20] });
+  assert.deepEqual(trends.monthOverMonth, {
+    month: '2026-02',
+    previousMonth: '2026-01',
+    total: 80,
+    previousTotal: 40,
+    change: 40,
+    changePercent: 100
+  });
+  assert.deepEqual(trends.balanceHistory, { Ali: [20, 30], Sara: [-20, -30] });
+});
+
+test('trends can be bucketed by week', async (t) => {
+  const { request } = await startApp(t);
+  const { ali } = await setup(request);
+
+  const res = await request('GET', '/api/analytics/user?bucket=week&from=2026-02-02&to=2026-02-15', {
+    token: ali.token
+  });
+  const { trends } = res.body.analytics;
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(trends.periods, ['2026-02-02', '2026-02-09']);
+  assert.deepEqual(trends.spending, [20, 0]);
+});
+
+test('trends reject unknown buckets', async (t) => {
+  const { request } = await startApp(t);
+  const { ali, groupId } = await setup(request);
+
+  const res = await request('GET', `/api/analytics/group/${groupId}?bucket=year`, { token: ali.token });
+
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, 'Bucket must be one of: day, week, month');
+});
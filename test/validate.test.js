@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkBody } = require('../middleware/validate');
+const { startApp, signUp } = require('./helpers/app');
+
+test('field rules check type, bounds and format', () => {
+  const rules = {
+    amount: { type: 'number', required: true, positive: true },
+    color: { type: 'string', pattern: /^#[0-9A-Fa-f]{6}$/, message: 'color must be a hex code like #22C55E' }
+  };
+
+  assert.equal(checkBody(rules, {}), 'amount is required');
+  assert.equal(checkBody(rules, { amount: '5' }), 'amount must be a number');
+  assert.equal(checkBody(rules, { amount: 0 }), 'amount must be greater than 0');
+  assert.equal(checkBody(rules, { amount: 5, color: 'red' }), 'color must be a hex code like #22C55E');
+  assert.equal(checkBody(rules, { amount: 5, color: '#22C55E' }), null);
+});
+
+test('empty strings count as not set unless the field must not be blank', () => {
+  const rules = {
+    phone: { type: 'string', maxLength: 20 },
+    name: { type: 'string', notBlank: true }
+  };
+
+  assert.equal(checkBody(rules, { phone: '' }), null);
+  assert.equal(checkBody(rules, { name: '' }), 'name cannot be empty');
+  assert.equal(checkBody(rules, { name: '   ' }), 'name cannot be empty');
+  assert.equal(checkBody(rules, { name: 'Ali' }), null);
+});
+
+test('invalid requests are answered with the error envelope and field details', async (t) => {
+  const { request } = await startApp(t);
+  const ali = await signUp('Ali');
+
+  const invalid = await request('POST', '/api/expenses', {
+    token: ali.token,
+    body: { groupId: 'nope', title: 'Dinner', amount: 'ten' }
+  });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.success, false);
+  assert.equal(invalid.body.code, 'VALIDATION_ERROR');
+  assert.ok(invalid.body.details.some(d => d.field === 'amount' && d.message === 'amount must be a number'));
+
+  const badId = await request('GET', '/api/expenses/nope', { token: ali.token });
+  assert.equal(badId.status, 400);
+  assert.equal(badId.body.code, 'INVALID_ID');
+
+  const unknown = await request('GET', '/api/nowhere', { token: ali.token });
+  assert.deepEqual(unknown.body, { success: false, error: 'Route not found: GET /api/nowhere', code: 'NOT_FOUND' });
+});
+
+test('profile updates reject a blank name or an invalid email', async (t) => {
+  const { request } = await startApp(t);
+  const ali = await signUp('Ali');
+  const update = (body) => request('PATCH', '/api/auth/me', { token: ali.token, body });
+
+  const blankName = await update({ name: '  ' });
+  assert.equal(blankName.status, 400);
+  assert.equal(blankName.body.error, 'name cannot be empty');
+
+  const badEmail = await update({ email: 'ali-at-example' });
+  assert.equal(badEmail.status, 400);
+  assert.equal(badEmail.body.error, 'Please provide a valid email');
+
+  const emptyEmail = await update({ email: '' });
+  assert.equal(emptyEmail.status, 400);
+
+  const renamed = await update({ name: ' Ali B ', phone: '' });
+  assert.equal(renamed.status, 200);
+  assert.equal(renamed.body.user.name, 'Ali B');
+});
+
+test('custom categories need a name that is not blank', async (t) => {
+  const { request } = await startApp(t);
+  const ali = await signUp('Ali');
+  const created = await request('POST', '/api/groups', {
+    token: ali.token,
+    body: { name: 'Flat', members: ['Ali'] }
+  });
+  const path = `/api/categories/group/${created.body.group.id}`;
+
+  const blank = await request('POST', path, { token: ali.token, body: { name: ' ' } });
+  assert.equal(blank.status, 400);
+  assert.equal(blank.body.error, 'name cannot be empty');
+
+  const badColor = await request('POST', path, { token: ali.token, body: { name: 'Bills', color: 'yellow' } });
+  assert.equal(badColor.status, 400);
+  assert.equal(badColor.body.error, 'color must be a hex code like #22C55E');
+
+  const added = await request('POST', path, { token: ali.token, body: { name: 'Bills', color: '' } });
+  assert.equal(added.status, 201);
+});
@@ -0,0 +1,285 @@
+const mongoose = require('mongoose');
+const {
+  User,
+  AuthToken,
+  Session,
+  Group,
+  Expense,
+  RecurringExpense,
+  Payment,
+  Invite,
+  Budget
+} = require('../models/schemas');
+const { ROLE_RANK } = require('../middleware/permissions');
+const { toSnapshot, recordActivity } = require('./activity');
+const { purgeGroups } = require('../jobs/purgeTrash');
+
+// What happens to the groups a user owns when they delete their account:
+//   transfer - the next linked account takes over as owner
+//   archive  - the next linked account takes over and the group moves to
+//              the trash, where the new owner can restore it until purged
+//   delete   - the group and everything in it is removed immediately
+// Groups nobody else is linked to are kept without an owner under transfer
+// and archive, so the history of members without an account survives;
+// they are only deleted when the leaving user was their only member.
+const OWNED_GROUP_STRATEGIES = ['transfer', 'archive', 'delete'];
+
+// Records that name their creator, which pass to the group's owner when
+// the creator deletes their account
+const CREATED_RECORDS = [Expense, RecurringExpense, Payment, Budget, Invite];
+
+// The linked account that should take over a group: highest role first,
+// then whoever has been linked the longest
+const pickSuccessor = (group, userId) => {
+  const candidates = group.linkedMembers
+    .filter(link => !link.user.equals(userId))
+    .sort((a, b) => (ROLE_RANK[b.role] - ROLE_RANK[a.role]) || (a.linkedAt - b.linkedAt));
+
+  return candidates[0] || null;
+};
+
+// Hand a group to its successor; the leaving user's own link is dropped
+const handOver = (group, successor, userId) => {
+  successor.role = 'admin';
+  group.createdBy = successor.user;
+  group.linkedMembers = group.linkedMembers.filter(link => !link.user.equals(userId));
+  group.updatedAt = Date.now();
+};
+
+// Leave a group nobody else is linked to without an owner. Recurring
+// templates are paused and open invites revoked, since no one is left to
+// manage them.
+const keepOwnerless = async (group, userId, session) => {
+  group.createdBy = null;
+  group.linkedMembers = group.linkedMembers.filter(link => !link.user.equals(userId));
+  group.updatedAt = Date.now();
+  await group.save();
+
+  await RecurringExpense.updateMany({ groupId: group._id }, { paused: true }, { session });
+  await Invite.updateMany({ groupId: group._id, revokedAt: null }, { revokedAt: Date.now() }, { session });
+};
+
+// Pass the records the user created to the owner of their group (cleared
+// in groups kept without one)
+const reassignCreatedRecords = async (userId, session) => {
+  for (const Model of CREATED_RECORDS) {
+    const groupIds = await Model.distinct('groupId', { createdBy: userId }).session(session);
+    if (groupIds.length === 0) {
+      continue;
+    }
+
+    // Aggregation skips the soft-delete hooks, so trashed groups are included
+    const groups = await Group.aggregate([
+      { $match: { _id: { $in: groupIds } } },
+      { $project: { createdBy: 1 } }
+    ]).session(session);
+
+    for (const group of groups) {
+      await Model.updateMany(
+        { groupId: group._id, createdBy: userId },
+        { createdBy: group.createdBy },
+        { session }
+      );
+    }
+  }
+};
+
+// Everything stored about a user, as a plain object for a JSON download:
+// their profile, active sessions, and the groups they can access with
+// those groups' expenses and payments (trashed items are left out)
+const buildAccountExport = async (userId) => {
+  const user = await User.findById(userId).select('-password').lean();
+  if (!user) {
+    return null;
+  }
+
+  const [sessions, groups] = await Promise.all([
+    Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .select('userAgent ip createdAt lastUsedAt expiresAt')
+      .lean(),
+    Group.find(Group.accessFilter(userId))
+  ]);
+
+  const groupIds = groups.map(g => g._id);
+  const [expenses, payments] = await Promise.all([
+    Expense.find({ groupId: { $in: groupIds } }).sort({ date: 1 }),
+    Payment.find({ groupId: { $in: groupIds } }).sort({ date: 1 })
+  ]);
+
+  return {
+    exportedAt: new Date(),
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      phone: user.phone,
+      emailVerifiedAt: user.emailVerifiedAt,
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt
+    },
+    sessions: sessions.map(session => ({
+      id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt
+    })),
+    groups: groups.map(group => ({
+      id: group._id,
+      name: group.name,
+      members: group.members,
+      baseCurrency: group.baseCurrency,
+      categories: group.categories,
+      role: group.roleFor(userId),
+      member: group.memberNameFor(userId),
+      createdAt: group.createdAt,
+      updatedAt: group.updatedAt
+    })),
+    expenses: expenses.map(expense => toSnapshot(expense)),
+    payments: payments.map(payment => toSnapshot(payment))
+  };
+};
+
+// The writes behind deleteAccount, run in the given session (or none).
+// Returns the groups affected and the activity entries to record.
+const removeAccount = async (user, strategy, session) => {
+  const userId = user._id;
+  const result = { transferred: [], archived: [], kept: [], deleted: [] };
+  const activities = [];
+
+  // Trashed groups could only ever have been restored by this user
+  const trashedIds = await Group.distinct('_id', { createdBy: userId, deletedAt: { $ne: null } }).session(session);
+  await purgeGroups(trashedIds, session);
+
+  const ownedGroups = await Group.find({ createdBy: userId }).session(session);
+  const purgeIds = [];
+
+  for (const group of ownedGroups) {
+    const successor = strategy === 'delete' ? null : pickSuccessor(group, userId);
+    const ownMember = group.memberNameFor(userId);
+    const hasOtherMembers = group.members.some(member => member !== ownMember);
+
+    if (!successor && (strategy === 'delete' || !hasOtherMembers)) {
+      purgeIds.push(group._id);
+      result.deleted.push({ id: group._id, name: group.name });
+      continue;
+    }
+
+    const before = toSnapshot(group);
+
+    if (!successor) {
+      await keepOwnerless(group, userId, session);
+
+      activities.push({
+        groupId: group._id,
+        actor: userId,
+        action: 'update',
+        entityType: 'group',
+        entityId: group._id,
+        summary: `${user.name} deleted their account; group kept without an owner`,
+        before,
+        after: toSnapshot(group)
+      });
+      result.kept.push({ id: group._id, name: group.name });
+      continue;
+    }
+
+    handOver(group, successor, userId);
+
+    if (strategy === 'archive') {
+      const deletedAt = Date.now();
+      group.deletedAt = deletedAt;
+      group.deletedBy = userId;
+
+      await Expense.updateMany(
+        { groupId: group._id, deletedAt: null },
+        { deletedAt, deletedBy: userId, deletedWithGroup: true },
+        { session }
+      );
+    }
+
+    await group.save();
+
+    activities.push({
+      groupId: group._id,
+      actor: userId,
+      action: strategy === 'archive' ? 'delete' : 'update',
+      entityType: 'group',
+      entityId: group._id,
+      summary: strategy === 'archive'
+        ? `${user.name} deleted their account; group moved to the trash and handed to ${successor.name}`
+        : `${user.name} deleted their account; ownership passed to ${successor.name}`,
+      before,
+      after: toSnapshot(group)
+    });
+
+    const entry = { id: group._id, name: group.name, newOwner: successor.name };
+    if (strategy === 'archive') {
+      result.archived.push(entry);
+    } else {
+      result.transferred.push(entry);
+    }
+  }
+
+  await purgeGroups(purgeIds, session);
+
+  await Group.updateMany(
+    { 'linkedMembers.user': userId },
+    { $pull: { linkedMembers: { user: userId } } },
+    { session }
+  );
+
+  await reassignCreatedRecords(userId, session);
+
+  await Session.deleteMany({ user: userId }, { session });
+  await AuthToken.deleteMany({ user: userId }, { session });
+  await User.deleteOne({ _id: userId }, { session });
+
+  return { result, activities };
+};
+
+// Standalone servers (no replica set) reject transactions
+const transactionsUnsupported = (error) => {
+  return error.code === 20 && /Transaction numbers are only allowed/.test(error.message);
+};
+
+// Delete a user's account. Owned groups are handled according to the
+// strategy, links to other groups are removed (the member names stay, so
+// balances are unchanged), records the user created pass to the group's
+// owner and the user's sessions and tokens go with them. Everything runs
+// in one transaction, so a failure part way leaves the account as it was;
+// activity entries are written once it has committed. Transactions need a
+// replica set: against a standalone server the same writes run in order
+// without one, deleting the user last so a failure can be retried. Returns
+// the groups affected, by outcome.
+const deleteAccount = async (user, strategy = 'transfer') => {
+  const session = await mongoose.startSession();
+  let outcome;
+
+  try {
+    // The transaction may be retried, so each attempt starts from scratch
+    await session.withTransaction(async () => {
+      outcome = await removeAccount(user, strategy, session);
+    });
+  } catch (error) {
+    if (!transactionsUnsupported(error)) {
+      throw error;
+    }
+    outcome = await removeAccount(user, strategy, null);
+  } finally {
+    await session.endSession();
+  }
+
+  for (const activity of outcome.activities) {
+    await recordActivity(activity);
+  }
+
+  return outcome.result;
+};
+
+module.exports = {
+  OWNED_GROUP_STRATEGIES,
+  buildAccountExport,
+  deleteAccount
+};
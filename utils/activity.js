@@ -0,0 +1,57 @@
+const { Activity } = require('../models/schemas');
+
+// Plain copy of a document for before/after snapshots (Maps flattened,
+// edit history left out since it is already kept on the expense)
+const toSnapshot = (doc) => {
+  if (!doc) {
+    return null;
+  }
+
+  const snapshot = typeof doc.toObject === 'function'
+    ? doc.toObject({ flattenMaps: true, versionKey: false })
+    : { ...doc };
+  delete snapshot.revisions;
+
+  return snapshot;
+};
+
+// Append an entry to a group's activity log. Failures are logged rather
+// than thrown, so a logging problem never fails the change it describes.
+const recordActivity = async ({ groupId, actor, action, entityType, entityId, summary, before, after }) => {
+  try {
+    await Activity.create({
+      groupId,
+      actor: actor || null,
+      action,
+      entityType,
+      entityId: entityId.toString(),
+      summary: summary || '',
+      before: toSnapshot(before),
+      after: toSnapshot(after)
+    });
+  } catch (error) {
+    console.error('Record activity error:', error.message);
+  }
+};
+
+// Shape an activity entry (with its actor populated) for API responses
+const formatActivity = (activity) => ({
+  id: activity._id,
+  groupId: activity.groupId,
+  actor: activity.actor
+    ? { id: activity.actor._id, name: activity.actor.name }
+    : null,
+  action: activity.action,
+  entityType: activity.entityType,
+  entityId: activity.entityId,
+  summary: activity.summary,
+  before: activity.before,
+  after: activity.after,
+  createdAt: activity.createdAt
+});
+
+module.exports = {
+  toSnapshot,
+  recordActivity,
+  formatActivity
+};
@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+const { AuthToken } = require('../models/schemas');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Issue a single-use token of a type for a user, invalidating any unused
+// ones of the same type. Returns the raw token (only its hash is stored).
+const createAuthToken = async (userId, type, ttlMs) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await AuthToken.updateMany(
+    { user: userId, type, usedAt: null },
+    { usedAt: Date.now() }
+  );
+
+  await AuthToken.create({
+    user: userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+
+  return token;
+};
+
+// Use up a token. Returns the user id it was issued for, or null when the
+// token is unknown, expired or already used.
+const consumeAuthToken = async (token, type) => {
+  if (!token) {
+    return null;
+  }
+
+  const authToken = await AuthToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), type, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: Date.now() },
+    { new: true }
+  );
+
+  return authToken ? authToken.user : null;
+};
+
+module.exports = {
+  createAuthToken,
+  consumeAuthToken
+};
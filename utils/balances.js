@@ -0,0 +1,278 @@
+const { toCents, fromCents, allocateToMembers } = require('./split');
+
+// All balance math is done in integer cents of the group's base currency,
+// straight from the stored cents, so every expense's shares add up to
+// exactly what was paid and a group's balances always sum to zero. Balance
+// tables built with emptyBalances / applyExpense / applyPayment hold cents;
+// toAmounts converts them back.
+
+// Convert cents of an expense's currency into cents of the group's base
+// currency using the exchange rate stored on the expense at entry time
+const toBaseCents = (expense, cents = expense.amountCents) => {
+  const rate = expense.exchangeRate || 1;
+  return rate === 1 ? cents : toCents(fromCents(cents) * rate);
+};
+
+const toBaseAmount = (expense, cents = expense.amountCents) => {
+  return fromCents(toBaseCents(expense, cents));
+};
+
+// Entries of a Mongoose Map or a plain object
+const entriesOf = (values) => {
+  return values instanceof Map ? [...values.entries()] : Object.entries(values);
+};
+
+// What each member owes for an expense, in cents of the base currency.
+// The base total is split in proportion to the custom amounts, percentages
+// or shares (or equally); leftover cents go to the members with the
+// largest remainders, ties to the member listed first, so the shares
+// always add up to exactly the total.
+const expenseShareCents = (expense) => {
+  const total = toBaseCents(expense);
+  let weighted = null;
+
+  if ((expense.splitMethod === 'custom' || expense.splitMethod === 'itemized') &&
+      expense.customAmountCents) {
+    // Custom amounts (computed from the items for itemized receipts)
+    weighted = entriesOf(expense.customAmountCents);
+  } else if (expense.splitMethod === 'percentage' && expense.percentages) {
+    weighted = entriesOf(expense.percentages);
+  } else if (expense.splitMethod === 'shares' && expense.shares) {
+    weighted = entriesOf(expense.shares);
+  }
+
+  if (!weighted) {
+    // Equal split, leftover cents in splitAmong order
+    return allocateToMembers(total, expense.splitAmong);
+  }
+
+  return allocateToMembers(total, weighted.map(([member]) => member), weighted.map(([, weight]) => weight));
+};
+
+// What each member owes for an expense, in the group's base currency
+const expenseShares = (expense) => toAmounts(expenseShareCents(expense));
+
+// Convert a table of cents per member into amounts
+const toAmounts = (centsByMember) => {
+  const amounts = {};
+  Object.entries(centsByMember).forEach(([member, cents]) => {
+    amounts[member] = fromCents(cents);
+  });
+  return amounts;
+};
+
+// Add one expense to a running balance table in cents (members not in
+// the table are ignored)
+const applyExpense = (balances, expense) => {
+  const shares = expenseShareCents(expense);
+
+  Object.entries(shares).forEach(([member, share]) => {
+    if (balances.hasOwnProperty(member)) {
+      balances[member] -= share;
+    }
+  });
+
+  // Add full amount to person who paid
+  if (balances.hasOwnProperty(expense.paidBy)) {
+    balances[expense.paidBy] += toBaseCents(expense);
+  }
+
+  return balances;
+};
+
+// Recorded payments move money from debtor to creditor, so they are
+// credited to the payer and debited from the recipient.
+const applyPayment = (balances, payment) => {
+  const amount = payment.amountCents;
+
+  if (balances.hasOwnProperty(payment.from)) {
+    balances[payment.from] += amount;
+  }
+  if (balances.hasOwnProperty(payment.to)) {
+    balances[payment.to] -= amount;
+  }
+
+  return balances;
+};
+
+const emptyBalances = (members) => {
+  const balances = {};
+  members.forEach(member => {
+    balances[member] = 0;
+  });
+  return balances;
+};
+
+// Balances per member in the group's base currency
+const calculateBalances = (expenses, members, payments = []) => {
+  const balances = emptyBalances(members);
+
+  expenses.forEach(expense => applyExpense(balances, expense));
+  payments.forEach(payment => applyPayment(balances, payment));
+
+  return toAmounts(balances);
+};
+
+// Everything that moved a member's balance, oldest first: expenses they
+// paid for or share in, and payments they sent or received. `effect` is
+// the change to their balance and `balance` the running total after it.
+const memberLedger = (expenses, payments, member) => {
+  const entries = [];
+
+  expenses.forEach(expense => {
+    const share = expenseShareCents(expense)[member] || 0;
+    const paid = expense.paidBy === member ? toBaseCents(expense) : 0;
+
+    if (share !== 0 || paid !== 0) {
+      entries.push({
+        type: 'expense',
+        id: expense._id,
+        date: expense.date,
+        title: expense.title,
+        category: expense.category || 'Other',
+        paidBy: expense.paidBy,
+        amount: toBaseAmount(expense),
+        paid: fromCents(paid),
+        share: fromCents(share),
+        effect: paid - share
+      });
+    }
+  });
+
+  payments.forEach(payment => {
+    if (payment.from === member || payment.to === member) {
+      const amount = payment.amountCents;
+
+      entries.push({
+        type: 'payment',
+        id: payment._id,
+        date: payment.date,
+        from: payment.from,
+        to: payment.to,
+        amount: fromCents(amount),
+        note: payment.note,
+        effect: payment.from === member ? amount : -amount
+      });
+    }
+  });
+
+  entries.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  let balance = 0;
+  entries.forEach(entry => {
+    balance += entry.effect;
+    entry.effect = fromCents(entry.effect);
+    entry.balance = fromCents(balance);
+  });
+
+  return entries;
+};
+
+// How each member's balance came about: what they paid, what they
+// consumed (in total and per category) and the payments they made
+const memberBreakdown = (expenses, payments, members) => {
+  const breakdown = {};
+  members.forEach(member => {
+    breakdown[member] = {
+      totalPaid: 0,
+      totalShare: 0,
+      expensesPaid: 0,
+      expensesShared: 0,
+      paymentsSent: 0,
+      paymentsReceived: 0,
+      categoryShare: {},
+      balance: 0
+    };
+  });
+
+  // Totals are summed in cents and converted at the end
+  expenses.forEach(expense => {
+    const category = expense.category || 'Other';
+
+    if (breakdown.hasOwnProperty(expense.paidBy)) {
+      breakdown[expense.paidBy].totalPaid += toBaseCents(expense);
+      breakdown[expense.paidBy].expensesPaid += 1;
+    }
+
+    Object.entries(expenseShareCents(expense)).forEach(([member, share]) => {
+      if (breakdown.hasOwnProperty(member) && share > 0) {
+        const entry = breakdown[member];
+        entry.totalShare += share;
+        entry.expensesShared += 1;
+        entry.categoryShare[category] = (entry.categoryShare[category] || 0) + share;
+      }
+    });
+  });
+
+  payments.forEach(payment => {
+    if (breakdown.hasOwnProperty(payment.from)) {
+      breakdown[payment.from].paymentsSent += payment.amountCents;
+    }
+    if (breakdown.hasOwnProperty(payment.to)) {
+      breakdown[payment.to].paymentsReceived += payment.amountCents;
+    }
+  });
+
+  Object.values(breakdown).forEach(entry => {
+    entry.balance = fromCents(entry.totalPaid - entry.totalShare + entry.paymentsSent - entry.paymentsReceived);
+    entry.totalPaid = fromCents(entry.totalPaid);
+    entry.totalShare = fromCents(entry.totalShare);
+    entry.paymentsSent = fromCents(entry.paymentsSent);
+    entry.paymentsReceived = fromCents(entry.paymentsReceived);
+    entry.categoryShare = toAmounts(entry.categoryShare);
+  });
+
+  return breakdown;
+};
+
+// Pair up creditors and debtors into payments that settle the balances
+// (amounts per member). Works in cents: the largest debt is matched with
+// the largest credit until everything is settled, ties going to the
+// member listed first, so the same balances always give the same plan.
+const calculateSettlements = (balances) => {
+  const settlements = [];
+  const members = Object.keys(balances);
+
+  const byLargest = (list) => list.sort((a, b) => b.cents - a.cents || a.index - b.index);
+  const creditors = byLargest(members
+    .map((member, index) => ({ member, index, cents: toCents(balances[member]) }))
+    .filter(entry => entry.cents > 0));
+  const debtors = byLargest(members
+    .map((member, index) => ({ member, index, cents: -toCents(balances[member]) }))
+    .filter(entry => entry.cents > 0));
+
+  let i = 0;
+  let j = 0;
+  while (i < debtors.length && j < creditors.length) {
+    const cents = Math.min(debtors[i].cents, creditors[j].cents);
+
+    settlements.push({
+      from: debtors[i].member,
+      to: creditors[j].member,
+      amount: fromCents(cents)
+    });
+
+    debtors[i].cents -= cents;
+    creditors[j].cents -= cents;
+
+    if (debtors[i].cents === 0) i++;
+    if (creditors[j].cents === 0) j++;
+  }
+
+  return settlements;
+};
+
+module.exports = {
+  toBaseCents,
+  toBaseAmount,
+  expenseShareCents,
+  expenseShares,
+  toAmounts,
+  applyExpense,
+  applyPayment,
+  emptyBalances,
+  calculateBalances,
+  calculateSettlements,
+  memberLedger,
+  memberBreakdown
+};
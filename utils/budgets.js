@@ -0,0 +1,140 @@
+const { Expense, Budget, BudgetAlert } = require('../models/schemas');
+const { toBaseCents } = require('./balances');
+const { fromCents } = require('./split');
+const { startOfBucket } = require('./trends');
+
+const BUDGET_PERIODS = ['weekly', 'monthly', 'yearly'];
+// Percentages of a budget at which an alert is raised
+const ALERT_THRESHOLDS = [80, 100];
+
+// Start (inclusive) and end (exclusive) of the budget period containing
+// `date`, in UTC. Weeks start on Monday.
+const periodRange = (period, date = new Date()) => {
+  const at = new Date(date);
+
+  if (period === 'weekly') {
+    const start = startOfBucket(at, 'week');
+    return { start, end: new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate() + 7)) };
+  }
+
+  if (period === 'yearly') {
+    return {
+      start: new Date(Date.UTC(at.getUTCFullYear(), 0, 1)),
+      end: new Date(Date.UTC(at.getUTCFullYear() + 1, 0, 1))
+    };
+  }
+
+  const start = startOfBucket(at, 'month');
+  return { start, end: new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1)) };
+};
+
+// Spending (in cents of the group's base currency) that counts against a budget
+const spentInRange = async (budget, { start, end }) => {
+  const filter = { groupId: budget.groupId, date: { $gte: start, $lt: end } };
+  if (budget.category) {
+    filter.category = budget.category;
+  }
+
+  const expenses = await Expense.find(filter).select('amountCents exchangeRate');
+  return expenses.reduce((sum, e) => sum + toBaseCents(e), 0);
+};
+
+// Spent vs. remaining for the budget period containing `at`
+const budgetStatus = async (budget, at = new Date()) => {
+  const range = periodRange(budget.period, at);
+  const spent = await spentInRange(budget, range);
+
+  return {
+    periodStart: range.start,
+    periodEnd: range.end,
+    spent: fromCents(spent),
+    remaining: fromCents(budget.amountCents - spent),
+    percentUsed: spent / budget.amountCents * 100,
+    exceeded: spent > budget.amountCents
+  };
+};
+
+// Raise alerts for the budgets a new expense pushed past a threshold in the
+// period the expense falls in. Each threshold fires at most once per budget
+// period, even if two expenses cross it at the same time. Failures are
+// logged rather than thrown so they never fail the expense itself.
+const checkBudgetAlerts = async (expense) => {
+  const alerts = [];
+
+  try {
+    const budgets = await Budget.find({
+      groupId: expense.groupId,
+      category: { $in: [null, expense.category] }
+    });
+
+    for (const budget of budgets) {
+      const range = periodRange(budget.period, expense.date);
+      const spent = await spentInRange(budget, range);
+      const spentBefore = spent - toBaseCents(expense);
+
+      for (const threshold of ALERT_THRESHOLDS) {
+        const limit = Math.round(budget.amountCents * threshold / 100);
+        if (spentBefore >= limit || spent < limit) {
+          continue;
+        }
+
+        try {
+          alerts.push(await BudgetAlert.create({
+            groupId: budget.groupId,
+            budgetId: budget._id,
+            threshold,
+            periodStart: range.start,
+            periodEnd: range.end,
+            spentCents: spent,
+            budgetAmountCents: budget.amountCents,
+            expenseId: expense._id
+          }));
+        } catch (error) {
+          // Already raised for this period
+          if (error.code !== 11000) {
+            throw error;
+          }
+        }
+      }
+    }
+  } catch (error) {
+    console.error('Budget alert error:', error.message);
+  }
+
+  return alerts;
+};
+
+// Shape a budget (with its current status, when given) for API responses
+const formatBudget = (budget, status) => ({
+  id: budget._id,
+  groupId: budget.groupId,
+  category: budget.category,
+  period: budget.period,
+  amount: budget.amount,
+  ...(status ? { current: status } : {}),
+  createdAt: budget.createdAt,
+  updatedAt: budget.updatedAt
+});
+
+const formatBudgetAlert = (alert) => ({
+  id: alert._id,
+  groupId: alert.groupId,
+  budgetId: alert.budgetId,
+  threshold: alert.threshold,
+  periodStart: alert.periodStart,
+  periodEnd: alert.periodEnd,
+  spent: alert.spent,
+  budgetAmount: alert.budgetAmount,
+  expenseId: alert.expenseId,
+  createdAt: alert.createdAt
+});
+
+module.exports = {
+  BUDGET_PERIODS,
+  ALERT_THRESHOLDS,
+  periodRange,
+  budgetStatus,
+  checkBudgetAlerts,
+  formatBudget,
+  formatBudgetAlert
+};
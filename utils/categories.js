@@ -0,0 +1,109 @@
+const { Group } = require('../models/schemas');
+
+// Categories every group has
+const DEFAULT_CATEGORIES = [
+  { name: 'Food', icon: '🍽️', color: '#F97316' },
+  { name: 'Housing', icon: '🏠', color: '#6366F1' },
+  { name: 'Groceries', icon: '🛒', color: '#22C55E' },
+  { name: 'Transport', icon: '🚕', color: '#0EA5E9' },
+  { name: 'Entertainment', icon: '🎬', color: '#EC4899' },
+  { name: 'Other', icon: '📦', color: '#9CA3AF' }
+];
+
+// Built-in keywords, checked in order when no group rule matches
+const DEFAULT_KEYWORDS = [
+  { category: 'Food', keywords: ['food', 'dinner', 'lunch', 'breakfast'] },
+  { category: 'Housing', keywords: ['rent', 'hotel'] },
+  { category: 'Groceries', keywords: ['grocery', 'groceries', 'vegetable'] },
+  { category: 'Transport', keywords: ['transport', 'uber', 'taxi'] },
+  { category: 'Entertainment', keywords: ['movie', 'entertainment'] }
+];
+
+// Lowercase words only, so "Netflix - March!" and "netflix march" match
+const normalizeTitle = (title) => {
+  return String(title || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+};
+
+// Default categories followed by the group's own
+const groupCategories = (group) => {
+  return [...DEFAULT_CATEGORIES, ...((group && group.categories) || [])];
+};
+
+// Canonical name of a category available in the group (matched
+// case-insensitively), or null
+const findCategory = (group, name) => {
+  if (typeof name !== 'string') {
+    return null;
+  }
+
+  const lower = name.trim().toLowerCase();
+  const category = groupCategories(group).find(c => c.name.toLowerCase() === lower);
+  return category ? category.name : null;
+};
+
+// Suggest a category for a title. A category learned from an earlier
+// correction of the same title wins, then the group's keyword rules
+// (longest keyword first), then the built-in keywords.
+const categorizeExpense = (title, group) => {
+  const normalized = normalizeTitle(title);
+  const rules = (group && group.categoryRules) || [];
+
+  const learned = rules.find(r => r.source === 'learned' && r.keyword === normalized);
+  if (learned && findCategory(group, learned.category)) {
+    return learned.category;
+  }
+
+  const padded = ` ${normalized} `;
+  const manual = rules
+    .filter(r => r.source === 'manual' && padded.includes(` ${normalizeTitle(r.keyword)} `))
+    .sort((a, b) => b.keyword.length - a.keyword.length)
+    .find(r => findCategory(group, r.category));
+  if (manual) {
+    return manual.category;
+  }
+
+  const lower = String(title || '').toLowerCase();
+  const builtIn = DEFAULT_KEYWORDS.find(d => d.keywords.some(k => lower.includes(k)));
+  return builtIn ? builtIn.category : 'Other';
+};
+
+// Remember a category picked by hand for a title, so the next expense with
+// the same title is categorized the same way. Only corrections (a category
+// other than the suggestion) are recorded.
+const learnCategory = async (group, title, category) => {
+  const keyword = normalizeTitle(title);
+  if (!keyword || categorizeExpense(title, group) === category) {
+    return;
+  }
+
+  try {
+    const updated = await Group.updateOne(
+      { _id: group._id, categoryRules: { $elemMatch: { keyword, source: 'learned' } } },
+      {
+        $set: { 'categoryRules.$.category': category, 'categoryRules.$.updatedAt': Date.now() },
+        $inc: { 'categoryRules.$.hits': 1 }
+      }
+    );
+
+    if (updated.matchedCount === 0) {
+      await Group.updateOne(
+        { _id: group._id, categoryRules: { $not: { $elemMatch: { keyword, source: 'learned' } } } },
+        { $push: { categoryRules: { keyword, category, source: 'learned' } } }
+      );
+    }
+  } catch (error) {
+    console.error('Learn category error:', error.message);
+  }
+};
+
+module.exports = {
+  DEFAULT_CATEGORIES,
+  normalizeTitle,
+  groupCategories,
+  findCategory,
+  categorizeExpense,
+  learnCategory
+};
@@ -0,0 +1,194 @@
+const { hasRole } = require('../middleware/permissions');
+const { getExchangeRate } = require('../config/currencies');
+const { toCents, fromCents, allocateByWeight } = require('./split');
+
+const SPLIT_METHODS = ['equal', 'custom', 'percentage', 'shares', 'itemized'];
+
+// Request rules (see middleware/validate) for the fields expenses and
+// recurring templates share
+const MEMBER_AMOUNTS = { type: 'object', nullable: true, values: { type: 'number', min: 0 } };
+
+const EXPENSE_FIELDS = {
+  title: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+  amount: { type: 'number', positive: true },
+  paidBy: { type: 'string', required: true },
+  splitAmong: { type: 'array', required: true, minLength: 1, items: { type: 'string' } },
+  splitMethod: { type: 'string', enum: SPLIT_METHODS },
+  customAmounts: MEMBER_AMOUNTS,
+  percentages: MEMBER_AMOUNTS,
+  shares: MEMBER_AMOUNTS,
+  currency: { type: 'string', pattern: /^[A-Za-z]{3}$/, message: 'currency must be a 3-letter ISO code' },
+  exchangeRate: { type: 'number', positive: true },
+  category: { type: 'string', nullable: true }
+};
+
+// Helper function to turn an itemized receipt into per-member amounts.
+// Each item is split equally among the members who shared it; tax, tip and
+// service charge are then distributed in proportion to each member's item
+// subtotal. All math is done in cents and leftover cents go to members in
+// splitAmong order, so the amounts always add up to the receipt total.
+function computeItemizedSplit({ items, splitAmong, tax = 0, tip = 0, serviceCharge = 0 }) {
+  const subtotals = splitAmong.map(() => 0);
+
+  items.forEach(item => {
+    const sharers = splitAmong
+      .map((member, index) => (item.sharedBy.includes(member) ? index : -1))
+      .filter(index => index !== -1);
+    const parts = allocateByWeight(toCents(item.price), sharers.map(() => 1));
+
+    sharers.forEach((memberIndex, i) => {
+      subtotals[memberIndex] += parts[i];
+    });
+  });
+
+  const extras = toCents(tax) + toCents(tip) + toCents(serviceCharge);
+  const extraParts = allocateByWeight(extras, subtotals);
+
+  const amounts = {};
+  splitAmong.forEach((member, index) => {
+    const cents = subtotals[index] + extraParts[index];
+    if (cents > 0) {
+      amounts[member] = fromCents(cents);
+    }
+  });
+
+  const totalCents = subtotals.reduce((sum, c) => sum + c, 0) + extras;
+
+  return { amount: fromCents(totalCents), amounts };
+}
+
+// Helper function to validate the items of an itemized receipt
+// Returns an error message, or null when the input is valid
+function validateItemizedInput({ items, splitAmong }) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return 'Items required for itemized split method';
+  }
+
+  for (const item of items) {
+    if (!item || !item.description || typeof item.price !== 'number' || item.price < 0) {
+      return 'Each item needs a description and a non-negative price';
+    }
+
+    if (!Array.isArray(item.sharedBy) || item.sharedBy.length === 0) {
+      return `Item "${item.description}" must be shared by at least one member`;
+    }
+
+    if (item.sharedBy.some(member => !splitAmong.includes(member))) {
+      return `Item "${item.description}" is shared by someone not in splitAmong`;
+    }
+  }
+
+  return null;
+}
+
+// Helper function to check the rules that span several expense fields,
+// shared by create, update and import (field types and required fields
+// are checked by EXPENSE_FIELDS). Returns an error message, or null when
+// the input is valid
+function validateExpenseInput(input) {
+  const { amount, splitMethod, customAmounts, percentages, shares } = input;
+
+  // Itemized receipts derive their amount from the items
+  if (splitMethod !== 'itemized' && amount === undefined) {
+    return 'Please provide the amount';
+  }
+
+  // Validate custom amounts if splitMethod is custom
+  if (splitMethod === 'custom') {
+    if (!customAmounts) {
+      return 'Custom amounts required for custom split method';
+    }
+
+    const totalCustom = Object.values(customAmounts).reduce((sum, amt) => sum + toCents(amt), 0);
+    if (totalCustom !== toCents(amount)) {
+      return 'Custom amounts must sum to total amount';
+    }
+  }
+
+  // Validate percentages if splitMethod is percentage
+  if (splitMethod === 'percentage') {
+    if (!percentages) {
+      return 'Percentages required for percentage split method';
+    }
+
+    const totalPercent = Object.values(percentages).reduce((sum, pct) => sum + pct, 0);
+    if (Math.abs(totalPercent - 100) >= 0.01) {
+      return 'Percentages must sum to 100';
+    }
+  }
+
+  // Validate shares if splitMethod is shares
+  if (splitMethod === 'shares') {
+    if (!shares) {
+      return 'Shares required for shares split method';
+    }
+
+    const values = Object.values(shares);
+    if (values.length === 0 || values.some(share => share <= 0)) {
+      return 'Shares must be positive numbers';
+    }
+  }
+
+  // Validate items if splitMethod is itemized
+  if (splitMethod === 'itemized') {
+    const itemizedError = validateItemizedInput(input);
+    if (itemizedError) {
+      return itemizedError;
+    }
+
+    const itemized = computeItemizedSplit(input);
+    if (itemized.amount <= 0) {
+      return 'Itemized total must be greater than zero';
+    }
+    if (amount !== undefined && toCents(itemized.amount) !== toCents(amount)) {
+      return 'Amount must equal the sum of items, tax, tip and service charge';
+    }
+  }
+
+  return null;
+}
+
+// Helper function to check that everyone an expense names is a member of
+// the group. Returns an error message, or null when they all are
+function validateExpenseMembers({ paidBy, splitAmong, splitMethod, customAmounts, percentages, shares }, members) {
+  const perMember = { custom: customAmounts, percentage: percentages, shares }[splitMethod];
+  const names = [paidBy, ...splitAmong, ...Object.keys(perMember || {})];
+  const unknown = [...new Set(names.filter(name => !members.includes(name)))];
+
+  if (unknown.length > 0) {
+    return `Not a member of this group: ${unknown.join(', ')}`;
+  }
+
+  return null;
+}
+
+// Helper function to pick the rate converting an expense into the group's
+// base currency: a user-supplied rate wins, otherwise the local rate table
+// is used. Returns null when no rate is known for the currency.
+function resolveExchangeRate(currency, exchangeRate, baseCurrency) {
+  if (currency === baseCurrency) {
+    return 1;
+  }
+
+  return exchangeRate || getExchangeRate(currency, baseCurrency);
+}
+
+// Helper function to check if the user may edit or delete an expense, a
+// recurring template or a payment: admins can change any of them, members
+// only the ones they created (records of a deleted account have no creator)
+function canModifyExpense(expense, role, userId) {
+  if (hasRole(role, 'admin')) {
+    return true;
+  }
+  return hasRole(role, 'member') && Boolean(expense.createdBy && expense.createdBy.equals(userId));
+}
+
+module.exports = {
+  SPLIT_METHODS,
+  EXPENSE_FIELDS,
+  validateExpenseInput,
+  validateExpenseMembers,
+  computeItemizedSplit,
+  resolveExchangeRate,
+  canModifyExpense
+};
@@ -0,0 +1,91 @@
+const { toBaseAmount, expenseShares } = require('./balances');
+const { DATE_RANGE_QUERY, parseDateRange } = require('./filters');
+
+const EXPORT_FORMATS = ['csv'];
+
+// Quote a value for CSV. Text that a spreadsheet would evaluate as a
+// formula is prefixed with a quote so it stays plain text.
+const csvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && isNaN(Number(text))) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (values) => values.map(csvValue).join(',') + '\r\n';
+
+const formatAmount = (amount) => (amount || 0).toFixed(2);
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+// Query rules (see middleware/validate) for export downloads
+const EXPORT_QUERY = {
+  ...DATE_RANGE_QUERY,
+  format: { type: 'string' }
+};
+
+// Read ?format=, ?from= and ?to= for exports
+const parseExportQuery = (query) => {
+  const format = (query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    return { error: 'Unsupported export format' };
+  }
+
+  const range = parseDateRange(query);
+  if (range.error) {
+    return { error: range.error };
+  }
+
+  return { format, dateFilter: range.dateFilter };
+};
+
+// Start a CSV download response
+const startCsvDownload = (res, name) => {
+  const filename = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'export';
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+};
+
+// Write a titled block (separated from the previous one by a blank line)
+const writeCsvSection = (res, title, header, rows) => {
+  res.write('\r\n');
+  res.write(csvRow([title]));
+  res.write(csvRow(header));
+  rows.forEach(row => res.write(csvRow(row)));
+};
+
+// Row of a group export: one share column per member
+const groupExpenseRow = (expense, members) => {
+  const shares = expenseShares(expense);
+
+  return [
+    formatDate(expense.date),
+    expense.title,
+    expense.category,
+    formatAmount(expense.amount),
+    expense.currency,
+    formatAmount(toBaseAmount(expense)),
+    expense.paidBy,
+    ...members.map(member => formatAmount(shares[member]))
+  ];
+};
+
+module.exports = {
+  EXPORT_QUERY,
+  EXPORT_FORMATS,
+  csvValue,
+  csvRow,
+  formatAmount,
+  formatDate,
+  parseExportQuery,
+  startCsvDownload,
+  writeCsvSection,
+  groupExpenseRow
+};
@@ -0,0 +1,118 @@
+const { toCents } = require('./split');
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Read ?from= and ?to= into a Mongo date condition. Date-only bounds are
+// inclusive, so ?to=2024-03-31 covers the whole of March 31st.
+// Returns { dateFilter } (null when unbounded) or { error }.
+const parseDateRange = (query) => {
+  const dateFilter = {};
+
+  if (query.from) {
+    const from = new Date(query.from);
+    if (isNaN(from)) {
+      return { error: 'Invalid from date' };
+    }
+    dateFilter.$gte = from;
+  }
+
+  if (query.to) {
+    const to = new Date(query.to);
+    if (isNaN(to)) {
+      return { error: 'Invalid to date' };
+    }
+    if (DATE_ONLY.test(query.to)) {
+      to.setUTCDate(to.getUTCDate() + 1);
+      dateFilter.$lt = to;
+    } else {
+      dateFilter.$lte = to;
+    }
+  }
+
+  if (dateFilter.$gte && (dateFilter.$lt || dateFilter.$lte) < dateFilter.$gte) {
+    return { error: 'From date must be before to date' };
+  }
+
+  return { dateFilter: Object.keys(dateFilter).length > 0 ? dateFilter : null };
+};
+
+// Query rules (see middleware/validate) for the parameters read below
+const DATE_RANGE_QUERY = {
+  from: { type: 'date' },
+  to: { type: 'date' }
+};
+
+const EXPENSE_FILTER_QUERY = {
+  ...DATE_RANGE_QUERY,
+  category: { type: 'string' },
+  paidBy: { type: 'string' },
+  participant: { type: 'string' },
+  minAmount: { type: 'number', min: 0 },
+  maxAmount: { type: 'number', min: 0 }
+};
+
+const parseAmountBound = (value, name) => {
+  const amount = Number(value);
+  return isNaN(amount) || amount < 0 ? { error: `${name} must be a non-negative number` } : { amount };
+};
+
+// Build an expense filter from listing query parameters: ?from=, ?to=,
+// ?category=, ?paidBy=, ?participant= (someone in splitAmong) and
+// ?minAmount= / ?maxAmount= (in the expense's own currency).
+// Returns { filter } or { error }.
+const parseExpenseFilters = (query) => {
+  const filter = {};
+
+  const range = parseDateRange(query);
+  if (range.error) {
+    return { error: range.error };
+  }
+  if (range.dateFilter) {
+    filter.date = range.dateFilter;
+  }
+
+  if (query.category) {
+    filter.category = String(query.category);
+  }
+
+  if (query.paidBy) {
+    filter.paidBy = String(query.paidBy);
+  }
+
+  if (query.participant) {
+    filter.splitAmong = String(query.participant);
+  }
+
+  const amountFilter = {};
+  if (query.minAmount !== undefined) {
+    const min = parseAmountBound(query.minAmount, 'minAmount');
+    if (min.error) {
+      return { error: min.error };
+    }
+    amountFilter.$gte = toCents(min.amount);
+  }
+  if (query.maxAmount !== undefined) {
+    const max = parseAmountBound(query.maxAmount, 'maxAmount');
+    if (max.error) {
+      return { error: max.error };
+    }
+    amountFilter.$lte = toCents(max.amount);
+  }
+  if (amountFilter.$gte !== undefined && amountFilter.$lte !== undefined &&
+      amountFilter.$lte < amountFilter.$gte) {
+    return { error: 'minAmount must not be greater than maxAmount' };
+  }
+  // Amounts are stored in cents
+  if (Object.keys(amountFilter).length > 0) {
+    filter.amountCents = amountFilter;
+  }
+
+  return { filter };
+};
+
+module.exports = {
+  DATE_RANGE_QUERY,
+  EXPENSE_FILTER_QUERY,
+  parseDateRange,
+  parseExpenseFilters
+};
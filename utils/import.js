@@ -0,0 +1,309 @@
+const { findCategory, categorizeExpense } = require('./categories');
+const { toCents, fromCents, allocateToMembers } = require('./split');
+
+const IMPORT_PRESETS = ['generic', 'splitwise'];
+
+// Default column headers for the generic preset; override any of them with
+// the `columns` option
+const GENERIC_COLUMNS = {
+  date: 'Date',
+  title: 'Title',
+  notes: 'Notes',
+  amount: 'Amount',
+  currency: 'Currency',
+  paidBy: 'Paid By',
+  splitAmong: 'Split Among',
+  category: 'Category'
+};
+
+// Splitwise's export starts with these columns, followed by one column per
+// person holding their net balance for the row
+const SPLITWISE_FIXED_COLUMNS = ['Date', 'Description', 'Category', 'Cost', 'Currency'];
+
+const SPLITWISE_CATEGORIES = {
+  'dining out': 'Food',
+  'food and drink - other': 'Food',
+  'liquor': 'Food',
+  'groceries': 'Groceries',
+  'rent': 'Housing',
+  'mortgage': 'Housing',
+  'hotel': 'Housing',
+  'bus/train': 'Transport',
+  'car': 'Transport',
+  'gas/fuel': 'Transport',
+  'parking': 'Transport',
+  'plane': 'Transport',
+  'taxi': 'Transport',
+  'games': 'Entertainment',
+  'movies': 'Entertainment',
+  'music': 'Entertainment',
+  'sports': 'Entertainment'
+};
+
+// Parse CSV text into an array of rows (arrays of strings). Handles quoted
+// fields with embedded commas, quotes and line breaks; blank lines are
+// dropped.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+const parseAmount = (value) => {
+  const amount = parseFloat(String(value || '').replace(/,/g, ''));
+  return isNaN(amount) ? null : amount;
+};
+
+// Find the group member a name from the file refers to: an explicit
+// memberMap entry wins, then an exact or case-insensitive match
+const resolveMember = (name, members, memberMap = {}) => {
+  const trimmed = name.trim();
+
+  if (memberMap[trimmed] !== undefined) {
+    return members.includes(memberMap[trimmed]) ? memberMap[trimmed] : null;
+  }
+
+  if (members.includes(trimmed)) {
+    return trimmed;
+  }
+
+  return members.find(m => m.toLowerCase() === trimmed.toLowerCase()) || null;
+};
+
+// Use a category from the file when it matches one of the group's,
+// otherwise categorize from the title like new expenses are
+const resolveCategory = (value, title, group) => {
+  const text = (value || '').trim().toLowerCase();
+  const known = findCategory(group, text) || SPLITWISE_CATEGORIES[text];
+
+  return known || categorizeExpense(title, group);
+};
+
+// Helper to build a row converter that maps names to members and records
+// the ones it cannot place
+const memberResolver = (members, memberMap, unknownMembers) => (names) => {
+  const resolved = [];
+  const missing = [];
+
+  names.forEach(name => {
+    const member = resolveMember(name, members, memberMap);
+    if (member) {
+      resolved.push(member);
+    } else {
+      missing.push(name.trim());
+      unknownMembers.add(name.trim());
+    }
+  });
+
+  return { resolved, missing };
+};
+
+const unknownMemberError = (missing) => `Unknown member${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`;
+
+// Generic preset: one expense per row, split equally among the
+// semicolon-separated `Split Among` names (everyone when left empty)
+const genericConverter = (header, { columns = {}, group, resolve }) => {
+  const mapping = { ...GENERIC_COLUMNS, ...columns };
+  const index = {};
+  Object.entries(mapping).forEach(([field, column]) => {
+    index[field] = header.findIndex(h => h.trim().toLowerCase() === String(column).toLowerCase());
+  });
+
+  const missingColumns = ['date', 'title', 'amount', 'paidBy']
+    .filter(field => index[field] === -1)
+    .map(field => mapping[field]);
+  if (missingColumns.length > 0) {
+    return { error: `Missing column(s): ${missingColumns.join(', ')}` };
+  }
+
+  const cell = (row, field) => (index[field] === -1 ? '' : (row[index[field]] || '').trim());
+
+  const convert = (row) => {
+    const title = cell(row, 'title');
+    const payer = resolve([cell(row, 'paidBy')]);
+    const splitNames = cell(row, 'splitAmong').split(/[;|]/).filter(n => n.trim() !== '');
+    const split = splitNames.length > 0 ? resolve(splitNames) : { resolved: group.members, missing: [] };
+
+    const missing = [...payer.missing, ...split.missing];
+    if (missing.length > 0) {
+      return { error: unknownMemberError(missing) };
+    }
+
+    const amount = parseAmount(cell(row, 'amount'));
+    if (amount === null) {
+      return { error: 'Amount must be a number' };
+    }
+
+    return {
+      input: {
+        title,
+        notes: cell(row, 'notes'),
+        amount,
+        currency: cell(row, 'currency') || undefined,
+        paidBy: payer.resolved[0],
+        date: cell(row, 'date'),
+        splitAmong: split.resolved,
+        splitMethod: 'equal',
+        category: resolveCategory(cell(row, 'category'), title, group)
+      }
+    };
+  };
+
+  return { convert };
+};
+
+// Splitwise preset: each person column holds that person's net for the
+// expense (what they paid minus their share), so the payer is the one
+// positive column and everyone's share can be worked back from the cost
+const splitwiseConverter = (header, { group, resolve }) => {
+  const fixed = header.slice(0, SPLITWISE_FIXED_COLUMNS.length).map(h => h.trim().toLowerCase());
+  if (fixed.join(',') !== SPLITWISE_FIXED_COLUMNS.join(',').toLowerCase()) {
+    return { error: `Splitwise files must start with the columns: ${SPLITWISE_FIXED_COLUMNS.join(', ')}` };
+  }
+
+  const people = header.slice(SPLITWISE_FIXED_COLUMNS.length);
+  const { resolved, missing } = resolve(people);
+  if (missing.length > 0) {
+    return { error: unknownMemberError(missing) };
+  }
+
+  const convert = (row) => {
+    const [date, title, categoryName, cost, currency] = SPLITWISE_FIXED_COLUMNS
+      .map((_, i) => (row[i] || '').trim());
+
+    // Splitwise ends its export with a "Total balance" row
+    if (!date && title.toLowerCase() === 'total balance') {
+      return { skipped: 'Total balance row' };
+    }
+
+    if (categoryName.toLowerCase() === 'payment') {
+      return { skipped: 'Payments are not imported as expenses' };
+    }
+
+    const amount = parseAmount(cost);
+    // Net amounts per person, in cents
+    const nets = people.map((_, i) => toCents(parseAmount(row[SPLITWISE_FIXED_COLUMNS.length + i])));
+    const payers = nets
+      .map((net, i) => (net > 0 ? i : -1))
+      .filter(i => i !== -1);
+
+    if (amount === null) {
+      return { error: 'Cost must be a number' };
+    }
+
+    if (payers.length !== 1) {
+      return { error: 'Expenses must have exactly one payer' };
+    }
+
+    const payerIndex = payers[0];
+    const shareCents = {};
+    nets.forEach((net, i) => {
+      const share = i === payerIndex ? toCents(amount) - net : -net;
+      if (share > 0) {
+        shareCents[resolved[i]] = share;
+      }
+    });
+
+    // Import as an equal split only if splitting equally here gives
+    // exactly the same cents, otherwise keep the shares as custom amounts
+    const splitAmong = Object.keys(shareCents);
+    const equalCents = allocateToMembers(toCents(amount), splitAmong);
+    const isEqual = splitAmong.every(member => equalCents[member] === shareCents[member]);
+    const shares = {};
+    splitAmong.forEach(member => {
+      shares[member] = fromCents(shareCents[member]);
+    });
+
+    return {
+      input: {
+        title,
+        amount,
+        currency: currency || undefined,
+        paidBy: resolved[payerIndex],
+        date,
+        splitAmong,
+        splitMethod: isEqual ? 'equal' : 'custom',
+        customAmounts: isEqual ? undefined : shares,
+        category: resolveCategory(categoryName, title, group)
+      }
+    };
+  };
+
+  return { convert };
+};
+
+// Turn CSV text into expense inputs using a preset. Returns { error } when
+// the file itself cannot be read, otherwise one entry per data row with
+// either `input` (an expense body for validation), `error` or `skipped`,
+// plus the names that could not be matched to group members.
+const convertCsv = (text, { preset = 'generic', columns, memberMap, group }) => {
+  const rows = parseCsv(text);
+  if (rows.length < 2) {
+    return { error: 'CSV file must have a header row and at least one expense' };
+  }
+
+  const unknownMembers = new Set();
+  const resolve = memberResolver(group.members, memberMap, unknownMembers);
+  const options = { columns, group, resolve };
+
+  const converter = preset === 'splitwise'
+    ? splitwiseConverter(rows[0], options)
+    : genericConverter(rows[0], options);
+
+  if (converter.error) {
+    return { error: converter.error, unknownMembers: [...unknownMembers] };
+  }
+
+  return {
+    // Row numbers count the header as row 1 and skip blank lines
+    rows: rows.slice(1).map((row, i) => ({ row: i + 2, ...converter.convert(row) })),
+    unknownMembers: [...unknownMembers]
+  };
+};
+
+module.exports = {
+  IMPORT_PRESETS,
+  GENERIC_COLUMNS,
+  parseCsv,
+  resolveMember,
+  convertCsv
+};
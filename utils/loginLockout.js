@@ -0,0 +1,70 @@
+const { LoginLockout } = require('../models/schemas');
+
+// After LOGIN_MAX_ATTEMPTS wrong passwords in a row for an email address
+// from one IP, that address is locked for that IP. Each further lock before
+// a successful login doubles the lock time, from LOGIN_LOCK_MINUTES up to
+// MAX_LOCK_MINUTES. Locks are kept per address and IP, so a guesser cannot
+// lock the owner out from elsewhere, and they work the same for addresses
+// without an account, so a lock tells nothing about who is registered.
+const getMaxAttempts = () => Number(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const getLockMinutes = () => Number(process.env.LOGIN_LOCK_MINUTES) || 1;
+const MAX_LOCK_MINUTES = 60;
+
+const lockoutKey = (email, ip) => ({ email: String(email).toLowerCase(), ip: ip || '' });
+
+// The failed login record for an email address and IP, or null
+const findLockout = (email, ip) => {
+  return LoginLockout.findOne(lockoutKey(email, ip));
+};
+
+// Milliseconds left on a lockout, or 0 when it is not locked
+const lockRemaining = (lockout, now = Date.now()) => {
+  if (!lockout || !lockout.lockedUntil) {
+    return 0;
+  }
+  return Math.max(0, lockout.lockedUntil.getTime() - now);
+};
+
+// Minutes the nth lock in a row lasts
+const lockMinutes = (lockCount) => {
+  return Math.min(getLockMinutes() * 2 ** (lockCount - 1), MAX_LOCK_MINUTES);
+};
+
+// Count a wrong password (or unknown address). Returns { locked,
+// lockedUntil } once the failure locks the pair, otherwise
+// { locked: false, attemptsLeft }.
+const recordFailedLogin = async (email, ip) => {
+  const key = lockoutKey(email, ip);
+  const updated = await LoginLockout.findOneAndUpdate(
+    key,
+    { $inc: { failedAttempts: 1 }, $set: { updatedAt: Date.now() } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  const maxAttempts = getMaxAttempts();
+  if (updated.failedAttempts < maxAttempts) {
+    return { locked: false, attemptsLeft: maxAttempts - updated.failedAttempts };
+  }
+
+  const lockCount = updated.lockCount + 1;
+  const lockedUntil = new Date(Date.now() + lockMinutes(lockCount) * 60 * 1000);
+
+  await LoginLockout.updateOne(key, { failedAttempts: 0, lockCount, lockedUntil });
+
+  return { locked: true, lockedUntil };
+};
+
+// Forget past failures for an address: from one IP after a successful
+// login, from every IP after a password reset or an unlock link
+const clearFailedLogins = (email, ip) => {
+  const filter = ip === undefined ? { email: String(email).toLowerCase() } : lockoutKey(email, ip);
+  return LoginLockout.deleteMany(filter);
+};
+
+module.exports = {
+  findLockout,
+  lockRemaining,
+  lockMinutes,
+  recordFailedLogin,
+  clearFailedLogins
+};
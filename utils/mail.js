@@ -0,0 +1,147 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// A mail transport is any object with a `name` and an async
+// `send({ from, to, subject, text })`. MAIL_TRANSPORT picks one:
+//   smtp    - SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+//   file    - writes each message as JSON into MAIL_DIR (default ./mail)
+//   console - prints messages to the log
+// Without MAIL_TRANSPORT, smtp is used when SMTP_HOST is set and console
+// otherwise, so development never sends real mail by accident. Console
+// output includes the links (and tokens) in reset and verification mail,
+// so in production (NODE_ENV=production) one of them has to be set.
+
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+const createFileTransport = ({ dir }) => ({
+  name: 'file',
+  send: async (message) => {
+    await fs.mkdir(dir, { recursive: true });
+
+    const file = path.join(dir, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+    await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+
+    return { file };
+  }
+});
+
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return {};
+  }
+});
+
+const createTransportFromEnv = () => {
+  let type = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : null);
+
+  if (!type) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('No mail transport configured, set MAIL_TRANSPORT or SMTP_HOST');
+    }
+    type = 'console';
+  }
+
+  if (type === 'smtp') {
+    return createSmtpTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    });
+  }
+
+  if (type === 'file') {
+    return createFileTransport({ dir: process.env.MAIL_DIR || path.join(process.cwd(), 'mail') });
+  }
+
+  if (type === 'console') {
+    return createConsoleTransport();
+  }
+
+  throw new Error(`Unknown MAIL_TRANSPORT: ${type}`);
+};
+
+let transport = null;
+
+const getMailTransport = () => {
+  if (!transport) {
+    transport = createTransportFromEnv();
+  }
+  return transport;
+};
+
+// Replace the transport (e.g. with a file transport in tests)
+const setMailTransport = (next) => {
+  transport = next;
+};
+
+const sendMail = ({ to, subject, text }) => {
+  return getMailTransport().send({
+    from: process.env.MAIL_FROM || 'SplitWise <no-reply@splitwise.local>',
+    to,
+    subject,
+    text
+  });
+};
+
+// Link into the frontend (APP_URL) carrying a token
+const appLink = (pathname, token) => {
+  const base = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${base}${pathname}?token=${encodeURIComponent(token)}`;
+};
+
+const sendPasswordResetEmail = (user, token, minutes) => sendMail({
+  to: user.email,
+  subject: 'Reset your password',
+  text: `Hi ${user.name},\n\n` +
+    `Someone asked to reset the password for your account. To choose a new password, open:\n\n` +
+    `${appLink('/reset-password', token)}\n\n` +
+    `The link works once and expires in ${minutes} minutes. ` +
+    `If you did not ask for this, you can ignore this email.\n`
+});
+
+const sendVerificationEmail = (user, token) => sendMail({
+  to: user.email,
+  subject: 'Confirm your email address',
+  text: `Hi ${user.name},\n\n` +
+    `Please confirm your email address by opening:\n\n` +
+    `${appLink('/verify-email', token)}\n`
+});
+
+const sendAccountLockedEmail = (user, token) => sendMail({
+  to: user.email,
+  subject: 'Your account has been locked',
+  text: `Hi ${user.name},\n\n` +
+    `Sign-ins to your account from one network were locked after several failed attempts. ` +
+    `They unlock by themselves shortly; if it was you, you can unlock them right away by opening:\n\n` +
+    `${appLink('/unlock-account', token)}\n\n` +
+    `If it was not you, consider resetting your password.\n`
+});
+
+module.exports = {
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+  getMailTransport,
+  setMailTransport,
+  sendMail,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendAccountLockedEmail
+};
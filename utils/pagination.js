@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Read ?limit= from a query string, clamped to sane values
+const parseLimit = (query) => {
+  return Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+};
+
+// Read ?page= and ?limit= from a query string
+const parsePagination = (query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = parseLimit(query);
+
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Query rules (see middleware/validate) for ?page=&limit= listings and for
+// keyset-paginated ones
+const PAGE_QUERY = {
+  page: { type: 'integer', min: 1 },
+  limit: { type: 'integer', min: 1 }
+};
+
+const CURSOR_QUERY = {
+  limit: { type: 'integer', min: 1 },
+  cursor: { type: 'string' },
+  sort: { type: 'string' }
+};
+
+const paginationInfo = ({ page, limit }, total) => ({
+  page,
+  limit,
+  total,
+  pages: Math.ceil(total / limit)
+});
+
+// Opaque cursor pointing just after `doc` in a listing sorted by `field`
+// (stored at `path`)
+const encodeCursor = (doc, field, path = field) => {
+  return Buffer.from(JSON.stringify({ f: field, v: doc[path], id: doc._id })).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const { f, v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    return mongoose.isValidObjectId(id) ? { field: f, value: v, id: new mongoose.Types.ObjectId(id) } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Read ?sort=, ?limit= and ?cursor= for keyset pagination. `sortFields`
+// maps each sortable field to a function that revives its cursor value
+// (e.g. back into a Date), or to { path, revive } when the field is stored
+// under another path; prefix the sort with - for descending order.
+// Ties are broken by _id so pages never skip or repeat documents.
+// Returns { limit, field, path, sort, cursorFilter } or { error }.
+const parseCursorPagination = (query, sortFields, defaultSort) => {
+  const sortParam = String(query.sort || defaultSort);
+  const descending = sortParam.startsWith('-');
+  const field = descending ? sortParam.slice(1) : sortParam;
+
+  if (!sortFields.hasOwnProperty(field)) {
+    return { error: `Sort must be one of: ${Object.keys(sortFields).join(', ')} (prefix with - for descending)` };
+  }
+
+  const spec = sortFields[field];
+  const { path = field, revive } = typeof spec === 'function' ? { revive: spec } : spec;
+  const direction = descending ? -1 : 1;
+  const result = {
+    limit: parseLimit(query),
+    field,
+    path,
+    sort: { [path]: direction, _id: direction },
+    cursorFilter: null
+  };
+
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      return { error: 'Invalid cursor' };
+    }
+    if (cursor.field !== field) {
+      return { error: 'Cursor does not match the sort order' };
+    }
+
+    const value = revive(cursor.value);
+    const op = descending ? '$lt' : '$gt';
+    result.cursorFilter = {
+      $or: [
+        { [path]: { [op]: value } },
+        { [path]: value, _id: { [op]: cursor.id } }
+      ]
+    };
+  }
+
+  return result;
+};
+
+// Split a result fetched with limit + 1 into the page and the next cursor
+const cursorPage = (docs, { limit, field, path }) => {
+  const items = docs.slice(0, limit);
+  const nextCursor = docs.length > limit ? encodeCursor(items[items.length - 1], field, path) : null;
+
+  return { items, nextCursor };
+};
+
+module.exports = {
+  PAGE_QUERY,
+  CURSOR_QUERY,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parsePagination,
+  paginationInfo,
+  parseCursorPagination,
+  cursorPage
+};
@@ -0,0 +1,36 @@
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+const daysInMonth = (year, month) => {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+};
+
+// Date of the index-th occurrence of a rule (index 0 is the start date).
+// Occurrences are always computed from the start date rather than from the
+// previous occurrence, so monthly rules starting on the 31st land on the
+// last day of shorter months without drifting to the 28th afterwards.
+const occurrenceDate = (startDate, frequency, interval, index) => {
+  const start = new Date(startDate);
+  const step = interval * index;
+  const date = new Date(start);
+
+  if (frequency === 'daily') {
+    date.setUTCDate(start.getUTCDate() + step);
+  } else if (frequency === 'weekly') {
+    date.setUTCDate(start.getUTCDate() + step * 7);
+  } else {
+    const months = frequency === 'yearly' ? step * 12 : step;
+    const totalMonths = start.getUTCMonth() + months;
+    const year = start.getUTCFullYear() + Math.floor(totalMonths / 12);
+    const month = totalMonths % 12;
+    const day = Math.min(start.getUTCDate(), daysInMonth(year, month));
+
+    date.setUTCFullYear(year, month, day);
+  }
+
+  return date;
+};
+
+module.exports = {
+  FREQUENCIES,
+  occurrenceDate
+};
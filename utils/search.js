@@ -0,0 +1,55 @@
+// Fields that expense search looks in, and highlights
+const SEARCH_FIELDS = ['title', 'notes', 'category'];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Words of a search query as MongoDB text search sees them: phrase quotes
+// are dropped and negated (-word) terms are left out
+const searchTerms = (query) => {
+  return query
+    .replace(/"/g, ' ')
+    .split(/\s+/)
+    .filter(term => term && !term.startsWith('-'))
+    .map(term => term.toLowerCase().replace(/[^\p{L}\p{N}]/gu, ''))
+    .filter(Boolean);
+};
+
+// [start, end) ranges of words in `text` that start with one of the terms.
+// Text search stems words, so "plumbers" also finds "plumber"; matching on
+// a crudely stemmed prefix keeps the highlights in line with the results.
+const matchRanges = (text, terms) => {
+  if (!text || terms.length === 0) {
+    return [];
+  }
+
+  const stems = terms.map(term => (term.length > 3 ? term.replace(/(es|s)$/, '') : term));
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${stems.map(escapeRegExp).join('|')})[\\p{L}\\p{N}]*`, 'giu');
+
+  const ranges = [];
+  for (const match of text.matchAll(pattern)) {
+    ranges.push([match.index, match.index + match[0].length]);
+  }
+  return ranges;
+};
+
+// Matched ranges per field, for clients to highlight (only fields that
+// matched are included)
+const highlightMatches = (expense, terms) => {
+  const highlights = {};
+
+  SEARCH_FIELDS.forEach(field => {
+    const ranges = matchRanges(expense[field], terms);
+    if (ranges.length > 0) {
+      highlights[field] = ranges;
+    }
+  });
+
+  return highlights;
+};
+
+module.exports = {
+  SEARCH_FIELDS,
+  searchTerms,
+  matchRanges,
+  highlightMatches
+};
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { Session } = require('../models/schemas');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Access tokens are short-lived JWTs (ACCESS_TOKEN_TTL, e.g. 15m); refresh
+// tokens last REFRESH_TOKEN_DAYS since they were last used
+const getAccessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || '15m';
+const getRefreshTokenDays = () => Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const sameHash = (a, b) => {
+  return Boolean(a && b) && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+};
+
+const refreshExpiry = () => new Date(Date.now() + getRefreshTokenDays() * DAY_MS);
+
+// Access and refresh tokens for a session. Refresh tokens are
+// "<sessionId>.<secret>" so a session is found without scanning hashes.
+const issueTokens = (session, secret) => {
+  const accessToken = jwt.sign(
+    { userId: session.user, sessionId: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: getAccessTokenTtl() }
+  );
+
+  return {
+    token: accessToken,
+    accessTokenExpiresAt: new Date(jwt.decode(accessToken).exp * 1000),
+    refreshToken: `${session._id}.${secret}`,
+    refreshTokenExpiresAt: session.expiresAt
+  };
+};
+
+// Start a session for a user signing in from the device making `req`
+const createSession = async (user, req) => {
+  const secret = crypto.randomBytes(32).toString('base64url');
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    userAgent: String(req.get('User-Agent') || '').slice(0, 200),
+    ip: req.ip || '',
+    expiresAt: refreshExpiry()
+  });
+
+  return issueTokens(session, secret);
+};
+
+// Exchange a refresh token for a new pair, rotating the refresh token.
+// Presenting an already rotated token means it was copied, so the whole
+// session is revoked. Returns { tokens } or { error }.
+const rotateSession = async (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret || !mongoose.isValidObjectId(sessionId)) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive()) {
+    return { error: 'Session has expired or been revoked' };
+  }
+
+  const presented = hashToken(secret);
+
+  if (sameHash(presented, session.previousTokenHash)) {
+    await revokeSession(session, 'refresh token reused');
+    return { error: 'Refresh token was already used; session revoked' };
+  }
+
+  if (!sameHash(presented, session.refreshTokenHash)) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  const nextSecret = crypto.randomBytes(32).toString('base64url');
+
+  // Only rotate if nobody rotated this token in the meantime
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+    {
+      refreshTokenHash: hashToken(nextSecret),
+      previousTokenHash: session.refreshTokenHash,
+      lastUsedAt: Date.now(),
+      expiresAt: refreshExpiry()
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    return { error: 'Refresh token was already used' };
+  }
+
+  return { tokens: issueTokens(rotated, nextSecret) };
+};
+
+const revokeSession = (session, reason) => {
+  return Session.updateOne(
+    { _id: session._id, revokedAt: null },
+    { revokedAt: Date.now(), revokedReason: reason }
+  );
+};
+
+// Revoke every active session of a user (optionally sparing one)
+const revokeUserSessions = (userId, reason, exceptSessionId = null) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  return Session.updateMany(filter, { revokedAt: Date.now(), revokedReason: reason });
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions
+};
@@ -0,0 +1,76 @@
+// Money is handled in integer minor units (cents) so sums are exact.
+// Amounts are rounded to a whole cent once, on the way in, and every split
+// hands out whole cents.
+
+// Convert an amount to cents, rounding half away from zero. The decimal
+// point is shifted in the number's text form so that e.g. 1.005 becomes
+// 101 rather than 100 (1.005 * 100 is 100.49999... in floating point).
+const toCents = (amount) => {
+  const value = Number(amount) || 0;
+  const text = String(Math.abs(value));
+  const shifted = text.includes('e') ? Math.abs(value) * 100 : Number(`${text}e2`);
+  const cents = Math.round(shifted);
+
+  return value < 0 ? -cents : cents;
+};
+
+const fromCents = (cents) => cents / 100;
+
+// Round an amount to a whole cent (e.g. an average of amounts)
+const roundMoney = (amount) => {
+  if (amount === null || amount === undefined || isNaN(amount)) {
+    return amount;
+  }
+  return fromCents(toCents(amount));
+};
+
+// Split an integer total (e.g. cents) in proportion to weights so that the
+// parts always add up to exactly the total. Uses the largest remainder
+// method; ties go to the earlier entry, so the result only depends on the
+// order of the weights.
+const allocateByWeight = (total, weights) => {
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+  if (weights.length === 0) {
+    return [];
+  }
+
+  // Nothing to weigh by: fall back to equal parts
+  const effective = totalWeight > 0 ? weights : weights.map(() => 1);
+  const effectiveTotal = totalWeight > 0 ? totalWeight : weights.length;
+
+  const exact = effective.map(w => (total * w) / effectiveTotal);
+  const parts = exact.map(Math.floor);
+  const remainder = total - parts.reduce((sum, p) => sum + p, 0);
+
+  exact
+    .map((value, index) => ({ index, fraction: value - parts[index] }))
+    .sort((a, b) => b.fraction - a.fraction || a.index - b.index)
+    .slice(0, remainder)
+    .forEach(({ index }) => {
+      parts[index] += 1;
+    });
+
+  return parts;
+};
+
+// Split a total in cents between members by weight, returning
+// { member: cents }. Leftover cents follow allocateByWeight, so with equal
+// weights they go to the members listed first.
+const allocateToMembers = (total, members, weights = members.map(() => 1)) => {
+  const parts = allocateByWeight(total, weights);
+  const result = {};
+
+  members.forEach((member, index) => {
+    result[member] = (result[member] || 0) + parts[index];
+  });
+
+  return result;
+};
+
+module.exports = {
+  toCents,
+  fromCents,
+  roundMoney,
+  allocateByWeight,
+  allocateToMembers
+};
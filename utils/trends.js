@@ -0,0 +1,197 @@
+const { applyExpense, applyPayment, emptyBalances } = require('./balances');
+const { fromCents } = require('./split');
+const { DATE_RANGE_QUERY, parseDateRange } = require('./filters');
+
+const BUCKETS = ['day', 'week', 'month'];
+// Periods shown when no ?from= is given
+const DEFAULT_PERIODS = { day: 30, week: 12, month: 12 };
+const MAX_PERIODS = 366;
+
+// Query rules (see middleware/validate) for ?bucket=&from=&to=
+const TREND_QUERY = {
+  ...DATE_RANGE_QUERY,
+  bucket: { type: 'string' }
+};
+
+// Start of the day, week (Monday) or month containing `date`, in UTC
+const startOfBucket = (date, bucket) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+  if (bucket === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  } else if (bucket === 'month') {
+    start.setUTCDate(1);
+  }
+
+  return start;
+};
+
+// Move a bucket start by `count` buckets
+const addBuckets = (start, bucket, count) => {
+  const date = new Date(start);
+
+  if (bucket === 'day') {
+    date.setUTCDate(date.getUTCDate() + count);
+  } else if (bucket === 'week') {
+    date.setUTCDate(date.getUTCDate() + count * 7);
+  } else {
+    date.setUTCMonth(date.getUTCMonth() + count);
+  }
+
+  return date;
+};
+
+// 2024-03 for months, 2024-03-04 for days and weeks (the Monday)
+const periodLabel = (start, bucket) => start.toISOString().slice(0, bucket === 'month' ? 7 : 10);
+
+// Read ?bucket= (day, week or month) and the ?from= / ?to= range for a
+// time series. Without ?from= the last few periods up to ?to= (or now)
+// are used. Returns { bucket, start, end, periods } or { error }.
+const parseTrendQuery = (query, now = new Date()) => {
+  const bucket = String(query.bucket || 'month').toLowerCase();
+  if (!BUCKETS.includes(bucket)) {
+    return { error: `Bucket must be one of: ${BUCKETS.join(', ')}` };
+  }
+
+  const range = parseDateRange(query);
+  if (range.error) {
+    return { error: range.error };
+  }
+
+  const dates = range.dateFilter || {};
+  const end = dates.$lt || (dates.$lte ? new Date(dates.$lte.getTime() + 1) : now);
+  const first = dates.$gte
+    ? startOfBucket(dates.$gte, bucket)
+    : addBuckets(startOfBucket(new Date(end.getTime() - 1), bucket), bucket, 1 - DEFAULT_PERIODS[bucket]);
+
+  const periods = [];
+  for (let start = first; start < end; start = addBuckets(start, bucket, 1)) {
+    if (periods.length === MAX_PERIODS) {
+      return { error: `Date range covers more than ${MAX_PERIODS} ${bucket}s` };
+    }
+    periods.push(start);
+  }
+
+  return { bucket, start: dates.$gte || first, end, periods };
+};
+
+// Spending per period, overall and per category, with the change from the
+// previous period (as a percentage; null when there is nothing to compare
+// with). `centsOf` converts an expense into cents of the reporting currency.
+const spendingSeries = (expenses, trend, centsOf) => {
+  const labels = trend.periods.map(start => periodLabel(start, trend.bucket));
+  const indexOf = {};
+  labels.forEach((label, index) => {
+    indexOf[label] = index;
+  });
+
+  const spending = labels.map(() => 0);
+  const counts = labels.map(() => 0);
+  const categories = {};
+
+  expenses.forEach(expense => {
+    const date = new Date(expense.date);
+    if (date < trend.start || date >= trend.end) {
+      return;
+    }
+
+    const index = indexOf[periodLabel(startOfBucket(date, trend.bucket), trend.bucket)];
+    const amount = centsOf(expense);
+    const category = expense.category || 'Other';
+
+    spending[index] += amount;
+    counts[index] += 1;
+    if (!categories[category]) {
+      categories[category] = labels.map(() => 0);
+    }
+    categories[category][index] += amount;
+  });
+
+  const change = spending.map((total, index) => {
+    const previous = spending[index - 1];
+    return index > 0 && previous > 0 ? (total - previous) / previous * 100 : null;
+  });
+
+  Object.keys(categories).forEach(category => {
+    categories[category] = categories[category].map(fromCents);
+  });
+
+  return {
+    bucket: trend.bucket,
+    from: trend.start,
+    to: trend.end,
+    periods: labels,
+    spending: spending.map(fromCents),
+    counts,
+    change,
+    categories
+  };
+};
+
+// Spending in the month containing `at` compared with the month before
+const monthOverMonth = (expenses, centsOf, at) => {
+  const current = startOfBucket(at, 'month');
+  const previous = addBuckets(current, 'month', -1);
+  const next = addBuckets(current, 'month', 1);
+
+  let total = 0;
+  let previousTotal = 0;
+  expenses.forEach(expense => {
+    const date = new Date(expense.date);
+    if (date >= current && date < next) {
+      total += centsOf(expense);
+    } else if (date >= previous && date < current) {
+      previousTotal += centsOf(expense);
+    }
+  });
+
+  return {
+    month: periodLabel(current, 'month'),
+    previousMonth: periodLabel(previous, 'month'),
+    total: fromCents(total),
+    previousTotal: fromCents(previousTotal),
+    change: fromCents(total - previousTotal),
+    changePercent: previousTotal > 0 ? (total - previousTotal) / previousTotal * 100 : null
+  };
+};
+
+// Each member's balance at the end of every period. Everything recorded
+// before the range counts too, so the first value is the real balance.
+const balanceHistory = (expenses, payments, members, trend) => {
+  const events = [
+    ...expenses.map(expense => ({ date: new Date(expense.date), apply: b => applyExpense(b, expense) })),
+    ...payments.map(payment => ({ date: new Date(payment.date), apply: b => applyPayment(b, payment) }))
+  ].sort((a, b) => a.date - b.date);
+
+  const balances = emptyBalances(members);
+  const history = {};
+  members.forEach(member => {
+    history[member] = [];
+  });
+
+  let next = 0;
+  trend.periods.forEach((start, index) => {
+    const periodEnd = trend.periods[index + 1] || trend.end;
+
+    while (next < events.length && events[next].date < periodEnd) {
+      events[next].apply(balances);
+      next++;
+    }
+
+    members.forEach(member => {
+      history[member].push(fromCents(balances[member]));
+    });
+  });
+
+  return history;
+};
+
+module.exports = {
+  BUCKETS,
+  TREND_QUERY,
+  startOfBucket,
+  parseTrendQuery,
+  spendingSeries,
+  monthOverMonth,
+  balanceHistory
+};